@@ -29,7 +29,7 @@ const uint8_t  PUMP_PWM_RES  = 10;      // 10-bit (0..1023)
 const int      DUTY_MAX      = (1 << PUMP_PWM_RES) - 1;
 const int      DUTY_RUN_MAX  = 1000;     // ~98% duty -> full 4.5 V VM
 
-// -------------------- Tunables
+// -------------------- Tunables (runtime-editable with SET key=value / GET)
 int precharge_ms = 400;     // pump build-up
 int puff_ms      = 70;      // valve open
 int guard_ms     = 350;     // eyelid recovery
@@ -534,6 +534,82 @@ void startProgrammedSequence() {
   Serial.println(SEQUENCE_LEAD_MS);
 }
 
+// -------------------- Remote parameters
+struct PumpParam {
+  const char* key;
+  int*        value;
+  int         minValue;
+  int         maxValue;
+  bool        clampMax;   // clamp to maxValue instead of refusing
+};
+
+// Timing changes apply from the next START; duty/ramp from the next ramp.
+PumpParam pumpParams[] = {
+  { "precharge_ms", &precharge_ms, 0,  (int)FRAME_DURATION_MS, false },
+  { "puff_ms",      &puff_ms,      10, (int)SLOT_DURATION_MS,  false },
+  { "guard_ms",     &guard_ms,     0,  (int)FRAME_DURATION_MS, false },
+  { "duty_run",     &duty_run,     0,  DUTY_RUN_MAX,           true  },
+  { "ramp_time_ms", &ramp_time_ms, 0,  1000,                   false },
+};
+const uint8_t PUMP_PARAM_COUNT = sizeof(pumpParams) / sizeof(pumpParams[0]);
+
+void emitParams() {
+  Serial.print("PARAMS");
+  for (uint8_t i = 0; i < PUMP_PARAM_COUNT; i++) {
+    Serial.print(i == 0 ? " " : " | ");
+    Serial.print(pumpParams[i].key);
+    Serial.print('=');
+    Serial.print(*pumpParams[i].value);
+  }
+  Serial.println();
+}
+
+void emitSetError(const char* key, const char* value, const char* reason) {
+  Serial.print("SET ERR key=");
+  Serial.print(key);
+  Serial.print(" | value=");
+  Serial.print(value);
+  Serial.print(" | reason=");
+  Serial.println(reason);
+}
+
+// "key=value" -> PARAMS line with the applied values, or SET ERR.
+void setParam(const char* arg) {
+  const char* eq = strchr(arg, '=');
+  if (!eq || eq == arg) {
+    emitSetError(arg, "", "format");
+    return;
+  }
+  char key[16];
+  size_t keyLen = (size_t)(eq - arg);
+  if (keyLen >= sizeof(key)) keyLen = sizeof(key) - 1;
+  memcpy(key, arg, keyLen);
+  key[keyLen] = '\0';
+  const char* valueText = eq + 1;
+
+  PumpParam* param = nullptr;
+  for (uint8_t i = 0; i < PUMP_PARAM_COUNT; i++) {
+    if (strcmp(pumpParams[i].key, key) == 0) param = &pumpParams[i];
+  }
+  if (!param) {
+    emitSetError(key, valueText, "unknown");
+    return;
+  }
+  char* end = nullptr;
+  long value = strtol(valueText, &end, 10);
+  if (*valueText == '\0' || *end != '\0') {
+    emitSetError(key, valueText, "format");
+    return;
+  }
+  if (param->clampMax && value > param->maxValue) value = param->maxValue;
+  if (value < param->minValue || value > param->maxValue) {
+    emitSetError(key, valueText, "range");
+    return;
+  }
+  *param->value = (int)value;
+  emitParams();
+}
+
 void processCommand(const char* cmd) {
   if (strcmp(cmd, "START") == 0) {
     startProgrammedSequence();
@@ -546,6 +622,10 @@ void processCommand(const char* cmd) {
     captureMode = (val != 0);
     Serial.print("CAPTURE ");
     Serial.println(captureMode ? "ON" : "OFF");
+  } else if (strncmp(cmd, "SET ", 4) == 0) {
+    setParam(cmd + 4);
+  } else if (strcmp(cmd, "GET") == 0) {
+    emitParams();
   }
 }
 
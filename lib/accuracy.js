@@ -0,0 +1,106 @@
+// Blink-versus-puff accuracy for one sequence record: does the puff drive the
+// blink, or is the visitor blinking at random?
+//
+// Each frame's puff fires at SEQ START time + frame * FRAME_DURATION_MS +
+// planned slot * SLOT_DURATION_MS (gradi-proxy-esp.ino). A blink within
+// RESPONSE_WINDOW_MS after the puff is that frame's response, and its delay is
+// the latency. Every other blink is spurious: before the first frame (during
+// the SEQUENCE_LEAD_MS the firmware waits after START), between responses, or
+// after the last frame. Only frames whose response window closed before the
+// run ended are scored, so a cancelled run is not charged for frames it never
+// reached.
+
+const { SEQ_FRAMES, SLOT_DURATION_MS, FRAME_DURATION_MS, SEQUENCE_LEAD_MS } = require('./protocol');
+
+const RESPONSE_WINDOW_MS = SLOT_DURATION_MS;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function latencySummary(latencies) {
+  if (!latencies.length) return null;
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    meanMs: Math.round(sorted.reduce((acc, val) => acc + val, 0) / sorted.length),
+    medianMs: sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2),
+    minMs: sorted[0],
+    maxMs: sorted[sorted.length - 1],
+  };
+}
+
+// Returns the report for a finished record, or null when the record lacks the
+// SEQ START time or slot plan.
+function analyzeSequence(record) {
+  const { startMs, endMs, leadMs } = record.firmware || {};
+  const planned = record.plannedSlots;
+  if (startMs == null || !Array.isArray(planned) || planned.length !== SEQ_FRAMES) return null;
+
+  const blinks = (record.blinks || [])
+    .map((blink) => (blink.relativeMs != null ? blink.relativeMs : blink.time_ms - startMs))
+    .filter((relativeMs) => Number.isFinite(relativeMs))
+    .sort((a, b) => a - b);
+  const runEnd = endMs != null
+    ? endMs - startMs
+    : Math.max(0, ...blinks);
+  const used = new Set();
+
+  const frames = planned.map((slot, frame) => {
+    const puffMs = frame * FRAME_DURATION_MS + slot * SLOT_DURATION_MS;
+    const scored = puffMs + RESPONSE_WINDOW_MS <= runEnd;
+    const frameStart = frame * FRAME_DURATION_MS;
+    const inFrame = blinks.filter((ms) => ms >= frameStart && ms < frameStart + FRAME_DURATION_MS);
+    const responseIdx = blinks.findIndex((ms) => ms >= puffMs && ms < puffMs + RESPONSE_WINDOW_MS);
+    if (responseIdx >= 0) used.add(responseIdx);
+    return {
+      frame,
+      planned: slot,
+      puffMs,
+      detected: record.detectedSlots ? record.detectedSlots[frame] : null,
+      scored,
+      hit: responseIdx >= 0,
+      latencyMs: responseIdx >= 0 ? blinks[responseIdx] - puffMs : null,
+      blinks: inFrame.length,
+    };
+  });
+
+  const spurious = { beforeStart: 0, inFrames: 0, afterEnd: 0 };
+  blinks.forEach((ms, idx) => {
+    if (used.has(idx)) return;
+    if (ms < 0) spurious.beforeStart += 1;
+    else if (ms >= SEQ_FRAMES * FRAME_DURATION_MS) spurious.afterEnd += 1;
+    else spurious.inFrames += 1;
+  });
+  spurious.total = spurious.beforeStart + spurious.inFrames + spurious.afterEnd;
+
+  const scoredFrames = frames.filter((frame) => frame.scored);
+  const hits = scoredFrames.filter((frame) => frame.hit).length;
+  const hitRate = scoredFrames.length ? hits / scoredFrames.length : 0;
+  const precision = blinks.length ? used.size / blinks.length : 0;
+  // Odds that a visitor blinking at their spurious rate lands in a response
+  // window by chance.
+  const spanMs = (leadMs != null ? leadMs : SEQUENCE_LEAD_MS) + Math.max(0, runEnd);
+  const chanceHitRate = spanMs > 0 ? 1 - Math.exp(-(spurious.total / spanMs) * RESPONSE_WINDOW_MS) : 0;
+
+  return {
+    framesScored: scoredFrames.length,
+    hits,
+    misses: scoredFrames.length - hits,
+    hitRate: round(hitRate),
+    decodedMatches: frames.filter((frame) => frame.detected === frame.planned).length,
+    latency: latencySummary(frames.filter((frame) => frame.hit).map((frame) => frame.latencyMs)),
+    spurious,
+    blinkCount: blinks.length,
+    chanceHitRate: round(chanceHitRate),
+    // Harmonic mean of hit rate and the share of blinks that were responses.
+    syncScore: hitRate + precision > 0 ? round((2 * hitRate * precision) / (hitRate + precision)) : 0,
+    frames,
+  };
+}
+
+module.exports = {
+  analyzeSequence,
+  RESPONSE_WINDOW_MS,
+};
@@ -0,0 +1,59 @@
+// Sound settings for the visitor screens. The cues themselves are synthesized
+// in the browser (public/audio.js); the server keeps one volume per cue and the
+// mute switch so kiosk screens, which have no controls, can be set remotely.
+
+const AUDIO_CUES = {
+  blink: 'Tone for each detected blink',
+  puff: 'Soft burst for each planned puff',
+  drone: 'Drone while a visitor is assessed',
+  typing: 'Typewriter clicks while the poem appears',
+};
+
+const DEFAULT_AUDIO = {
+  muted: false,
+  volumes: {
+    blink: 0.6,
+    puff: 0.5,
+    drone: 0.3,
+    typing: 0.2,
+  },
+};
+
+// Checks a partial update such as { muted: true } or { volumes: { drone: 0 } }.
+// Returns { ok, audio, errors } where audio is current with the changes applied.
+function validateAudioPatch(patch, current = DEFAULT_AUDIO) {
+  const errors = [];
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { ok: false, audio: null, errors: ['expected an object of audio settings'] };
+  }
+  const audio = { muted: current.muted, volumes: { ...current.volumes } };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (key === 'muted') {
+      if (typeof value !== 'boolean') errors.push('muted: expected true or false');
+      else audio.muted = value;
+    } else if (key === 'volumes') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push('volumes: expected an object keyed by cue');
+        return;
+      }
+      Object.entries(value).forEach(([cue, volume]) => {
+        if (!AUDIO_CUES[cue]) {
+          errors.push(`volumes.${cue}: expected one of ${Object.keys(AUDIO_CUES).join('/')}`);
+        } else if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0 || volume > 1) {
+          errors.push(`volumes.${cue}: expected a number between 0 and 1`);
+        } else {
+          audio.volumes[cue] = volume;
+        }
+      });
+    } else {
+      errors.push(`${key}: not an audio setting`);
+    }
+  });
+  return { ok: errors.length === 0, audio: errors.length ? null : audio, errors };
+}
+
+module.exports = {
+  validateAudioPatch,
+  AUDIO_CUES,
+  DEFAULT_AUDIO,
+};
@@ -0,0 +1,362 @@
+// Capture files: every serial line with its host timestamp (lib/replay.js
+// reads them back). Files are gzip-compressed and rotated once a part holds
+// rotateBytes of raw text. Next to each file a small JSON sidecar keeps the
+// rig, line and sequence counts and the operator's notes and tags.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { parseCaptureEntry } = require('./replay');
+
+const CAPTURE_NAME = /^capture-[\w.-]+\.log(\.gz)?$/;
+// The gzip stream is flushed this often so a crash loses at most this much.
+const FLUSH_MS = 5000;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[\w:-]{1,32}$/;
+
+function captureStamp(now = Date.now()) {
+  return new Date(now).toISOString().replace(/[:.]/g, '-');
+}
+
+// File-name part after the stamp: the rig id, or the stem of the rig's
+// captureFile ("captures/b.log" -> "b").
+function captureLabel(rig, file) {
+  const stem = file ? path.basename(file).replace(/\.log(\.gz)?$/, '') : '';
+  return stem.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || rig;
+}
+
+function sidecarPath(filePath) {
+  return `${filePath}.json`;
+}
+
+function isSequenceStart(line) {
+  return /^SEQ\s+START\b/.test(line);
+}
+
+// Line and sequence counts of a finished capture that has no sidecar stats
+// (written before captures had sidecars, or by a server that died). The file
+// is streamed so a large capture never holds up the event loop; a gzip file
+// cut short by a crash is counted up to where it ends.
+function summarizeCapture(filePath) {
+  return new Promise((resolve, reject) => {
+    const stats = { lines: 0, sequences: 0, firstTs: null, lastTs: null };
+    let input = fs.createReadStream(filePath).on('error', reject);
+    if (filePath.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH })).on('error', reject);
+    }
+    const rows = readline.createInterface({ input, crlfDelay: Infinity });
+    rows.on('line', (row) => {
+      const entry = parseCaptureEntry(row);
+      if (!entry) return;
+      stats.lines += 1;
+      if (stats.firstTs == null) stats.firstTs = entry.ts;
+      stats.lastTs = entry.ts;
+      if (isSequenceStart(entry.line)) stats.sequences += 1;
+    });
+    rows.on('close', () => resolve(stats));
+  });
+}
+
+// Checks an operator edit. Returns { ok, values, errors } where values holds
+// the normalised notes and tags.
+function validateCaptureNotes(patch) {
+  const errors = [];
+  const values = {};
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { ok: false, values, errors: ['expected an object with notes and/or tags'] };
+  }
+  Object.keys(patch).forEach((key) => {
+    if (key !== 'notes' && key !== 'tags') errors.push(`${key}: not an editable field`);
+  });
+  if (patch.notes !== undefined) {
+    if (typeof patch.notes !== 'string') errors.push('notes: expected a string');
+    else if (patch.notes.length > MAX_NOTES_LENGTH) errors.push(`notes: at most ${MAX_NOTES_LENGTH} characters`);
+    else values.notes = patch.notes.trim();
+  }
+  if (patch.tags !== undefined) {
+    const tags = typeof patch.tags === 'string' ? patch.tags.split(',') : patch.tags;
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      errors.push('tags: expected a list of strings');
+    } else {
+      const cleaned = Array.from(new Set(tags.map((tag) => tag.trim()).filter(Boolean)));
+      const bad = cleaned.filter((tag) => !TAG_PATTERN.test(tag));
+      if (bad.length) errors.push(`tags: ${bad.join(', ')} (letters, digits, _ - : and at most 32 characters)`);
+      else if (cleaned.length > MAX_TAGS) errors.push(`tags: at most ${MAX_TAGS}`);
+      else values.tags = cleaned;
+    }
+  }
+  return { ok: errors.length === 0, values, errors };
+}
+
+// options: dir, rotateBytes, log(event, info)
+function createCaptureStore(options) {
+  const { dir, rotateBytes = 50 * 1024 * 1024, log = () => {} } = options;
+  // name -> writer, for the captures being written right now.
+  const active = new Map();
+  // name -> { mtimeMs, meta } (a promise) for captures summarised by reading
+  // them.
+  const scanned = new Map();
+
+  function resolveName(name) {
+    if (typeof name !== 'string' || !CAPTURE_NAME.test(name)) return null;
+    return path.join(dir, name);
+  }
+
+  async function readSidecar(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(sidecarPath(filePath), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function writeSidecar(filePath, meta) {
+    fs.writeFileSync(sidecarPath(filePath), `${JSON.stringify(meta, null, 2)}\n`);
+  }
+
+  // A base name no existing capture uses, so nothing is ever overwritten.
+  function freshBase(label) {
+    const stem = path.join(dir, `capture-${captureStamp()}-${label}`);
+    let base = stem;
+    for (let n = 2; fs.existsSync(`${base}.log.gz`) || fs.existsSync(`${base}.log`); n += 1) {
+      base = `${stem}-${n}`;
+    }
+    return base;
+  }
+
+  // Opens a capture for one rig as <dir>/capture-<stamp>-<label>.log.gz, where
+  // label is the rig id or opts.label (the rig's captureFile).
+  function start(rig, opts = {}) {
+    const base = freshBase(captureLabel(rig, opts.label));
+    let part = 0;
+    let meta = null;
+    let gzip = null;
+    let finished = null;
+    let flushTimer = null;
+
+    function openPart() {
+      part += 1;
+      const filePath = `${base}${part > 1 ? `.${part}` : ''}.log.gz`;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const previous = meta;
+      meta = {
+        name: path.basename(filePath),
+        file: filePath,
+        rig,
+        session: path.basename(base),
+        part,
+        startedAt: Date.now(),
+        endedAt: null,
+        lines: 0,
+        rawBytes: 0,
+        sequences: 0,
+        firstTs: null,
+        lastTs: null,
+        // Later parts inherit the operator's notes and tags.
+        notes: previous ? previous.notes : '',
+        tags: previous ? previous.tags.slice() : [],
+      };
+      gzip = zlib.createGzip();
+      const out = fs.createWriteStream(filePath, { flags: 'wx' });
+      finished = new Promise((resolve) => {
+        out.on('close', resolve);
+        out.on('error', (err) => {
+          log('capture-write-error', { file: filePath, error: err.message });
+          resolve();
+        });
+      });
+      gzip.pipe(out);
+      writeSidecar(filePath, meta);
+      active.set(meta.name, writer);
+    }
+
+    // Ends the current part; resolves once the file is complete on disk.
+    function closePart() {
+      const done = finished;
+      meta.endedAt = Date.now();
+      active.delete(meta.name);
+      try {
+        writeSidecar(meta.file, meta);
+      } catch (err) {
+        log('capture-write-error', { file: meta.file, error: err.message });
+      }
+      gzip.end();
+      return done;
+    }
+
+    function write(ts, line) {
+      if (!gzip) return;
+      const text = `${ts} ${line}\n`;
+      gzip.write(text);
+      meta.lines += 1;
+      meta.rawBytes += Buffer.byteLength(text);
+      if (meta.firstTs == null) meta.firstTs = ts;
+      meta.lastTs = ts;
+      if (isSequenceStart(line)) meta.sequences += 1;
+      if (meta.rawBytes >= rotateBytes) {
+        const from = meta.name;
+        closePart();
+        openPart();
+        log('capture-rotate', { from, to: meta.name, part });
+      }
+    }
+
+    function close() {
+      if (!gzip) return Promise.resolve();
+      clearInterval(flushTimer);
+      const done = closePart();
+      gzip = null;
+      return done;
+    }
+
+    function annotate(values) {
+      Object.assign(meta, values);
+      writeSidecar(meta.file, meta);
+    }
+
+    function status() {
+      return gzip ? { ...meta } : null;
+    }
+
+    const writer = { write, close, annotate, status };
+    openPart();
+    flushTimer = setInterval(() => {
+      if (gzip) gzip.flush();
+    }, FLUSH_MS);
+    flushTimer.unref();
+    return writer;
+  }
+
+  // Counts a capture whose sidecar is missing or was never closed and saves
+  // the result as its sidecar, so later listings only read the JSON.
+  async function rebuildSidecar(name, filePath, stat, meta) {
+    const base = { notes: '', tags: [], ...(meta || {}) };
+    let stats;
+    try {
+      stats = await summarizeCapture(filePath);
+    } catch (err) {
+      return { ...base, lines: null, sequences: null, firstTs: null, lastTs: null, error: err.message };
+    }
+    const rebuilt = { ...base, name, file: filePath, ...stats, endedAt: stat.mtimeMs };
+    try {
+      await fs.promises.writeFile(sidecarPath(filePath), `${JSON.stringify(rebuilt, null, 2)}\n`);
+    } catch (err) {
+      log('capture-write-error', { file: filePath, error: err.message });
+    }
+    return rebuilt;
+  }
+
+  // Stats and notes of a capture: live from its writer, from the sidecar, or
+  // by reading the file once when the sidecar is missing or was never closed.
+  async function metaFor(name, filePath, stat) {
+    const writer = active.get(name);
+    if (writer) return writer.status();
+    const meta = await readSidecar(filePath);
+    if (meta && meta.endedAt != null) return meta;
+    let cached = scanned.get(name);
+    if (!cached || cached.mtimeMs !== stat.mtimeMs) {
+      cached = { mtimeMs: stat.mtimeMs, meta: rebuildSidecar(name, filePath, stat, meta) };
+      scanned.set(name, cached);
+    }
+    return cached.meta;
+  }
+
+  async function describe(name, filePath, stat) {
+    const meta = await metaFor(name, filePath, stat);
+    return {
+      name,
+      rig: meta.rig || null,
+      session: meta.session || null,
+      part: meta.part || 1,
+      active: active.has(name),
+      size: stat.size,
+      startedAt: meta.startedAt || meta.firstTs || null,
+      endedAt: meta.endedAt || null,
+      durationMs: meta.firstTs != null && meta.lastTs != null ? meta.lastTs - meta.firstTs : null,
+      lines: meta.lines,
+      sequences: meta.sequences,
+      notes: meta.notes || '',
+      tags: meta.tags || [],
+      ...(meta.error ? { error: meta.error } : {}),
+    };
+  }
+
+  // Every capture in dir, newest first.
+  async function list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const entries = [];
+    for (const name of names.filter((entry) => CAPTURE_NAME.test(entry))) {
+      const filePath = path.join(dir, name);
+      try {
+        entries.push(await describe(name, filePath, await fs.promises.stat(filePath)));
+      } catch (err) {
+        // Deleted between readdir and stat.
+      }
+    }
+    return entries.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0) || b.name.localeCompare(a.name));
+  }
+
+  // Returns the file path of a capture in dir, or null.
+  function find(name) {
+    const filePath = resolveName(name);
+    return filePath && fs.existsSync(filePath) ? filePath : null;
+  }
+
+  async function get(name) {
+    const filePath = find(name);
+    return filePath ? describe(name, filePath, await fs.promises.stat(filePath)) : null;
+  }
+
+  // Returns { ok, capture, errors } plus notFound for an unknown name.
+  async function annotate(name, patch) {
+    const filePath = find(name);
+    if (!filePath) return { ok: false, notFound: true, errors: [`unknown capture ${name}`] };
+    const result = validateCaptureNotes(patch);
+    if (!result.ok) return { ok: false, errors: result.errors };
+    const writer = active.get(name);
+    if (writer) {
+      writer.annotate(result.values);
+    } else {
+      const stat = await fs.promises.stat(filePath);
+      const { error, ...meta } = await metaFor(name, filePath, stat);
+      writeSidecar(filePath, { name, ...meta, ...result.values, endedAt: meta.endedAt || stat.mtimeMs });
+    }
+    return { ok: true, capture: await get(name), errors: [] };
+  }
+
+  // Returns { ok, errors } plus notFound or busy (still being written).
+  function remove(name) {
+    if (active.has(name)) return { ok: false, busy: true, errors: ['stop the capture before deleting it'] };
+    const filePath = find(name);
+    if (!filePath) return { ok: false, notFound: true, errors: [`unknown capture ${name}`] };
+    fs.unlinkSync(filePath);
+    fs.rmSync(sidecarPath(filePath), { force: true });
+    scanned.delete(name);
+    return { ok: true, errors: [] };
+  }
+
+  return {
+    dir,
+    start,
+    list,
+    find,
+    get,
+    annotate,
+    remove,
+  };
+}
+
+module.exports = {
+  createCaptureStore,
+  validateCaptureNotes,
+  summarizeCapture,
+  CAPTURE_NAME,
+};
@@ -0,0 +1,197 @@
+// Tracks commands written to the firmware until it acknowledges them.
+// Each command names the reply lines that count as an answer; silence past
+// the timeout triggers a resend, and running out of retries reports a failure
+// so the caller can roll its state back.
+
+const { validateParamPatch, FIRMWARE_PARAMS } = require('./params');
+
+const REPLIES = {
+  START: ['SEQ START', 'SEQ BUSY'],
+  STOP: ['SEQ CANCEL', 'SEQ END'],
+  'CAPTURE 0': ['CAPTURE OFF'],
+  'CAPTURE 1': ['CAPTURE ON'],
+  GET: ['PARAMS'],
+};
+
+// SET key=value is answered with the full PARAMS line or SET ERR.
+const SET_REPLIES = ['PARAMS', 'SET ERR'];
+
+// Reply key for a parsed protocol line, e.g. "SEQ BUSY" or "CAPTURE ON".
+function replyKey(parsed) {
+  if (!parsed || !parsed.data) return null;
+  if (parsed.kind === 'SEQ' && parsed.data.action) return `SEQ ${parsed.data.action}`;
+  if (parsed.kind === 'CAPTURE' && parsed.ok) return `CAPTURE ${parsed.data.enabled ? 'ON' : 'OFF'}`;
+  if (parsed.kind === 'PARAMS' && parsed.ok) return 'PARAMS';
+  if (parsed.kind === 'SET' && parsed.ok) return 'SET ERR';
+  return null;
+}
+
+function createCommandTracker(options) {
+  const {
+    write,
+    log = () => {},
+    now = Date.now,
+    getTimeoutMs = () => 1500,
+    getRetries = () => 1,
+    track = true,
+  } = options;
+  const pending = [];
+  let nextId = 1;
+
+  function finish(entry) {
+    const idx = pending.indexOf(entry);
+    if (idx !== -1) pending.splice(idx, 1);
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  function fail(entry, reason, extra = {}) {
+    finish(entry);
+    log('command-failed', {
+      id: entry.id,
+      command: entry.command,
+      reason,
+      attempts: entry.attempts,
+      ...extra,
+    });
+    if (entry.onFail) entry.onFail(reason);
+  }
+
+  function attempt(entry) {
+    entry.attempts += 1;
+    entry.sentAt = now();
+    if (entry.attempts > 1) {
+      log('command-retry', { id: entry.id, command: entry.command, attempt: entry.attempts });
+    }
+    write(`${entry.command}\n`, (err) => {
+      if (err && pending.includes(entry)) {
+        log('command-write-error', { id: entry.id, command: entry.command, error: err.message });
+      }
+    });
+    if (!track) {
+      finish(entry);
+      return;
+    }
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      if (!pending.includes(entry)) return;
+      if (entry.attempts <= entry.retries) {
+        log('command-timeout', { id: entry.id, command: entry.command, attempt: entry.attempts, timeoutMs: entry.timeoutMs });
+        attempt(entry);
+      } else {
+        fail(entry, 'timeout', { timeoutMs: entry.timeoutMs });
+      }
+    }, entry.timeoutMs);
+  }
+
+  function send(command, opts = {}) {
+    const expect = opts.expect || REPLIES[command] || (command.startsWith('SET ') ? SET_REPLIES : []);
+    const entry = {
+      id: nextId,
+      command,
+      expect,
+      timeoutMs: opts.timeoutMs != null ? opts.timeoutMs : getTimeoutMs(),
+      retries: opts.retries != null ? opts.retries : getRetries(),
+      attempts: 0,
+      queuedAt: now(),
+      sentAt: null,
+      timer: null,
+      onAck: opts.onAck || null,
+      onFail: opts.onFail || null,
+    };
+    nextId += 1;
+    // A command without a known reply cannot be tracked; fire and forget.
+    if (expect.length) pending.push(entry);
+    attempt(entry);
+    return entry.id;
+  }
+
+  // Feed every parsed serial line through here. Returns the acknowledged
+  // command, if the line answered one.
+  function handleReply(parsed) {
+    const key = replyKey(parsed);
+    if (!key) return null;
+    const entry = pending.find((p) => p.expect.includes(key));
+    if (!entry) return null;
+    finish(entry);
+    const latencyMs = entry.sentAt != null ? now() - entry.sentAt : null;
+    log('command-ack', {
+      id: entry.id,
+      command: entry.command,
+      reply: key,
+      attempts: entry.attempts,
+      latencyMs,
+    });
+    if (entry.onAck) entry.onAck(key, parsed);
+    return entry.command;
+  }
+
+  // Abandon every outstanding command (serial lost, firmware reset).
+  function reset(reason) {
+    pending.slice().forEach((entry) => fail(entry, reason));
+  }
+
+  function list() {
+    return pending.map((entry) => ({
+      id: entry.id,
+      command: entry.command,
+      expect: entry.expect,
+      attempts: entry.attempts,
+      sentAt: entry.sentAt,
+    }));
+  }
+
+  function isPending(command) {
+    return pending.some((entry) => entry.command === command);
+  }
+
+  return {
+    send,
+    handleReply,
+    reset,
+    list,
+    isPending,
+  };
+}
+
+// Commands an engineer may type into the debug console. Anything else is
+// refused before it reaches the serial port.
+const CONSOLE_COMMANDS = {
+  START: 'start a sequence (goes through the controller)',
+  STOP: 'cancel the running sequence (goes through the controller)',
+  GET: 'ask the firmware for its PARAMS line',
+  'CAPTURE 0': 'stop streaming raw samples',
+  'CAPTURE 1': 'stream raw samples (t=… lines)',
+  'SET key=value': `change a firmware parameter (${Object.keys(FIRMWARE_PARAMS).join(', ')})`,
+};
+
+// Checks a console command. Returns { ok, command, errors } where command is
+// the normalised text to write, e.g. "capture 1" becomes "CAPTURE 1".
+function validateConsoleCommand(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { ok: false, command: null, errors: ['expected a command'] };
+  }
+  const text = input.trim().replace(/\s+/g, ' ');
+  const upper = text.toUpperCase();
+  if (['START', 'STOP', 'GET', 'CAPTURE 0', 'CAPTURE 1'].includes(upper)) {
+    return { ok: true, command: upper, errors: [] };
+  }
+  const set = /^SET ([a-z_]+)=(\S+)$/i.exec(text);
+  if (set) {
+    const key = set[1].toLowerCase();
+    const result = validateParamPatch({ [key]: set[2] });
+    if (!result.ok) return { ok: false, command: null, errors: result.errors };
+    return { ok: true, command: `SET ${key}=${result.values[key]}`, errors: [] };
+  }
+  return { ok: false, command: null, errors: [`${text}: not an allowed command (${Object.keys(CONSOLE_COMMANDS).join(', ')})`] };
+}
+
+module.exports = {
+  createCommandTracker,
+  replyKey,
+  validateConsoleCommand,
+  REPLIES,
+  CONSOLE_COMMANDS,
+};
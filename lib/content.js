@@ -0,0 +1,249 @@
+// Content packs: the poem corpus as data, one JSON file per pack in
+// CONTENT_DIR. The file name (without .json) is the pack id.
+//
+//   {
+//     "format": 1,
+//     "name": "Winter 2026",
+//     "version": "2026.12",
+//     "locales": {
+//       "en": { "intros": [4], "moods": [4], "bridges": [4], "codas": [4], "glitchNotes": [4],
+//               "status": { "assessing": "assessing host", … }, "font": { "size": "2rem" } },
+//       "ja": { … }
+//     }
+//   }
+//
+// Every table needs exactly FRAME_SLOTS lines, since a slot index picks the
+// line. Any number of locales is allowed; "en" is required because history
+// records and the debug dashboard use it. Status strings a locale leaves out
+// come from "en", then from DEFAULT_STATUS. Files are watched: an edit is
+// reloaded in place, and a file that stops validating (or disappears) keeps
+// its last good version until it is fixed.
+
+const fs = require('fs');
+const path = require('path');
+const { FRAME_SLOTS } = require('./protocol');
+
+const PACK_FORMAT = 1;
+const PACK_TABLES = ['intros', 'moods', 'bridges', 'codas', 'glitchNotes'];
+const REQUIRED_LOCALES = ['en'];
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+const MAX_LINE_LENGTH = 400;
+
+// Visitor screen status lines; {time} is replaced with the opening time.
+const DEFAULT_STATUS = {
+  assessing: 'assessing host',
+  accepted: 'host accepted.',
+  closed: 'closed',
+  opens: 'opens {time}',
+  maintenance: 'maintenance',
+  backSoon: 'back soon',
+  sensorOffline: 'sensor offline · reconnecting',
+  sensorLost: 'sensor connection lost',
+};
+
+// CSS settings a locale may give its line on the visitor screen.
+const FONT_FIELDS = ['family', 'size', 'lineHeight', 'letterSpacing', 'textTransform'];
+
+function validateStrings(label, input, keys, errors) {
+  if (input == null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push(`${label}: expected an object`);
+    return {};
+  }
+  const values = {};
+  Object.entries(input).forEach(([key, value]) => {
+    if (!keys.includes(key)) {
+      errors.push(`${label}.${key}: expected one of ${keys.join('/')}`);
+    } else if (typeof value !== 'string' || !value.trim() || value.length > 200) {
+      errors.push(`${label}.${key}: expected text up to 200 characters`);
+    } else {
+      values[key] = value;
+    }
+  });
+  return values;
+}
+
+// Returns { ok, pack, errors } for the parsed contents of one file.
+function validatePack(id, data) {
+  const errors = [];
+  if (!PACK_ID_PATTERN.test(id)) {
+    errors.push(`file name must match ${PACK_ID_PATTERN} (got "${id}")`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, pack: null, errors: [...errors, 'expected a JSON object'] };
+  }
+  if (data.format !== PACK_FORMAT) {
+    errors.push(`format: expected ${PACK_FORMAT}`);
+  }
+  if (data.version == null || !['string', 'number'].includes(typeof data.version)) {
+    errors.push('version: expected a string or number');
+  }
+  const locales = data.locales && typeof data.locales === 'object' && !Array.isArray(data.locales) ? data.locales : null;
+  if (!locales) {
+    errors.push('locales: expected an object keyed by locale');
+  } else {
+    REQUIRED_LOCALES.forEach((locale) => {
+      if (!locales[locale]) errors.push(`locales.${locale}: missing`);
+    });
+    Object.entries(locales).forEach(([locale, tables]) => {
+      if (!LOCALE_PATTERN.test(locale)) {
+        errors.push(`locales.${locale}: locale ids look like "en", "ja" or "pt-BR"`);
+        return;
+      }
+      if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+        errors.push(`locales.${locale}: expected an object of phrase tables`);
+        return;
+      }
+      PACK_TABLES.forEach((table) => {
+        const lines = tables[table];
+        const label = `locales.${locale}.${table}`;
+        if (!Array.isArray(lines)) {
+          errors.push(`${label}: missing`);
+        } else if (lines.length !== FRAME_SLOTS) {
+          errors.push(`${label}: expected ${FRAME_SLOTS} lines, got ${lines.length}`);
+        } else if (lines.some((line) => typeof line !== 'string' || !line.trim() || line.length > MAX_LINE_LENGTH)) {
+          errors.push(`${label}: every line must be non-empty text up to ${MAX_LINE_LENGTH} characters`);
+        }
+      });
+      validateStrings(`locales.${locale}.status`, tables.status, Object.keys(DEFAULT_STATUS), errors);
+      validateStrings(`locales.${locale}.font`, tables.font, FONT_FIELDS, errors);
+    });
+  }
+  if (errors.length) return { ok: false, pack: null, errors };
+  const pack = {
+    id,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : id,
+    version: String(data.version),
+    locales: {},
+  };
+  Object.entries(locales).forEach(([locale, tables]) => {
+    pack.locales[locale] = {
+      status: { ...DEFAULT_STATUS, ...(locales.en.status || {}), ...(tables.status || {}) },
+      font: { ...(tables.font || {}) },
+    };
+    PACK_TABLES.forEach((table) => {
+      pack.locales[locale][table] = tables[table].slice();
+    });
+  });
+  return { ok: true, pack, errors };
+}
+
+// Loads every pack in dir and keeps them current. onChange(id, entry) fires
+// after a reload; entry.errors is set when the new file was refused, and entry
+// is null once an unusable pack's file is gone.
+function createContentLibrary({ dir, log = () => {}, onChange = () => {} }) {
+  // id → { pack, file, loadedAt, errors }; pack is the last good version.
+  const entries = new Map();
+  const reloadTimers = new Map();
+  let watcher = null;
+
+  function readPack(id) {
+    const file = path.join(dir, `${id}.json`);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { ok: false, pack: null, errors: ['file removed'] };
+      return { ok: false, pack: null, errors: [`unreadable: ${err.message}`] };
+    }
+    return validatePack(id, data);
+  }
+
+  function loadPack(id) {
+    const result = readPack(id);
+    const previous = entries.get(id);
+    const lastGood = previous ? previous.pack : null;
+    if (!result.ok && !lastGood && result.errors[0] === 'file removed') {
+      entries.delete(id);
+      return result;
+    }
+    entries.set(id, {
+      pack: result.ok ? result.pack : lastGood,
+      file: `${id}.json`,
+      loadedAt: result.ok ? Date.now() : (previous ? previous.loadedAt : null),
+      errors: result.errors,
+    });
+    return result;
+  }
+
+  function load() {
+    const files = fs.readdirSync(dir).filter((name) => name.endsWith('.json'));
+    files.forEach((name) => {
+      const id = path.basename(name, '.json');
+      const result = loadPack(id);
+      if (!result.ok) console.warn(`[WARN] Content pack ${name} refused: ${result.errors.join('; ')}`);
+    });
+    return list();
+  }
+
+  function reload(id) {
+    reloadTimers.delete(id);
+    const result = loadPack(id);
+    const entry = entries.get(id) || null;
+    if (result.ok) {
+      log('content-pack-reload', { pack: id, version: entry.pack.version });
+    } else if (entry) {
+      log('content-pack-invalid', { pack: id, errors: result.errors, keeping: entry.pack ? entry.pack.version : null });
+    }
+    onChange(id, entry);
+  }
+
+  // Editors often write a file in several steps; wait for them to settle.
+  function watch() {
+    if (watcher) return;
+    watcher = fs.watch(dir, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.json')) return;
+      const id = path.basename(filename, '.json');
+      clearTimeout(reloadTimers.get(id));
+      reloadTimers.set(id, setTimeout(() => reload(id), 200));
+    });
+    watcher.on('error', (err) => {
+      console.warn(`[WARN] Content pack watcher stopped: ${err.message}`);
+      watcher = null;
+    });
+  }
+
+  function close() {
+    if (watcher) watcher.close();
+    watcher = null;
+    reloadTimers.forEach((timer) => clearTimeout(timer));
+    reloadTimers.clear();
+  }
+
+  function get(id) {
+    const entry = entries.get(id);
+    return entry && entry.pack ? entry.pack : null;
+  }
+
+  function list() {
+    return Array.from(entries.entries()).map(([id, entry]) => ({
+      id,
+      name: entry.pack ? entry.pack.name : id,
+      version: entry.pack ? entry.pack.version : null,
+      locales: entry.pack ? Object.keys(entry.pack.locales) : [],
+      file: entry.file,
+      loadedAt: entry.loadedAt,
+      usable: !!entry.pack,
+      errors: entry.errors,
+    }));
+  }
+
+  return {
+    dir,
+    load,
+    watch,
+    close,
+    get,
+    list,
+  };
+}
+
+module.exports = {
+  createContentLibrary,
+  validatePack,
+  PACK_FORMAT,
+  PACK_TABLES,
+  REQUIRED_LOCALES,
+  DEFAULT_STATUS,
+};
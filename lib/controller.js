@@ -0,0 +1,342 @@
+// Auto-control state machine for the pump sequence.
+// Feeds on parsed STATUS / SEQ lines and decides when to START or STOP. Time,
+// timers and the serial writer are injected so every transition can be driven
+// deterministically; everything the controller decides is emitted as an
+// 'event' (name, info) for the control log.
+//
+// States:
+//   armed     idle, will auto-start on the next confident PRESENCE
+//   disarmed  idle, waiting for IDLE or a confidence drop before auto-starting
+//   starting  START scheduled (start delay) or written, waiting for SEQ START
+//   running   firmware is running a sequence
+//   stopping  STOP written, waiting for SEQ CANCEL/END
+//
+// Starts are refused while options.startPolicy objects (opening hours,
+// maintenance) or the duty guard (lib/duty.js) says the pump needs rest; those
+// show up as start-blocked events with the rule and the time left.
+
+const { EventEmitter } = require('events');
+const { createDutyGuard, DEFAULT_PUMP_TIMING } = require('./duty');
+
+const STATES = ['armed', 'disarmed', 'starting', 'running', 'stopping'];
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+function finiteOrUndefined(value) {
+  return typeof value === 'number' && !Number.isNaN(value) ? value : undefined;
+}
+
+function readyFlag(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number' && !Number.isNaN(value)) return value >= 1;
+  return undefined;
+}
+
+// options.config is read on every decision, so live edits apply immediately.
+// options.send(command, { onAck(reply), onFail(reason) }) writes to the firmware.
+// options.canSend() reports whether a serial link is available.
+// options.pumpTiming feeds the duty guard's pump-on estimate.
+// options.startPolicy(reason) returns null or { rule, retryInMs? } to refuse a start.
+function createController(options) {
+  const {
+    config,
+    send,
+    canSend = () => true,
+    clock = realClock,
+    pumpTiming = DEFAULT_PUMP_TIMING,
+    startPolicy = () => null,
+  } = options;
+  const emitter = new EventEmitter();
+  const duty = createDutyGuard({ config, timing: pumpTiming, now: clock.now });
+
+  let state = 'armed';
+  let sequenceActive = false;
+  let startTimer = null;
+  let leaveCandidateSince = null;
+  let lastStatus = null;
+  let lastStart = null;
+  // A run the server did not request (started while armed) leaves us armed.
+  let rearmAfterRun = false;
+  let runStartMs = null;
+  // Auto-start retries on every STATUS line; report each blocking rule once.
+  let lastBlockedRule = null;
+
+  function emit(event, info = {}) {
+    emitter.emit('event', event, info);
+  }
+
+  function setState(next, cause) {
+    if (next === state) return;
+    const from = state;
+    state = next;
+    emit('state-change', { from, to: next, cause });
+  }
+
+  function isIdle() {
+    return state === 'armed' || state === 'disarmed';
+  }
+
+  function clearStartTimer() {
+    if (startTimer) {
+      clock.clearTimeout(startTimer);
+      startTimer = null;
+    }
+  }
+
+  function settle(armed, cause) {
+    clearStartTimer();
+    sequenceActive = false;
+    leaveCandidateSince = null;
+    lastStart = null;
+    rearmAfterRun = false;
+    setState(armed ? 'armed' : 'disarmed', cause);
+  }
+
+  function rollbackStart(reason, failure) {
+    // A START that never got an answer can only be undone before the firmware
+    // confirmed a run.
+    if (sequenceActive || !(state === 'starting' || state === 'stopping')) return;
+    const armed = lastStart ? lastStart.prevAutoArmed : true;
+    settle(armed, 'start-rollback');
+    emit('start-rollback', { reason, failure, autoArmed: armed });
+  }
+
+  function handleStartBusy(reason) {
+    if (state !== 'starting' && state !== 'stopping') return;
+    // The firmware is already running a sequence we did not see start; track it
+    // as active so the END/CANCEL line re-arms us normally.
+    sequenceActive = true;
+    if (state === 'starting') setState('running', 'start-busy');
+    emit('start-busy', { reason });
+  }
+
+  function rollbackStop(reason, failure) {
+    if (state !== 'stopping') return;
+    if (failure === 'timeout') {
+      // STOP is silent when nothing is running, so no answer means the firmware
+      // was already idle (we most likely missed its END line).
+      settle(false, 'stop-rollback');
+    } else if (sequenceActive) {
+      setState('running', 'stop-rollback');
+    } else {
+      setState(lastStart ? 'starting' : 'disarmed', 'stop-rollback');
+    }
+    emit('stop-rollback', { reason, failure, sequenceActive });
+  }
+
+  function checkStart(reason) {
+    return startPolicy(reason) || duty.check();
+  }
+
+  function requestStart(reason, extra = {}) {
+    if (!canSend()) {
+      emit('start-skipped', { reason: 'no-serial', requestedBy: reason, ...extra });
+      return false;
+    }
+    if (!isIdle()) {
+      return false;
+    }
+    const block = checkStart(reason);
+    if (block) {
+      if (reason !== 'auto-confidence' || block.rule !== lastBlockedRule) {
+        emit('start-blocked', { requestedBy: reason, ...block, ...extra });
+      }
+      lastBlockedRule = block.rule;
+      return false;
+    }
+    lastBlockedRule = null;
+    lastStart = {
+      reason,
+      requestedAt: clock.now(),
+      prevAutoArmed: state === 'armed',
+      ...extra,
+    };
+    clearStartTimer();
+    setState('starting', reason);
+    emit('start-request', { reason, delayMs: config.startDelay, ...extra });
+    const delay = Math.max(0, config.startDelay);
+    startTimer = clock.setTimeout(() => {
+      startTimer = null;
+      emit('start-dispatch', { reason, delayMs: delay, ...extra });
+      send('START', {
+        onAck: (reply) => {
+          if (reply === 'SEQ BUSY') handleStartBusy(reason);
+        },
+        onFail: (failure) => rollbackStart(reason, failure),
+      });
+    }, delay);
+    return true;
+  }
+
+  function requestStop(reason, extra = {}) {
+    if (!canSend()) {
+      emit('stop-skipped', { reason: 'no-serial', requestedBy: reason, ...extra });
+      return false;
+    }
+    if (state === 'stopping') {
+      return false;
+    }
+    if (startTimer && !sequenceActive) {
+      // START has not been written yet; cancel it locally.
+      settle(false, 'start-cancelled');
+      emit('start-cancelled', { reason, ...extra });
+      return true;
+    }
+    clearStartTimer();
+    setState('stopping', reason);
+    emit('stop-request', { reason, ...extra });
+    send('STOP', {
+      onFail: (failure) => rollbackStop(reason, failure),
+    });
+    return true;
+  }
+
+  function handleSequence(seq) {
+    if (!seq || !seq.action) return;
+    switch (seq.action) {
+      case 'START':
+        if (isIdle()) rearmAfterRun = state === 'armed';
+        duty.recordStart(seq.slots);
+        runStartMs = typeof seq.time_ms === 'number' ? seq.time_ms : null;
+        sequenceActive = true;
+        leaveCandidateSince = null;
+        clearStartTimer();
+        // A STOP already in flight still applies to the run that just began.
+        if (state !== 'stopping') setState('running', 'seq-start');
+        emit('sequence-started', {
+          time_ms: seq.time_ms,
+          lead_ms: seq.lead_ms,
+          reason: lastStart ? lastStart.reason : null,
+          queued: lastStart,
+          slots: seq.slots,
+        });
+        break;
+      case 'END':
+        duty.recordEnd();
+        settle(rearmAfterRun, 'seq-end');
+        emit('sequence-ended', { time_ms: seq.time_ms, at: clock.now() });
+        break;
+      case 'CANCEL':
+        duty.recordEnd(runStartMs != null && typeof seq.time_ms === 'number' ? seq.time_ms - runStartMs : undefined);
+        settle(rearmAfterRun, 'seq-cancel');
+        emit('sequence-cancelled', { time_ms: seq.time_ms, reason: seq.reason || null });
+        break;
+      default:
+        break;
+    }
+  }
+
+  function checkLeave(confidence, prox) {
+    const confidenceLow = confidence !== undefined && confidence <= config.confExit;
+    const proxLow = prox !== undefined && prox <= config.proxExit;
+    if (!confidenceLow || !proxLow) {
+      leaveCandidateSince = null;
+      return;
+    }
+    const now = clock.now();
+    if (leaveCandidateSince == null) {
+      leaveCandidateSince = now;
+    } else if (now - leaveCandidateSince >= config.leaveMs) {
+      requestStop('person-left', {
+        confidence,
+        prox,
+        leaveCandidateSince,
+        heldMs: now - leaveCandidateSince,
+        confExit: config.confExit,
+        proxExit: config.proxExit,
+      });
+    }
+  }
+
+  function handleStatus(status) {
+    if (!status) return;
+    lastStatus = status;
+
+    const confidence = finiteOrUndefined(status.confidence);
+    const prox = finiteOrUndefined(status.prox);
+    const readyValue = readyFlag(status.ready);
+    const readyOk = readyValue === undefined ? true : readyValue;
+
+    if (state === 'starting' || state === 'running') {
+      checkLeave(confidence, prox);
+      return;
+    }
+    leaveCandidateSince = null;
+    if (state === 'stopping') return;
+
+    if (state === 'disarmed') {
+      if (status.state === 'IDLE') {
+        setState('armed', 'state-idle');
+        emit('auto-rearm', { reason: 'state-idle', confidence, prox });
+      } else if (confidence !== undefined && confidence <= config.confRearm) {
+        setState('armed', 'confidence-drop');
+        emit('auto-rearm', { reason: 'confidence-drop', confidence, prox, confRearm: config.confRearm });
+      }
+    }
+
+    if (
+      state === 'armed'
+      && status.state === 'PRESENCE'
+      && readyOk
+      && confidence !== undefined
+      && confidence >= config.confStart
+    ) {
+      requestStart('auto-confidence', {
+        confidence,
+        prox,
+        confStart: config.confStart,
+        time_ms: status.time_ms,
+        ready: readyValue,
+      });
+    }
+  }
+
+  // Forget everything the firmware was doing (serial lost, firmware reset,
+  // replay seek). armed=false requires a fresh re-arm before the next
+  // auto-start.
+  function abort(reason, { armed = false } = {}) {
+    const wasRunning = sequenceActive || state === 'starting' || (state === 'stopping' && lastStart != null);
+    duty.abortActive();
+    settle(armed, reason);
+    lastStatus = null;
+    if (wasRunning) {
+      emit('sequence-cancelled', { reason, aborted: true });
+    }
+  }
+
+  function snapshot() {
+    return {
+      state,
+      autoArmed: state === 'armed',
+      sequenceActive,
+      startPending: state === 'starting' || (state === 'stopping' && !sequenceActive && lastStart != null),
+      stopPending: state === 'stopping',
+      startScheduled: !!startTimer,
+      leaveCandidateSince,
+      lastStart,
+      lastStatus,
+      duty: duty.snapshot(),
+    };
+  }
+
+  Object.assign(emitter, {
+    handleStatus,
+    handleSequence,
+    requestStart,
+    requestStop,
+    abort,
+    snapshot,
+    checkStart,
+  });
+  Object.defineProperty(emitter, 'state', { get: () => state, enumerable: true });
+  return emitter;
+}
+
+module.exports = {
+  createController,
+  STATES,
+};
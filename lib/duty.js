@@ -0,0 +1,158 @@
+// Pump duty protection.
+// Estimates how long the pump runs for a sequence from its slot plan and the
+// firmware timing, and decides whether another START is allowed given the
+// minimum gap, the per-hour sequence cap and the per-hour pump-on budget.
+
+const { SEQ_FRAMES, FRAME_SLOTS, SLOT_DURATION_MS, FRAME_DURATION_MS } = require('./protocol');
+
+const WINDOW_MS = 60 * 60 * 1000;
+
+// Mirrors gradi-proxy-esp.ino: precharge (clamped to the frame start), puff,
+// then the ramp back down to idle.
+const DEFAULT_PUMP_TIMING = {
+  prechargeMs: 400,
+  puffMs: 70,
+  rampMs: 60,
+};
+
+// Pump-on windows for one frame, relative to SEQ START.
+function frameWindow(frame, slot, timing) {
+  const frameBase = frame * FRAME_DURATION_MS;
+  const puffAt = frameBase + slot * SLOT_DURATION_MS;
+  const prechargeAt = Math.max(frameBase, puffAt - timing.prechargeMs);
+  return { from: prechargeAt, to: puffAt + timing.puffMs + timing.rampMs };
+}
+
+// Estimated pump-on time for a slot plan. untilMs clips the estimate for a run
+// that was cancelled that many ms after SEQ START.
+function estimatePumpOnMs(slots, timing = DEFAULT_PUMP_TIMING, untilMs = Infinity) {
+  let total = 0;
+  for (let frame = 0; frame < SEQ_FRAMES; frame += 1) {
+    const slot = Array.isArray(slots) && Number.isInteger(slots[frame]) ? slots[frame] : FRAME_SLOTS - 1;
+    const { from, to } = frameWindow(frame, slot, timing);
+    if (from >= untilMs) break;
+    total += Math.min(to, untilMs) - from;
+  }
+  return total;
+}
+
+// Pump-on time of an average run, used to decide whether one more fits.
+function expectedPumpOnMs(timing = DEFAULT_PUMP_TIMING) {
+  let perFrame = 0;
+  for (let slot = 0; slot < FRAME_SLOTS; slot += 1) {
+    const { from, to } = frameWindow(0, slot, timing);
+    perFrame += to - from;
+  }
+  return Math.round((perFrame / FRAME_SLOTS) * SEQ_FRAMES);
+}
+
+// config: { minGapMs, maxPerHour, pumpBudgetMs } (0 disables a rule), read live.
+function createDutyGuard({ config, timing = DEFAULT_PUMP_TIMING, now = Date.now }) {
+  const runs = [];
+  let active = null;
+
+  function prune(at) {
+    while (runs.length && runs[0] !== active && runs[0].startedAt <= at - WINDOW_MS) {
+      runs.shift();
+    }
+  }
+
+  function recordStart(slots) {
+    const at = now();
+    if (active) recordEnd();
+    active = {
+      startedAt: at,
+      endedAt: null,
+      slots: Array.isArray(slots) ? slots.slice() : null,
+      pumpMs: estimatePumpOnMs(slots, timing),
+    };
+    runs.push(active);
+    prune(at);
+  }
+
+  // elapsedMs: how far into the plan the run got; omit for a full run.
+  function recordEnd(elapsedMs) {
+    if (!active) return;
+    if (Number.isFinite(elapsedMs)) {
+      active.pumpMs = estimatePumpOnMs(active.slots, timing, Math.max(0, elapsedMs));
+    }
+    active.endedAt = now();
+    active = null;
+  }
+
+  function abortActive() {
+    if (!active) return;
+    recordEnd(now() - active.startedAt);
+  }
+
+  function usage(at) {
+    prune(at);
+    const inWindow = runs.filter((run) => run.startedAt > at - WINDOW_MS);
+    return {
+      runs: inWindow.length,
+      pumpMs: inWindow.reduce((sum, run) => sum + run.pumpMs, 0),
+      inWindow,
+    };
+  }
+
+  // Returns null when a START is allowed, otherwise the rule that blocks it
+  // (the one that clears last) and how long until it clears.
+  function check() {
+    const at = now();
+    const { runs: count, pumpMs, inWindow } = usage(at);
+    const blocks = [];
+
+    const last = runs.length ? runs[runs.length - 1] : null;
+    if (config.minGapMs > 0 && last && last.endedAt != null && at - last.endedAt < config.minGapMs) {
+      blocks.push({ rule: 'min-gap', retryInMs: last.endedAt + config.minGapMs - at, minGapMs: config.minGapMs });
+    }
+    if (config.maxPerHour > 0 && count >= config.maxPerHour) {
+      const oldest = inWindow[count - config.maxPerHour];
+      blocks.push({ rule: 'max-per-hour', retryInMs: oldest.startedAt + WINDOW_MS - at, runs: count, maxPerHour: config.maxPerHour });
+    }
+    const nextMs = expectedPumpOnMs(timing);
+    if (config.pumpBudgetMs > 0 && pumpMs + nextMs > config.pumpBudgetMs) {
+      // Wait until enough old runs leave the window for one more to fit.
+      let remaining = pumpMs;
+      let clearsAt = at + WINDOW_MS;
+      for (const run of inWindow) {
+        remaining -= run.pumpMs;
+        if (remaining + nextMs <= config.pumpBudgetMs) {
+          clearsAt = run.startedAt + WINDOW_MS;
+          break;
+        }
+      }
+      blocks.push({ rule: 'pump-budget', retryInMs: clearsAt - at, pumpMs, nextMs, pumpBudgetMs: config.pumpBudgetMs });
+    }
+    if (!blocks.length) return null;
+    const worst = blocks.reduce((a, b) => (b.retryInMs > a.retryInMs ? b : a));
+    return { ...worst, retryInMs: Math.max(0, Math.ceil(worst.retryInMs)), retryAt: at + Math.max(0, worst.retryInMs) };
+  }
+
+  function snapshot() {
+    const at = now();
+    const { runs: count, pumpMs } = usage(at);
+    const last = runs.length ? runs[runs.length - 1] : null;
+    return {
+      runsLastHour: count,
+      pumpMsLastHour: pumpMs,
+      lastEndedAt: last ? last.endedAt : null,
+      blocked: check(),
+    };
+  }
+
+  return {
+    recordStart,
+    recordEnd,
+    abortActive,
+    check,
+    snapshot,
+  };
+}
+
+module.exports = {
+  createDutyGuard,
+  estimatePumpOnMs,
+  expectedPumpOnMs,
+  DEFAULT_PUMP_TIMING,
+};
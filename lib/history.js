@@ -0,0 +1,238 @@
+// Sequence history: one durable record per pump sequence.
+// The recorder follows the live run (SEQ START → blinks → END/CANCEL) and the
+// store appends finished records to a JSONL file, so the file is never
+// rewritten. A full file is renamed to <file>.1 (replacing the one before) and
+// a new one is started, so a query never parses more than two files' worth.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SEQ_FRAMES, FRAME_SLOTS, SLOT_DURATION_MS, FRAME_DURATION_MS } = require('./protocol');
+const { analyzeSequence } = require('./accuracy');
+
+const OUTCOMES = ['end', 'cancel', 'person-left', 'aborted'];
+
+// Frame/slot a blink lands in, relative to the firmware's SEQ START time.
+function slotForOffset(relativeMs) {
+  if (!Number.isFinite(relativeMs) || relativeMs < 0) return null;
+  const frame = Math.floor(relativeMs / FRAME_DURATION_MS);
+  if (frame >= SEQ_FRAMES) return null;
+  const slot = Math.min(FRAME_SLOTS - 1, Math.floor((relativeMs % FRAME_DURATION_MS) / SLOT_DURATION_MS));
+  return { frame, slot };
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+// options: rotateBytes, log(event, info)
+function createHistoryStore(filePath, options = {}) {
+  const { rotateBytes = 10 * 1024 * 1024, log = () => {} } = options;
+  const previousPath = `${filePath}.1`;
+
+  function rotateIfFull() {
+    let size;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch (err) {
+      return;
+    }
+    if (size < rotateBytes) return;
+    fs.renameSync(filePath, previousPath);
+    log('history-rotate', { file: filePath, bytes: size });
+  }
+
+  function appendLine(entry) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    rotateIfFull();
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  function append(record) {
+    appendLine({ type: 'sequence', ...record });
+  }
+
+  async function readText(file) {
+    try {
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return '';
+      throw err;
+    }
+  }
+
+  // Oldest first: the rotated file, then the current one.
+  async function readAll() {
+    const text = `${await readText(previousPath)}\n${await readText(filePath)}`;
+    const records = [];
+    text.split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        return;
+      }
+      const { type, ...fields } = entry;
+      if (type === 'sequence') records.push(fields);
+    });
+    return records;
+  }
+
+  // Filters on startedAt (epoch ms or anything Date.parse accepts) and outcome.
+  // Newest records come first.
+  async function query(options = {}) {
+    const from = parseTime(options.from);
+    const to = parseTime(options.to);
+    if (from === undefined || to === undefined) {
+      throw new Error('from/to must be epoch ms or an ISO date');
+    }
+    const outcomes = options.outcome ? String(options.outcome).split(',') : null;
+    const unknown = outcomes ? outcomes.filter((o) => !OUTCOMES.includes(o)) : [];
+    if (unknown.length) {
+      throw new Error(`unknown outcome ${unknown.join(', ')} (expected ${OUTCOMES.join('/')})`);
+    }
+    const limit = Number.parseInt(options.limit, 10) || 0;
+    const rig = options.rig ? String(options.rig) : null;
+    const records = (await readAll()).filter((record) => (
+      (from == null || record.startedAt >= from)
+      && (!rig || record.rig === rig)
+      && (to == null || record.startedAt <= to)
+      && (!outcomes || outcomes.includes(record.outcome))
+    ));
+    records.reverse();
+    return limit > 0 ? records.slice(0, limit) : records;
+  }
+
+  async function get(id) {
+    const records = await readAll();
+    return records.find((record) => record.id === id) || null;
+  }
+
+  return {
+    filePath,
+    append,
+    query,
+    get,
+  };
+}
+
+function createSequenceRecorder({ store, source, rig = null, log = () => {}, now = Date.now }) {
+  let active = null;
+
+  // extra carries fields known at start time (the message seed).
+  function start(seq, lastStart, extra = {}) {
+    if (active) finish('aborted', { cancelReason: 'restarted' });
+    const startRequest = lastStart ? { ...lastStart } : null;
+    if (startRequest) delete startRequest.prevAutoArmed;
+    active = {
+      id: crypto.randomUUID(),
+      source,
+      rig,
+      startedAt: now(),
+      endedAt: null,
+      outcome: null,
+      startReason: startRequest ? startRequest.reason : null,
+      startRequest,
+      firmware: {
+        startMs: seq.time_ms != null ? seq.time_ms : null,
+        endMs: null,
+        leadMs: seq.lead_ms != null ? seq.lead_ms : null,
+      },
+      plannedSlots: Array.isArray(seq.slots) ? seq.slots.slice() : null,
+      detectedSlots: new Array(SEQ_FRAMES).fill(null),
+      blinks: [],
+      stopRequest: null,
+      cancelReason: null,
+      message: null,
+      ...extra,
+    };
+    return active.id;
+  }
+
+  function blink(evt) {
+    if (!active) return;
+    const { startMs } = active.firmware;
+    const relativeMs = startMs != null && evt.time_ms != null ? evt.time_ms - startMs : null;
+    const position = relativeMs != null ? slotForOffset(relativeMs) : null;
+    active.blinks.push({
+      time_ms: evt.time_ms,
+      relativeMs,
+      frame: position ? position.frame : null,
+      slot: position ? position.slot : null,
+      polarity: evt.polarity,
+      prox: evt.prox,
+      zRise: evt.zRise,
+      zDrop: evt.zDrop,
+      confidence: evt.confidence,
+    });
+    // Like the dashboards, the first blink inside a frame is the one that counts.
+    if (position && active.detectedSlots[position.frame] == null) {
+      active.detectedSlots[position.frame] = position.slot;
+    }
+  }
+
+  function noteStop(reason, extra = {}) {
+    if (!active) return;
+    active.stopRequest = { reason, requestedAt: now(), ...extra };
+  }
+
+  // outcome: end | cancel | aborted. A cancel that follows our own
+  // person-left STOP is filed as person-left. info.message (English) and
+  // info.messages (every locale) are the decoded poem of a run that reached
+  // its end.
+  function finish(outcome, info = {}) {
+    if (!active) return null;
+    const record = active;
+    active = null;
+    record.endedAt = now();
+    record.firmware.endMs = info.time_ms != null ? info.time_ms : null;
+    if (info.message != null) record.message = info.message;
+    if (info.messages) record.messages = info.messages;
+    record.outcome = outcome === 'cancel' && record.stopRequest && record.stopRequest.reason === 'person-left'
+      ? 'person-left'
+      : outcome;
+    if (outcome === 'cancel') {
+      record.cancelReason = (record.stopRequest ? record.stopRequest.reason : null)
+        || info.cancelReason || null;
+    } else if (outcome === 'aborted') {
+      record.cancelReason = info.cancelReason || null;
+    }
+    record.accuracy = analyzeSequence(record);
+    try {
+      store.append(record);
+      log('history-saved', {
+        id: record.id,
+        outcome: record.outcome,
+        cancelReason: record.cancelReason,
+        blinks: record.blinks.length,
+        syncScore: record.accuracy ? record.accuracy.syncScore : null,
+      });
+    } catch (err) {
+      log('history-save-failed', { id: record.id, error: err.message });
+    }
+    return record;
+  }
+
+  function activeId() {
+    return active ? active.id : null;
+  }
+
+  return {
+    start,
+    blink,
+    noteStop,
+    finish,
+    activeId,
+  };
+}
+
+module.exports = {
+  createHistoryStore,
+  createSequenceRecorder,
+  slotForOffset,
+  OUTCOMES,
+};
@@ -0,0 +1,185 @@
+// Message decoding for the visitor screen.
+// A sequence is 16 frames in four groups of four. Each group becomes one
+// segment of the poem: the slot the visitor blinked in most often picks the
+// line, shifted by the previous group's slot sum. A group without any blink
+// falls back to a seeded random pick, and the seed comes from the SEQ START
+// line, so replaying a capture decodes the same poem again. The lines come
+// from the content pack (lib/content.js) that was active when the run began,
+// in every locale the pack has.
+
+const { SEQ_FRAMES, FRAME_SLOTS, FRAME_DURATION_MS } = require('./protocol');
+const { slotForOffset } = require('./history');
+const { createRandom } = require('./random');
+
+const SEGMENT_COUNT = SEQ_FRAMES / FRAME_SLOTS;
+const NO_BLINK = -1;
+
+// Tables per segment, with the separator that follows each line.
+const SEGMENT_TABLES = [
+  { table: 'intros', after: ' ' },
+  { table: 'moods', after: '\n' },
+  { table: 'bridges', after: ' ' },
+  { table: 'codas', after: '' },
+];
+
+// FNV-1a over the SEQ START time and slot plan.
+function seedForSequence(seq) {
+  const text = `${seq.time_ms != null ? seq.time_ms : ''}|${Array.isArray(seq.slots) ? seq.slots.join('') : ''}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function dominantIndex(values) {
+  const tally = new Array(FRAME_SLOTS).fill(0);
+  values.forEach((val) => { tally[val] += 1; });
+  let best = -1;
+  let idx = 0;
+  for (let i = 0; i < tally.length; i += 1) {
+    if (tally[i] > best) {
+      best = tally[i];
+      idx = i;
+    }
+  }
+  return idx;
+}
+
+function sumMod(values) {
+  return values.reduce((acc, val) => acc + val, 0) % FRAME_SLOTS;
+}
+
+function inEveryLocale(pack, read) {
+  const texts = {};
+  Object.entries(pack.locales).forEach(([locale, tables]) => {
+    texts[locale] = read(tables);
+  });
+  return texts;
+}
+
+// Follows one sequence. blink() and advance() take firmware milliseconds and
+// return the segments that became complete; finish() decodes whatever is left
+// and returns { segments, final }.
+function createMessageDecoder({ sequenceId = null, seq = {}, pack }) {
+  const seed = seedForSequence(seq);
+  const random = createRandom(seed);
+  const startMs = typeof seq.time_ms === 'number' ? seq.time_ms : null;
+  const plannedSlots = Array.isArray(seq.slots) && seq.slots.length === SEQ_FRAMES ? seq.slots.slice() : null;
+  const frames = new Array(SEQ_FRAMES).fill(null);
+  const segments = [];
+  let framesResolved = 0;
+  let final = null;
+
+  function decodeSegment(index, values) {
+    const blinked = values.filter((val) => val != null && val >= 0);
+    const fallback = blinked.length === 0;
+    const dominant = fallback ? Math.floor(random() * FRAME_SLOTS) : dominantIndex(blinked);
+    const modSum = fallback ? Math.floor(random() * FRAME_SLOTS) : sumMod(blinked);
+    const shift = index > 0 ? segments[index - 1].modSum : 0;
+    const line = (dominant + shift) % FRAME_SLOTS;
+    const { table, after } = SEGMENT_TABLES[index];
+    const segment = {
+      sequenceId,
+      index,
+      line,
+      texts: inEveryLocale(pack, (tables) => `${tables[table][line]}${after}`),
+      values,
+      modSum,
+      fallback,
+    };
+    segments.push(segment);
+    return segment;
+  }
+
+  function decodeReady() {
+    const ready = [];
+    while (segments.length < SEGMENT_COUNT && framesResolved >= (segments.length + 1) * FRAME_SLOTS) {
+      const from = segments.length * FRAME_SLOTS;
+      ready.push(decodeSegment(segments.length, frames.slice(from, from + FRAME_SLOTS)));
+    }
+    return ready;
+  }
+
+  function resolveThrough(timeMs) {
+    if (startMs == null || typeof timeMs !== 'number') return;
+    const completed = Math.min(SEQ_FRAMES, Math.floor((timeMs - startMs) / FRAME_DURATION_MS));
+    for (let frame = framesResolved; frame < completed; frame += 1) {
+      if (frames[frame] == null) frames[frame] = NO_BLINK;
+    }
+    framesResolved = Math.max(framesResolved, completed);
+  }
+
+  function advance(timeMs) {
+    if (final) return [];
+    resolveThrough(timeMs);
+    return decodeReady();
+  }
+
+  // The first blink inside a frame is the one that counts.
+  function blink(timeMs) {
+    if (final || startMs == null || typeof timeMs !== 'number') return [];
+    const position = slotForOffset(timeMs - startMs);
+    if (position && position.frame >= framesResolved && frames[position.frame] == null) {
+      frames[position.frame] = position.slot;
+    }
+    return advance(timeMs);
+  }
+
+  // Frames the firmware never reported time for take the planned slot; a frame
+  // with neither is lost and earns a glitch note.
+  function finish(timeMs) {
+    if (final) return { segments: [], final };
+    resolveThrough(timeMs);
+    let missing = 0;
+    for (let frame = framesResolved; frame < SEQ_FRAMES; frame += 1) {
+      if (frames[frame] != null) continue;
+      if (plannedSlots && Number.isInteger(plannedSlots[frame])) {
+        frames[frame] = plannedSlots[frame];
+      } else {
+        frames[frame] = NO_BLINK;
+        missing += 1;
+      }
+    }
+    framesResolved = SEQ_FRAMES;
+    const ready = decodeReady();
+    let glitch = null;
+    if (missing > 0) {
+      const idx = (missing - 1) % FRAME_SLOTS;
+      glitch = { texts: inEveryLocale(pack, (tables) => `\n${tables.glitchNotes[idx]}`) };
+    }
+    const messages = {};
+    Object.keys(pack.locales).forEach((locale) => {
+      messages[locale] = `${segments.map((s) => s.texts[locale]).join('')}${glitch ? glitch.texts[locale] : ''}`;
+    });
+    final = {
+      sequenceId,
+      seed,
+      contentPack: { id: pack.id, version: pack.version },
+      message: messages.en,
+      messages,
+      glitch,
+      frames: frames.slice(),
+    };
+    return { segments: ready, final };
+  }
+
+  function snapshot() {
+    return { sequenceId, seed, segments: segments.slice(), final };
+  }
+
+  return {
+    seed,
+    advance,
+    blink,
+    finish,
+    snapshot,
+  };
+}
+
+module.exports = {
+  createMessageDecoder,
+  seedForSequence,
+  SEGMENT_COUNT,
+};
@@ -0,0 +1,184 @@
+// Prometheus text exposition for the controller.
+// Counters are fed from the control log and the serial parse path; gauges are
+// read when /metrics is scraped.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return `{${keys.map((key) => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function createRegistry() {
+  const families = [];
+
+  function counter(name, help) {
+    const values = new Map();
+    families.push({ name, help, type: 'counter', collect: () => Array.from(values.values()) });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = formatLabels(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += by;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  // collect() returns a number, a list of { labels, value }, or null to skip.
+  function gauge(name, help, collect) {
+    families.push({ name, help, type: 'gauge', collect });
+  }
+
+  function render() {
+    const lines = [];
+    families.forEach((family) => {
+      let samples = family.collect();
+      if (samples == null) return;
+      if (typeof samples === 'number') samples = [{ labels: {}, value: samples }];
+      samples = samples.filter((sample) => Number.isFinite(sample.value));
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      samples.forEach((sample) => {
+        lines.push(`${family.name}${formatLabels(sample.labels)} ${sample.value}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, render };
+}
+
+// Free-form reasons such as "api:phone" are folded to their prefix so the
+// label set stays small.
+function reasonLabel(reason) {
+  if (!reason) return 'unknown';
+  return String(reason).split(':')[0];
+}
+
+// A START the server never asked for (e.g. firmware restarted mid-run) has
+// no reason and counts as external.
+function startTrigger(reason) {
+  if (!reason) return 'external';
+  return String(reason).startsWith('auto') ? 'auto' : 'manual';
+}
+
+// Commands carry their arguments ("SET puff_ms=70", "CAPTURE 1"); only the
+// verb goes into the label.
+function commandVerb(command) {
+  const verb = String(command || '').trim().split(/\s+/)[0];
+  return verb ? verb.toUpperCase() : 'unknown';
+}
+
+// Every rig-level series carries a rig label. getRigs() returns
+// [{ id, serialUp, sequenceActive }] when /metrics is scraped.
+function createControllerMetrics({ getWsClients, getRigs, now = Date.now }) {
+  const registry = createRegistry();
+  const startedAt = now();
+  // Last STATUS line per rig: { status, at }.
+  const lastStatus = new Map();
+
+  const sequencesStarted = registry.counter('gradi_sequences_started_total', 'Sequences the firmware started, by trigger.');
+  const sequencesEnded = registry.counter('gradi_sequences_ended_total', 'Sequences that ran to the end.');
+  const sequencesCancelled = registry.counter('gradi_sequences_cancelled_total', 'Sequences cancelled or aborted, by outcome and reason.');
+  const startRollbacks = registry.counter('gradi_start_rollbacks_total', 'START requests rolled back without a run, by failure.');
+  const startBlocked = registry.counter('gradi_start_blocked_total', 'START requests refused by duty protection, opening hours or maintenance, by rule.');
+  const serialOpens = registry.counter('gradi_serial_opens_total', 'Times the serial link was opened.');
+  const serialReconnects = registry.counter('gradi_serial_reconnect_attempts_total', 'Scheduled serial reconnect attempts.');
+  const serialLost = registry.counter('gradi_serial_lost_total', 'Times the serial link dropped.');
+  const firmwareResets = registry.counter('gradi_firmware_resets_total', 'Firmware boot banners seen mid-session.');
+  const linesParsed = registry.counter('gradi_serial_lines_total', 'Serial lines received, by kind.');
+  const parseFailures = registry.counter('gradi_serial_parse_failures_total', 'Serial lines that failed their schema, by kind.');
+  const commandFailures = registry.counter('gradi_command_failures_total', 'Firmware commands that went unanswered, by command and reason.');
+  const commandRetries = registry.counter('gradi_command_retries_total', 'Firmware commands resent after a timeout, by command.');
+
+  // Counters without further labels start at 0 for every rig so rate() has a
+  // baseline from the first scrape.
+  function addRig(rig) {
+    [sequencesEnded, serialOpens, serialReconnects, serialLost, firmwareResets].forEach((c) => c.inc({ rig }, 0));
+  }
+
+  function perRig(read) {
+    return getRigs().map((rig) => ({ labels: { rig: rig.id }, value: read(rig) }));
+  }
+
+  function perStatus(read) {
+    return Array.from(lastStatus.entries()).map(([rig, entry]) => ({ labels: { rig }, value: read(entry) }));
+  }
+
+  registry.gauge('gradi_ws_clients', 'Connected WebSocket clients.', () => getWsClients());
+  registry.gauge('gradi_serial_up', 'Whether the serial link is open (1) or not (0).', () => perRig((rig) => (rig.serialUp ? 1 : 0)));
+  registry.gauge('gradi_sequence_active', 'Whether a sequence is running (1) or not (0).', () => perRig((rig) => (rig.sequenceActive ? 1 : 0)));
+  registry.gauge('gradi_status_confidence', 'Blink confidence from the last STATUS line.', () => perStatus(({ status }) => (
+    typeof status.confidence === 'number' ? status.confidence : null
+  )));
+  registry.gauge('gradi_status_prox', 'Proximity from the last STATUS line.', () => perStatus(({ status }) => (
+    typeof status.prox === 'number' ? status.prox : null
+  )));
+  registry.gauge('gradi_status_presence', 'Presence state from the last STATUS line (1 = PRESENCE).', () => perStatus(({ status }) => (
+    status.state === 'PRESENCE' ? 1 : 0
+  )));
+  registry.gauge('gradi_status_age_seconds', 'Seconds since the last STATUS line.', () => perStatus(({ at }) => (now() - at) / 1000));
+  registry.gauge('gradi_uptime_seconds', 'Seconds since the server started.', () => (now() - startedAt) / 1000);
+
+  // Events without a rig (WebSocket clients, schedule changes) are not counted.
+  function observeControlEvent(event, info, rig) {
+    if (!rig) return;
+    switch (event) {
+      case 'sequence-started':
+        sequencesStarted.inc({ rig, trigger: startTrigger(info.reason) });
+        break;
+      case 'history-saved':
+        if (info.outcome === 'end') sequencesEnded.inc({ rig });
+        else sequencesCancelled.inc({ rig, outcome: info.outcome, reason: reasonLabel(info.cancelReason) });
+        break;
+      case 'start-rollback':
+        startRollbacks.inc({ rig, failure: info.failure || 'unknown' });
+        break;
+      case 'start-blocked':
+        startBlocked.inc({ rig, rule: info.rule });
+        break;
+      case 'serial-state':
+        if (info.state === 'open') serialOpens.inc({ rig });
+        // The first connect also reports "connecting"; only the retries that
+        // scheduleSerialReconnect sets up carry retryInMs.
+        else if (info.state === 'connecting' && info.retryInMs != null) serialReconnects.inc({ rig });
+        else if (info.state === 'lost') serialLost.inc({ rig });
+        break;
+      case 'firmware-reset':
+        firmwareResets.inc({ rig });
+        break;
+      case 'command-failed':
+        commandFailures.inc({ rig, command: commandVerb(info.command), reason: info.reason });
+        break;
+      case 'command-retry':
+        commandRetries.inc({ rig, command: commandVerb(info.command) });
+        break;
+      default:
+        break;
+    }
+  }
+
+  function observeLine(parsed, rig) {
+    linesParsed.inc({ rig, kind: parsed.kind });
+    if (!parsed.ok && parsed.kind !== 'RAW') parseFailures.inc({ rig, kind: parsed.kind });
+    if (parsed.kind === 'STATUS' && parsed.ok) {
+      lastStatus.set(rig, { status: parsed.data, at: now() });
+    }
+  }
+
+  return {
+    addRig,
+    observeControlEvent,
+    observeLine,
+    render: registry.render,
+  };
+}
+
+module.exports = {
+  createRegistry,
+  createControllerMetrics,
+};
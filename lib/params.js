@@ -0,0 +1,70 @@
+// Firmware pump/valve parameters that can be changed without reflashing.
+// The sketch answers `GET` and `SET key=value` with a PARAMS line holding the
+// values it is running with (or `SET ERR …`). The ranges here mirror the
+// sketch's own checks so a bad value is refused before it reaches the board.
+// Like the sketch, duty_run above DUTY_RUN_MAX is lowered to the cap
+// (clampMax) rather than refused.
+
+const DUTY_RUN_MAX = 1000;
+
+const FIRMWARE_PARAMS = {
+  precharge_ms: { min: 0, max: 1600, step: 10, integer: true },
+  puff_ms: { min: 10, max: 400, step: 5, integer: true },
+  guard_ms: { min: 0, max: 1600, step: 10, integer: true },
+  duty_run: { min: 0, max: DUTY_RUN_MAX, step: 10, integer: true, clampMax: true },
+  ramp_time_ms: { min: 0, max: 1000, step: 10, integer: true },
+};
+
+// Compiled-in values of gradi-proxy-esp.ino.
+const DEFAULT_FIRMWARE_PARAMS = {
+  precharge_ms: 400,
+  puff_ms: 70,
+  guard_ms: 350,
+  duty_run: 1000,
+  ramp_time_ms: 60,
+};
+
+// Checks a partial parameter update. Returns { ok, values, errors } where
+// values holds the accepted changes, clamped where the sketch clamps.
+function validateParamPatch(patch) {
+  const errors = [];
+  const values = {};
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch) || !Object.keys(patch).length) {
+    return { ok: false, values, errors: ['expected an object of firmware parameters'] };
+  }
+  Object.entries(patch).forEach(([key, raw]) => {
+    const field = FIRMWARE_PARAMS[key];
+    if (!field) {
+      errors.push(`${key}: not a firmware parameter`);
+      return;
+    }
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push(`${key}: expected an integer`);
+      return;
+    }
+    if (value < field.min || (value > field.max && !field.clampMax)) {
+      errors.push(`${key}: must be between ${field.min} and ${field.max}`);
+      return;
+    }
+    values[key] = Math.min(value, field.max);
+  });
+  return { ok: errors.length === 0, values, errors };
+}
+
+// Pump timing for the duty estimate (lib/duty.js) from firmware parameters.
+function pumpTimingFrom(params) {
+  return {
+    prechargeMs: params.precharge_ms,
+    puffMs: params.puff_ms,
+    rampMs: params.ramp_time_ms,
+  };
+}
+
+module.exports = {
+  validateParamPatch,
+  pumpTimingFrom,
+  FIRMWARE_PARAMS,
+  DEFAULT_FIRMWARE_PARAMS,
+  DUTY_RUN_MAX,
+};
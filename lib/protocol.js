@@ -0,0 +1,328 @@
+// Serial telemetry protocol for gradi-proxy-esp.ino.
+// parseLine() classifies every line the firmware prints and returns a typed
+// result. Lines that match a known kind but fail its schema come back with
+// ok=false and a list of issues instead of being dropped.
+
+const SEQ_FRAMES = 16;
+const FRAME_SLOTS = 4;
+// Sequence timing: the firmware waits SEQUENCE_LEAD_MS after START and prints
+// SEQ START with a time_ms that already includes the lead, so frame 0 begins
+// at time_ms. Each frame's puff fires at its slot's offset into the frame.
+const SLOT_DURATION_MS = 400;
+const FRAME_DURATION_MS = SLOT_DURATION_MS * FRAME_SLOTS;
+const SEQUENCE_LEAD_MS = 200;
+
+const PRESENCE_STATES = ['IDLE', 'PRESENCE'];
+const BLINK_POLARITIES = ['rise', 'dip'];
+const DBG_STAGES = [
+  'SEARCH',
+  'BLOCK_CONF',
+  'BLOCK_READY',
+  'BLOCK_REFRACT',
+  'ENTER',
+  'TRACK',
+  'TRIGGER',
+  'RESET',
+  'HOLD',
+];
+const BOOT_LINES = ['VCNL4040 OK', 'VCNL4040 not found', 'ledcAttach failed'];
+
+// Field types: int, number, bool (0/1/true/false), enum (with values), slots.
+const SCHEMAS = {
+  STATUS: {
+    required: {
+      time_ms: 'int',
+      state: { type: 'enum', values: PRESENCE_STATES },
+      confidence: 'number',
+      blinks: 'int',
+    },
+    optional: {
+      prox: 'int',
+      mean: 'number',
+      sigma: 'number',
+      zRise: 'number',
+      zDrop: 'number',
+      ready: 'bool',
+    },
+  },
+  BLINK: {
+    required: {
+      time_ms: 'int',
+      prox: 'int',
+      mean: 'number',
+      sigma: 'number',
+      zRise: 'number',
+      zDrop: 'number',
+      polarity: { type: 'enum', values: BLINK_POLARITIES },
+      confidence: 'number',
+      blinks: 'int',
+    },
+    optional: {},
+  },
+  'SEQ START': {
+    required: { time_ms: 'int', slots: 'slots' },
+    optional: { lead_ms: 'int' },
+  },
+  'SEQ END': {
+    required: { time_ms: 'int' },
+    optional: {},
+  },
+  'SEQ CANCEL': {
+    required: { time_ms: 'int' },
+    optional: { reason: 'string' },
+  },
+  'SEQ BUSY': {
+    required: {},
+    optional: {},
+  },
+  PARAMS: {
+    required: {
+      precharge_ms: 'int',
+      puff_ms: 'int',
+      guard_ms: 'int',
+      duty_run: 'int',
+      ramp_time_ms: 'int',
+    },
+    optional: {},
+  },
+  'SET ERR': {
+    required: { key: 'string', reason: 'string' },
+    optional: { value: 'string' },
+  },
+  DBG: {
+    required: {
+      time_ms: 'int',
+      stage: { type: 'enum', values: DBG_STAGES },
+      prox: 'int',
+      conf: 'number',
+      sigma: 'number',
+      zRise: 'number',
+      zDrop: 'number',
+      dev: 'number',
+      slope: 'number',
+      mean: 'number',
+      beyond: 'bool',
+      polarity: 'int',
+      cross_ms: 'int',
+      refractory: 'int',
+      enter: 'bool',
+      blinkCount: 'int',
+    },
+    optional: {},
+  },
+};
+
+function parseKeyValueSegments(remainder) {
+  if (!remainder) return {};
+  const segments = remainder.split('|');
+  const data = {};
+  segments.forEach((seg) => {
+    const trimmed = seg.trim();
+    if (!trimmed) return;
+    const idx = trimmed.indexOf('=');
+    if (idx === -1) return;
+    const key = trimmed.slice(0, idx).trim();
+    const value = trimmed.slice(idx + 1).trim();
+    if (key) data[key] = value;
+  });
+  return data;
+}
+
+function coerce(type, raw) {
+  const spec = typeof type === 'string' ? { type } : type;
+  const text = String(raw).trim();
+  switch (spec.type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) return { error: `expected integer, got "${text}"` };
+      return { value: Number(text) };
+    }
+    case 'number': {
+      if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return { error: `expected number, got "${text}"` };
+      return { value: Number(text) };
+    }
+    case 'bool': {
+      const lower = text.toLowerCase();
+      if (lower === '1' || lower === 'true') return { value: true };
+      if (lower === '0' || lower === 'false') return { value: false };
+      return { error: `expected 0/1, got "${text}"` };
+    }
+    case 'enum': {
+      if (!spec.values.includes(text)) return { error: `expected one of ${spec.values.join('/')}, got "${text}"` };
+      return { value: text };
+    }
+    case 'slots': {
+      const parts = text.split(',').map((s) => s.trim());
+      if (parts.length !== SEQ_FRAMES) return { error: `expected ${SEQ_FRAMES} slots, got ${parts.length}` };
+      const slots = [];
+      for (const part of parts) {
+        if (!/^\d+$/.test(part) || Number(part) >= FRAME_SLOTS) {
+          return { error: `slot "${part}" outside 0..${FRAME_SLOTS - 1}` };
+        }
+        slots.push(Number(part));
+      }
+      return { value: slots };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+function applySchema(schema, fields) {
+  const data = {};
+  const issues = [];
+  Object.entries(schema.required).forEach(([key, type]) => {
+    if (!(key in fields)) {
+      issues.push(`missing ${key}`);
+      return;
+    }
+    const result = coerce(type, fields[key]);
+    if (result.error) issues.push(`${key}: ${result.error}`);
+    else data[key] = result.value;
+  });
+  Object.entries(schema.optional).forEach(([key, type]) => {
+    if (!(key in fields)) return;
+    const result = coerce(type, fields[key]);
+    if (result.error) issues.push(`${key}: ${result.error}`);
+    else data[key] = result.value;
+  });
+  // Newer firmware may add fields; keep them visible without failing the line.
+  const unknownFields = Object.keys(fields).filter((key) => !(key in schema.required) && !(key in schema.optional));
+  return { data, issues, unknownFields };
+}
+
+function result(kind, raw, data, issues = [], unknownFields = []) {
+  return {
+    kind,
+    ok: issues.length === 0,
+    data,
+    issues,
+    unknownFields,
+    raw,
+  };
+}
+
+function parseSampleLine(line) {
+  const m = line.match(/^t=(\d+)\s*ms\s*\|\s*prox=(\S*)\s*$/i);
+  if (!m) {
+    return result('SAMPLE', line, {}, ['expected "t=<ms> ms | prox=<count>"']);
+  }
+  const prox = coerce('int', m[2]);
+  if (prox.error) {
+    return result('SAMPLE', line, { t: Number(m[1]) }, [`prox: ${prox.error}`]);
+  }
+  return result('SAMPLE', line, { t: Number(m[1]), prox: prox.value });
+}
+
+function parseFieldsLine(kind, schemaName, line, remainder) {
+  const fields = parseKeyValueSegments(remainder);
+  const { data, issues, unknownFields } = applySchema(SCHEMAS[schemaName], fields);
+  return result(kind, line, data, issues, unknownFields);
+}
+
+function parseStatusLine(line) {
+  return parseFieldsLine('STATUS', 'STATUS', line, line.slice('STATUS'.length));
+}
+
+function parseBlinkLine(line) {
+  return parseFieldsLine('BLINK', 'BLINK', line, line.slice('BLINK'.length));
+}
+
+function parseDebugLine(line) {
+  return parseFieldsLine('DBG', 'DBG', line, line.slice('DBG'.length));
+}
+
+function parseSequenceLine(line) {
+  const m = line.match(/^SEQ\s+(START|END|CANCEL|BUSY)\b/i);
+  if (!m) {
+    return result('SEQ', line, {}, ['unknown SEQ action']);
+  }
+  const action = m[1].toUpperCase();
+  const parsed = parseFieldsLine('SEQ', `SEQ ${action}`, line, line.slice(m[0].length));
+  parsed.data = { action, ...parsed.data };
+  return parsed;
+}
+
+function parseCaptureLine(line) {
+  const m = line.match(/^CAPTURE\s+(ON|OFF)\s*$/i);
+  if (!m) {
+    return result('CAPTURE', line, {}, ['expected "CAPTURE ON" or "CAPTURE OFF"']);
+  }
+  return result('CAPTURE', line, { enabled: m[1].toUpperCase() === 'ON' });
+}
+
+function parseParamsLine(line) {
+  return parseFieldsLine('PARAMS', 'PARAMS', line, line.slice('PARAMS'.length));
+}
+
+function parseSetErrorLine(line) {
+  if (!/^SET ERR\b/.test(line)) {
+    return result('SET', line, {}, ['expected "SET ERR key=… | reason=…"']);
+  }
+  return parseFieldsLine('SET', 'SET ERR', line, line.slice('SET ERR'.length));
+}
+
+function detectLineKind(line) {
+  if (line.startsWith('STATUS')) return 'STATUS';
+  if (line.startsWith('BLINK')) return 'BLINK';
+  if (line.startsWith('SEQ')) return 'SEQ';
+  if (line.startsWith('DBG')) return 'DBG';
+  if (line.startsWith('CAPTURE')) return 'CAPTURE';
+  if (line.startsWith('PARAMS')) return 'PARAMS';
+  if (line.startsWith('SET')) return 'SET';
+  if (/^ERR/i.test(line)) return 'ERR';
+  if (/^t=\d/.test(line)) return 'SAMPLE';
+  if (BOOT_LINES.includes(line)) return 'BOOT';
+  return 'RAW';
+}
+
+function parseLine(text) {
+  const line = String(text == null ? '' : text).trim();
+  const kind = detectLineKind(line);
+  switch (kind) {
+    case 'STATUS':
+      return parseStatusLine(line);
+    case 'BLINK':
+      return parseBlinkLine(line);
+    case 'SEQ':
+      return parseSequenceLine(line);
+    case 'DBG':
+      return parseDebugLine(line);
+    case 'CAPTURE':
+      return parseCaptureLine(line);
+    case 'PARAMS':
+      return parseParamsLine(line);
+    case 'SET':
+      return parseSetErrorLine(line);
+    case 'SAMPLE':
+      return parseSampleLine(line);
+    case 'ERR':
+      return result('ERR', line, { message: line.replace(/^ERR\s*/i, '') });
+    case 'BOOT':
+      return result('BOOT', line, {
+        message: line,
+        healthy: !/not found|failed/i.test(line),
+      });
+    default:
+      return result('RAW', line, {}, line ? ['unrecognised line'] : ['empty line']);
+  }
+}
+
+module.exports = {
+  parseLine,
+  detectLineKind,
+  parseKeyValueSegments,
+  parseSampleLine,
+  parseStatusLine,
+  parseBlinkLine,
+  parseSequenceLine,
+  parseDebugLine,
+  parseCaptureLine,
+  parseParamsLine,
+  parseSetErrorLine,
+  SCHEMAS,
+  SEQ_FRAMES,
+  FRAME_SLOTS,
+  SLOT_DURATION_MS,
+  FRAME_DURATION_MS,
+  SEQUENCE_LEAD_MS,
+};
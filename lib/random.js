@@ -0,0 +1,18 @@
+// Seeded pseudo-random numbers (mulberry32), shared by the simulator and the
+// message decoder so a seed always replays the same draws.
+
+// Returns a function yielding floats in [0, 1).
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createRandom,
+};
@@ -0,0 +1,260 @@
+// Capture replay: feeds a --capture log back through the serial parse path.
+// Capture lines look like "<host epoch ms> <raw serial line>"; files ending in
+// .gz are gzip-compressed.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+
+const MAX_TICK_MS = 250;
+
+function parseCaptureEntry(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  const m = trimmed.match(/^(\d{10,})\s(.*)$/);
+  if (!m) return null;
+  const line = m[2].trim();
+  if (!line) return null;
+  return { ts: Number(m[1]), line };
+}
+
+// A capture that was still being written when the server died ends mid-gzip;
+// everything up to that point is still returned.
+function readCaptureText(filePath) {
+  const data = fs.readFileSync(filePath);
+  if (!filePath.endsWith('.gz')) return data.toString('utf8');
+  return zlib.gunzipSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+}
+
+function loadCapture(filePath) {
+  const text = readCaptureText(filePath);
+  const entries = [];
+  text.split('\n').forEach((row) => {
+    const entry = parseCaptureEntry(row);
+    if (entry) entries.push(entry);
+  });
+  if (!entries.length) return [];
+  const origin = entries[0].ts;
+  return entries.map((entry) => ({ ...entry, offset: entry.ts - origin }));
+}
+
+function createReplay(filePath, options = {}) {
+  const entries = loadCapture(filePath);
+  const durationMs = entries.length ? entries[entries.length - 1].offset : 0;
+  const emitter = new EventEmitter();
+
+  let speed = options.speed > 0 ? options.speed : 1;
+  let loop = Boolean(options.loop);
+  let playing = false;
+  let index = 0;
+  let timer = null;
+  let anchorPos = 0;
+  let anchorWall = 0;
+  // Recorded time of the first line; the clock below reads
+  // origin + position + rewound.
+  const origin = entries.length ? entries[0].ts : Date.now();
+  // Time skipped back by loops and backward seeks, so the clock never runs
+  // backwards.
+  let rewound = 0;
+  // id -> { at, fn } timers on the replay clock.
+  const timers = new Map();
+  let nextTimerId = 1;
+  let pumping = false;
+
+  function position() {
+    if (!playing) return anchorPos;
+    return Math.min(durationMs, anchorPos + (Date.now() - anchorWall) * speed);
+  }
+
+  function setAnchor(pos) {
+    anchorPos = pos;
+    anchorWall = Date.now();
+  }
+
+  function moveTo(pos) {
+    rewound += Math.max(0, position() - pos);
+    setAnchor(pos);
+  }
+
+  function clockNow() {
+    return origin + position() + rewound;
+  }
+
+  function nextTimer() {
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (!due || timer.at < due.at) due = { id, ...timer };
+    });
+    return due;
+  }
+
+  function clearTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function indexAt(pos) {
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (entries[mid].offset < pos) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function status() {
+    return {
+      file: filePath,
+      playing,
+      speed,
+      loop,
+      positionMs: Math.round(position()),
+      durationMs,
+      lines: entries.length,
+      index,
+    };
+  }
+
+  // Emits the lines and fires the clock timers that are due, in recorded
+  // order.
+  function pump() {
+    timer = null;
+    if (!playing) return;
+    pumping = true;
+    const pos = position();
+    const now = clockNow();
+    for (;;) {
+      const due = nextTimer();
+      const lineDue = index < entries.length && entries[index].offset <= pos;
+      if (due && due.at <= now && (!lineDue || due.at <= origin + entries[index].offset + rewound)) {
+        timers.delete(due.id);
+        due.fn();
+      } else if (lineDue) {
+        const entry = entries[index];
+        index += 1;
+        emitter.emit('data', Buffer.from(`${entry.line}\n`, 'utf8'), entry);
+      } else {
+        break;
+      }
+    }
+    pumping = false;
+    if (!playing) return;
+    if (index >= entries.length) {
+      if (loop && entries.length) {
+        index = 0;
+        moveTo(0);
+        emitter.emit('loop', status());
+      } else {
+        // Nothing is left to reach the pending timers; listeners reset
+        // whatever was waiting on them.
+        playing = false;
+        timers.clear();
+        setAnchor(durationMs);
+        emitter.emit('end', status());
+        return;
+      }
+    }
+    const due = nextTimer();
+    const next = Math.min(entries[index].offset, due ? due.at - origin - rewound : Infinity);
+    const wait = (next - position()) / speed;
+    timer = setTimeout(pump, Math.max(0, Math.min(MAX_TICK_MS, wait)));
+  }
+
+  // A timer set between pumps may be due before the pump already scheduled.
+  function wake() {
+    if (!playing || pumping) return;
+    clearTimer();
+    timer = setTimeout(pump, 0);
+  }
+
+  emitter.start = () => {
+    if (playing) return;
+    if (index >= entries.length) {
+      index = 0;
+      moveTo(0);
+    } else {
+      setAnchor(anchorPos);
+    }
+    playing = true;
+    emitter.emit('state', status());
+    pump();
+  };
+
+  emitter.pause = () => {
+    if (!playing) return;
+    setAnchor(position());
+    playing = false;
+    clearTimer();
+    emitter.emit('state', status());
+  };
+
+  emitter.seek = (ms) => {
+    const target = Math.max(0, Math.min(durationMs, Number(ms) || 0));
+    clearTimer();
+    index = indexAt(target);
+    moveTo(target);
+    emitter.emit('seek', status());
+    if (playing) pump();
+  };
+
+  emitter.setSpeed = (value) => {
+    const next = Number(value);
+    if (!Number.isFinite(next) || next <= 0) return;
+    setAnchor(position());
+    speed = next;
+    emitter.emit('state', status());
+    if (playing) {
+      clearTimer();
+      pump();
+    }
+  };
+
+  emitter.setLoop = (value) => {
+    loop = Boolean(value);
+    emitter.emit('state', status());
+  };
+
+  // Commands have nowhere to go during a replay; the firmware's answers are
+  // already in the log.
+  emitter.write = (text, cb) => {
+    emitter.emit('command', String(text).trim());
+    if (typeof cb === 'function') cb(null);
+    return true;
+  };
+
+  emitter.close = () => {
+    playing = false;
+    clearTimer();
+    timers.clear();
+    emitter.emit('close');
+  };
+
+  // Recorded time at the current position, for the controller and duty guard:
+  // it runs at the replay speed and stands still while paused. Timers fire
+  // when playback reaches them.
+  emitter.clock = {
+    now: clockNow,
+    setTimeout(fn, ms) {
+      const id = nextTimerId;
+      nextTimerId += 1;
+      timers.set(id, { at: clockNow() + Math.max(0, Number(ms) || 0), fn });
+      wake();
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+  };
+
+  emitter.status = status;
+  return emitter;
+}
+
+module.exports = {
+  createReplay,
+  loadCapture,
+  parseCaptureEntry,
+  readCaptureText,
+};
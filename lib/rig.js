@@ -0,0 +1,744 @@
+// One Gradi station: its serial link (or simulator / replay), command
+// tracker, auto controller, sequence recorder and capture file. server.js
+// runs one rig per entry in RIGS_FILE, or a single rig built from .env.
+//
+// A rig never talks to clients directly; everything goes through the log()
+// and broadcast() hooks it is given, which tag it with the rig id.
+
+const fs = require('fs');
+const path = require('path');
+const { SerialPort } = require('serialport');
+const { createReplay } = require('./replay');
+const { createSimulator } = require('./simulator');
+const { parseLine, detectLineKind } = require('./protocol');
+const { createCommandTracker, validateConsoleCommand } = require('./commands');
+const { validateControlPatch } = require('./settings');
+const { createSequenceRecorder } = require('./history');
+const { createController } = require('./controller');
+const { createMessageDecoder, seedForSequence } = require('./message');
+const { DEFAULT_PUMP_TIMING } = require('./duty');
+const { validateParamPatch, pumpTimingFrom } = require('./params');
+
+const RIG_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+// Reads the rigs file: a JSON list of
+//   { "id": "b", "name": "Station B", "serialPort": "/dev/ttyUSB1", "baud": 115200,
+//     "control": { "confStart": 0.92 }, "captureFile": "captures/b.log" }
+// Only id is required; everything else falls back to defaults (the .env
+// values). Throws with every problem found.
+function loadRigs(filePath, defaults) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read rigs file ${filePath}: ${err.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error(`Rigs file ${filePath} must hold a non-empty list of rigs`);
+  }
+  const errors = [];
+  const seen = new Set();
+  const rigs = list.map((entry, idx) => {
+    const label = entry && entry.id ? `rig ${entry.id}` : `rig #${idx + 1}`;
+    if (!entry || typeof entry !== 'object' || !RIG_ID_PATTERN.test(String(entry.id || ''))) {
+      errors.push(`${label}: id must be 1-32 letters, digits, "-" or "_"`);
+      return null;
+    }
+    if (seen.has(entry.id)) errors.push(`${label}: duplicate id`);
+    seen.add(entry.id);
+    const baud = entry.baud != null ? Number(entry.baud) : defaults.baud;
+    if (!Number.isInteger(baud) || baud <= 0) errors.push(`${label}: baud must be a positive integer`);
+    const control = { ...defaults.control };
+    if (entry.control != null) {
+      const result = validateControlPatch(entry.control, control);
+      if (result.ok) Object.assign(control, result.values);
+      else result.errors.forEach((error) => errors.push(`${label}: control.${error}`));
+    }
+    return {
+      id: entry.id,
+      name: typeof entry.name === 'string' && entry.name ? entry.name : entry.id,
+      serialPort: typeof entry.serialPort === 'string' && entry.serialPort ? entry.serialPort : null,
+      baud,
+      control,
+      captureFile: typeof entry.captureFile === 'string' && entry.captureFile ? entry.captureFile : null,
+    };
+  });
+  if (errors.length) {
+    throw new Error(`Invalid rigs file ${filePath}: ${errors.join('; ')}`);
+  }
+  return rigs;
+}
+
+function serialHint(serialPath) {
+  if (!serialPath) return null;
+  return serialPath.startsWith('/') ? serialPath : `/dev/${serialPath}`;
+}
+
+// options:
+//   id, name, config            rig id, display name and live controller config
+//   serialPort, baud, allowScan device path; allowScan lets a missing device be
+//                               replaced by the first ESP-looking port
+//   mode                        'serial' | 'simulate' | 'replay'
+//   simulate { scenario, seed }, replay { file, speed, loop }
+//   captures, capture           capture store (lib/captures.js); capture
+//                               starts writing at open
+//   captureFile                 names this rig's capture files instead of the id
+//   retry { minMs, maxMs }      serial reconnect backoff
+//   historyStore, startPolicy   shared with the other rigs
+//   contentPack()               the poem pack new sequences decode with
+//   log(event, info), broadcast(obj), observeLine(parsed)
+//   broadcastRaw(obj)           send an esp-raw message to the clients that
+//                               want every serial line
+function createRig(options) {
+  const {
+    id,
+    name = id,
+    config,
+    serialPort: serialPath = null,
+    baud = 115200,
+    allowScan = true,
+    mode = 'serial',
+    simulate = {},
+    replay: replayOptions = {},
+    captures = null,
+    capture = false,
+    captureFile = null,
+    retry = { minMs: 500, maxMs: 10000 },
+    historyStore,
+    startPolicy,
+    contentPack = () => null,
+    log,
+    broadcast,
+    broadcastRaw = () => {},
+    observeLine = () => {},
+  } = options;
+  const hint = serialHint(serialPath);
+
+  let serialPort = null;
+  let serialState = 'closed';
+  let serialRetryTimer = null;
+  let serialRetryAttempt = 0;
+  // Set once the firmware has sent telemetry on the current connection, so a
+  // later boot banner can be told apart from the one printed on first open.
+  let firmwareTalking = false;
+  let replay = null;
+  let simulator = null;
+  let captureWriter = null;
+  // Pump/valve parameters as last reported by the firmware (PARAMS line).
+  let firmwareParams = null;
+  let firmwareParamsAt = null;
+  // Decodes the poem of the running sequence (lib/message.js).
+  let messageDecoder = null;
+
+  if (capture && captures && mode !== 'replay') {
+    captureWriter = captures.start(id, { label: captureFile });
+    console.log(`[CAPTURE] Writing rig ${id} serial telemetry to ${captureWriter.status().file}`);
+  }
+
+  const sequenceRecorder = createSequenceRecorder({
+    store: historyStore,
+    source: mode,
+    rig: id,
+    log,
+  });
+
+  // Replayed captures already contain the firmware's answers, so commands are
+  // written without waiting for (or retrying on) an acknowledgement.
+  const commandTracker = createCommandTracker({
+    write: (text, cb) => {
+      if (!serialPort) {
+        cb(new Error('serial port not open'));
+        return;
+      }
+      serialPort.write(text, cb);
+    },
+    log,
+    getTimeoutMs: () => config.ackTimeoutMs,
+    getRetries: () => config.ackRetries,
+    track: mode !== 'replay',
+  });
+
+  // Firmware pump timing used for duty estimates; gradi-proxy-esp.ino defaults
+  // until the board reports its own values.
+  const pumpTiming = { ...DEFAULT_PUMP_TIMING };
+
+  // A replay drives the controller and duty guard from the capture's recorded
+  // timestamps, so start delays and duty windows follow --replay-speed. Only
+  // now() can be asked for before the replay is loaded.
+  const replayClock = mode === 'replay' ? {
+    now: () => (replay ? replay.clock.now() : Date.now()),
+    setTimeout: (fn, ms) => replay.clock.setTimeout(fn, ms),
+    clearTimeout: (timerId) => replay && replay.clock.clearTimeout(timerId),
+  } : undefined;
+
+  const controller = createController({
+    config,
+    clock: replayClock,
+    pumpTiming,
+    send: (command, opts) => commandTracker.send(command, opts),
+    canSend: () => !!serialPort,
+    startPolicy,
+  });
+
+  function broadcastSegments(segments) {
+    segments.forEach((segment) => broadcast({ type: 'message-segment', ts: Date.now(), ...segment }));
+  }
+
+  function broadcastAccuracy(record) {
+    if (!record || !record.accuracy) return;
+    broadcast({ type: 'sequence-accuracy', ts: Date.now(), sequenceId: record.id, outcome: record.outcome, ...record.accuracy });
+  }
+
+  // Controller decisions go to the control log; the sequence lifecycle also
+  // drives the history recorder and the message decoder.
+  controller.on('event', (event, info) => {
+    log(event, info);
+    switch (event) {
+      case 'sequence-started': {
+        const pack = contentPack();
+        const sequenceId = sequenceRecorder.start(info, info.queued, {
+          messageSeed: seedForSequence(info),
+          contentPack: pack ? { id: pack.id, version: pack.version } : null,
+        });
+        messageDecoder = pack ? createMessageDecoder({ sequenceId, seq: info, pack }) : null;
+        break;
+      }
+      case 'sequence-ended': {
+        let decoded = {};
+        if (messageDecoder) {
+          const { segments, final } = messageDecoder.finish(info.time_ms);
+          messageDecoder = null;
+          broadcastSegments(segments);
+          broadcast({ type: 'message-final', ts: Date.now(), ...final });
+          decoded = { message: final.message, messages: final.messages };
+        }
+        broadcastAccuracy(sequenceRecorder.finish('end', { time_ms: info.time_ms, ...decoded }));
+        break;
+      }
+      case 'sequence-cancelled':
+        messageDecoder = null;
+        broadcastAccuracy(info.aborted
+          ? sequenceRecorder.finish('aborted', { cancelReason: info.reason })
+          : sequenceRecorder.finish('cancel', { time_ms: info.time_ms, cancelReason: info.reason }));
+        break;
+      case 'stop-request': {
+        const { reason, ...extra } = info;
+        sequenceRecorder.noteStop(reason, extra);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  async function pickSerialPort() {
+    // If a path is configured and present, use it directly. When the device
+    // has re-enumerated under another path, fall through to a scan.
+    if (hint && (process.platform === 'win32' || fs.existsSync(hint))) {
+      return hint;
+    }
+    if (!allowScan) return null;
+    const ports = await SerialPort.list();
+    // Try to choose a likely ESP32 device
+    const preferred = ports.find((p) => {
+      const label = `${p.path} ${p.manufacturer || ''} ${p.friendlyName || ''}`.toLowerCase();
+      return label.includes('esp') || label.includes('seeed') || label.includes('silicon labs') || label.includes('wch');
+    });
+    if (hint) {
+      // The configured device is missing; only follow it to something that
+      // looks like the board, never to an unrelated port.
+      return preferred ? preferred.path : null;
+    }
+    return (preferred || ports[0] || {}).path;
+  }
+
+  function setSerialState(state, info = {}) {
+    serialState = state;
+    log('serial-state', { state, ...info });
+    broadcast({ type: 'serial-state', state, ts: Date.now(), ...info });
+  }
+
+  function sendCaptureSetting() {
+    commandTracker.send(captureWriter ? 'CAPTURE 1' : 'CAPTURE 0');
+    if (captureWriter) {
+      log('capture-enabled', { file: captureWriter.status().name });
+    }
+  }
+
+  // Sent on every (re)connect and firmware reset. Older sketches do not know
+  // GET; the duty estimate then keeps the compiled-in defaults.
+  function syncFirmware() {
+    sendCaptureSetting();
+    if (mode !== 'replay') commandTracker.send('GET');
+  }
+
+  function handleParams(params) {
+    const changed = firmwareParams
+      ? Object.keys(params).filter((key) => firmwareParams[key] !== params[key])
+      : Object.keys(params);
+    firmwareParams = { ...params };
+    firmwareParamsAt = Date.now();
+    Object.assign(pumpTiming, pumpTimingFrom(params));
+    if (changed.length) {
+      log('firmware-params', { changed, params: firmwareParams });
+    }
+    broadcast({ type: 'firmware-params', ts: firmwareParamsAt, changed, params: firmwareParams });
+  }
+
+  function sendParamCommand(command) {
+    return new Promise((resolve) => {
+      commandTracker.send(command, {
+        onAck: (reply, parsed) => resolve({ reply, data: parsed.data }),
+        onFail: (reason) => resolve({ failure: reason }),
+      });
+    });
+  }
+
+  // Writes each value with SET and waits for the firmware's answers.
+  // Resolves to { ok, params, errors } plus invalid (failed the range check)
+  // or failure ('no-serial', 'timeout', …) when nothing or not all was applied.
+  async function setFirmwareParams(patch, source) {
+    const result = validateParamPatch(patch);
+    if (!result.ok) {
+      log('firmware-params-rejected', { source, errors: result.errors });
+      return { ok: false, invalid: true, errors: result.errors };
+    }
+    if (!serialPort || mode === 'replay') {
+      return { ok: false, failure: 'no-serial', errors: ['serial port not open'] };
+    }
+    log('firmware-params-request', { source, values: result.values });
+    const errors = [];
+    let failure = null;
+    for (const [key, value] of Object.entries(result.values)) {
+      const answer = await sendParamCommand(`SET ${key}=${value}`);
+      if (answer.failure) {
+        failure = answer.failure;
+        errors.push(`${key}: no answer from firmware (${answer.failure})`);
+        break;
+      }
+      if (answer.reply === 'SET ERR') {
+        errors.push(`${key}: firmware refused ${answer.data.value} (${answer.data.reason})`);
+        log('firmware-param-refused', { source, key, value, reason: answer.data.reason });
+      }
+    }
+    return { ok: errors.length === 0, params: firmwareParams, errors, ...(failure ? { failure } : {}) };
+  }
+
+  // Asks the firmware for its current values; resolves to { ok, params }.
+  async function readFirmwareParams() {
+    if (!serialPort || mode === 'replay') {
+      return { ok: false, failure: 'no-serial', params: firmwareParams };
+    }
+    const answer = await sendParamCommand('GET');
+    if (answer.failure) return { ok: false, failure: answer.failure, params: firmwareParams };
+    return { ok: true, params: firmwareParams };
+  }
+
+  // A command typed into the debug console. Only allow-listed commands are
+  // written; START and STOP go through the controller so its state, the pump
+  // rest rules and opening hours still apply. Returns { ok, command, errors }
+  // plus the tracker id of a written command or a failure reason.
+  function sendConsoleCommand(input, source) {
+    const result = validateConsoleCommand(input);
+    if (!result.ok) {
+      log('console-command-rejected', { source, input: typeof input === 'string' ? input.slice(0, 80) : null, errors: result.errors });
+      return { ok: false, invalid: true, command: null, errors: result.errors };
+    }
+    const { command } = result;
+    if (!serialPort || mode === 'replay') {
+      return { ok: false, failure: 'no-serial', command, errors: ['serial port not open'] };
+    }
+    log('console-command', { source, command });
+    if (command === 'START' || command === 'STOP') {
+      const accepted = command === 'START'
+        ? controller.requestStart('console', { from: source })
+        : controller.requestStop('console', { from: source });
+      if (!accepted) {
+        const why = command === 'START' ? 'busy, resting or unavailable' : 'not running';
+        return { ok: false, failure: 'refused', command, errors: [`${command} ignored (${why})`] };
+      }
+      return { ok: true, command, errors: [] };
+    }
+    return { ok: true, command, id: commandTracker.send(command), errors: [] };
+  }
+
+  function handleFirmwareReset(line) {
+    firmwareTalking = false;
+    log('firmware-reset', { line });
+    controller.abort('firmware-reset');
+    commandTracker.reset('firmware-reset');
+    syncFirmware();
+  }
+
+  function scheduleSerialReconnect(reason) {
+    if (serialRetryTimer) return;
+    const delay = Math.min(retry.maxMs, retry.minMs * (2 ** serialRetryAttempt));
+    serialRetryAttempt += 1;
+    setSerialState('connecting', { reason, attempt: serialRetryAttempt, retryInMs: delay });
+    serialRetryTimer = setTimeout(() => {
+      serialRetryTimer = null;
+      openSerial().catch((err) => {
+        console.error(`Serial reconnect failed (rig ${id}):`, err.message);
+        scheduleSerialReconnect('open-failed');
+      });
+    }, delay);
+  }
+
+  function handleSerialLost(portPath, err) {
+    serialPort = null;
+    firmwareTalking = false;
+    log('serial-close', { port: portPath, error: err ? err.message : null });
+    // Whatever the firmware was doing is unknown now; require a fresh re-arm
+    // (IDLE or a confidence drop) before the next auto-start.
+    controller.abort('serial-lost');
+    commandTracker.reset('serial-lost');
+    setSerialState('lost', { port: portPath, error: err ? err.message : null });
+    scheduleSerialReconnect('lost');
+  }
+
+  async function openSerial() {
+    let portPath;
+    try {
+      portPath = await pickSerialPort();
+    } catch (err) {
+      console.error(`Serial port scan failed (rig ${id}):`, err.message);
+      scheduleSerialReconnect('scan-failed');
+      return;
+    }
+    if (!portPath) {
+      console.error(`No serial port found for rig ${id}. Update SERIAL_PORT in .env or serialPort in the rigs file.`);
+      scheduleSerialReconnect('no-port');
+      return;
+    }
+    console.log(`Opening serial for rig ${id}: ${portPath} @ ${baud}`);
+    if (serialState !== 'connecting') {
+      setSerialState('connecting', { port: portPath, attempt: serialRetryAttempt });
+    }
+
+    const serial = new SerialPort({ path: portPath, baudRate: baud, autoOpen: false });
+    let opened = false;
+
+    serial.on('error', (err) => {
+      console.error(`Serial error (rig ${id}):`, err.message);
+      log('serial-error', { error: err.message });
+    });
+
+    serial.on('close', (err) => {
+      if (!opened) return;
+      opened = false;
+      handleSerialLost(portPath, err);
+    });
+
+    serial.on('data', createLineReader());
+
+    serial.open((err) => {
+      if (err) {
+        console.error(`Serial open failed (${portPath}):`, err.message);
+        log('serial-error', { port: portPath, error: err.message });
+        scheduleSerialReconnect('open-failed');
+        return;
+      }
+      opened = true;
+      serialPort = serial;
+      serialRetryAttempt = 0;
+      log('serial-open', { port: portPath, baud });
+      setSerialState('open', { port: portPath, baud });
+      syncFirmware();
+    });
+  }
+
+  function startSimulator() {
+    simulator = createSimulator({ scenario: simulate.scenario, seed: simulate.seed });
+    serialPort = simulator;
+    console.log(`[SIM] Rig ${id}: virtual ESP running scenario "${simulator.scenario}" (seed ${simulator.seed})`);
+    log('serial-open', { port: 'simulator', scenario: simulator.scenario, seed: simulator.seed });
+
+    simulator.on('data', createLineReader());
+    simulator.on('phase', (info) => {
+      log('sim-phase', info);
+    });
+    simulator.on('close', () => {
+      log('serial-close', {});
+      serialPort = null;
+      controller.abort('serial-lost');
+      setSerialState('lost', { port: 'simulator' });
+    });
+    simulator.start();
+    setSerialState('open', { port: 'simulator' });
+    syncFirmware();
+  }
+
+  function writeCaptureLine(text) {
+    if (!captureWriter) return;
+    const before = captureWriter.status().part;
+    captureWriter.write(Date.now(), text);
+    if (captureWriter.status().part !== before) broadcastCaptureState('rotate');
+  }
+
+  function captureStatus() {
+    return captureWriter ? captureWriter.status() : null;
+  }
+
+  function broadcastCaptureState(event) {
+    broadcast({ type: 'capture-state', event, ts: Date.now(), capture: captureStatus() });
+  }
+
+  // Starts writing a capture on a running server and switches the firmware's
+  // sample stream on. Returns { ok, capture, errors }.
+  function startCapture(source) {
+    if (!captures || mode === 'replay') {
+      return { ok: false, capture: null, errors: ['captures are not recorded while replaying'] };
+    }
+    if (captureWriter) {
+      return { ok: false, busy: true, capture: captureStatus(), errors: ['already capturing'] };
+    }
+    captureWriter = captures.start(id, { label: captureFile });
+    log('capture-start', { source, file: captureWriter.status().name });
+    if (serialPort) sendCaptureSetting();
+    broadcastCaptureState('start');
+    return { ok: true, capture: captureStatus(), errors: [] };
+  }
+
+  // Closes the capture file and switches the sample stream off. Resolves once
+  // the file is complete on disk.
+  async function stopCapture(source) {
+    if (!captureWriter) return { ok: false, capture: null, errors: ['not capturing'] };
+    const writer = captureWriter;
+    const last = writer.status();
+    captureWriter = null;
+    if (serialPort) sendCaptureSetting();
+    await writer.close();
+    log('capture-stop', { source, file: last.name, lines: last.lines, sequences: last.sequences });
+    broadcastCaptureState('stop');
+    return { ok: true, capture: (await captures.get(last.name)) || last, errors: [] };
+  }
+
+  function broadcastRawLine(line) {
+    broadcastRaw({
+      type: 'esp-raw',
+      ts: Date.now(),
+      kind: detectLineKind(line),
+      line,
+    });
+  }
+
+  function processLine(line) {
+    writeCaptureLine(line);
+    broadcastRawLine(line);
+    const parsed = parseLine(line);
+    observeLine(parsed);
+    if (!parsed.ok && parsed.kind !== 'RAW') {
+      console.warn(`[PARSE] ${id}: ${parsed.kind} flagged (${parsed.issues.join('; ')}): ${line}`);
+      broadcast({ type: 'parse-error', kind: parsed.kind, issues: parsed.issues, line });
+    }
+    // A damaged SEQ line still tells us the sequence lifecycle moved on; anything
+    // else that fails its schema is too risky to act on.
+    const usable = parsed.ok || (parsed.kind === 'SEQ' && parsed.data.action);
+    if (!usable) return;
+    commandTracker.handleReply(parsed);
+    const { data } = parsed;
+    switch (parsed.kind) {
+      case 'BLINK':
+        sequenceRecorder.blink(data);
+        if (messageDecoder) broadcastSegments(messageDecoder.blink(data.time_ms));
+        broadcast({ type: 'blink-event', ...data, raw: line });
+        break;
+      case 'STATUS':
+        if (messageDecoder) broadcastSegments(messageDecoder.advance(data.time_ms));
+        controller.handleStatus({ ...data, raw: line });
+        broadcast({ type: 'status', ...data, raw: line });
+        break;
+      case 'SEQ': {
+        const runningId = sequenceRecorder.activeId();
+        controller.handleSequence({ ...data, raw: line });
+        const sequenceId = sequenceRecorder.activeId() || runningId;
+        broadcast({ type: 'sequence-log', ...data, sequenceId, raw: line });
+        broadcast({ type: 'esp-log', text: line });
+        break;
+      }
+      case 'SAMPLE':
+        broadcast({ type: 'sample', ...data });
+        break;
+      case 'PARAMS':
+        handleParams(data);
+        break;
+      case 'SET':
+        broadcast({ type: 'esp-log', text: line });
+        break;
+      case 'ERR':
+        broadcast({ type: 'esp-log', text: line });
+        break;
+      case 'BOOT':
+        broadcast({ type: 'esp-log', text: line });
+        if (data.healthy && firmwareTalking) {
+          handleFirmwareReset(line);
+        }
+        break;
+      default:
+        break;
+    }
+    if (parsed.kind === 'STATUS' || parsed.kind === 'SAMPLE' || parsed.kind === 'SEQ') {
+      firmwareTalking = true;
+    }
+  }
+
+  function createLineReader() {
+    let buffer = '';
+    return (chunk) => {
+      buffer += chunk.toString('utf8');
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 1);
+        if (!line) continue;
+        processLine(line);
+      }
+      // Safety: avoid unbounded buffer
+      if (buffer.length > 4096) buffer = buffer.slice(-2048);
+    };
+  }
+
+  function broadcastReplayState(event) {
+    if (!replay) return;
+    broadcast({ type: 'replay-state', event, ...replay.status() });
+  }
+
+  function startReplay() {
+    const filePath = path.resolve(replayOptions.file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Replay file not found: ${filePath}`);
+    }
+    replay = createReplay(filePath, { speed: replayOptions.speed, loop: replayOptions.loop });
+    serialPort = replay;
+    setSerialState('open', { port: 'replay', file: filePath });
+    const info = replay.status();
+    if (!info.lines) {
+      console.warn(`[WARN] Replay file has no capture lines: ${filePath}`);
+    }
+    console.log(`[REPLAY] Rig ${id}: ${filePath} · ${info.lines} lines · ${(info.durationMs / 1000).toFixed(1)} s @ ${info.speed}x${info.loop ? ' (loop)' : ''}`);
+    log('replay-open', { file: filePath, lines: info.lines, durationMs: info.durationMs, speed: info.speed, loop: info.loop });
+
+    replay.on('data', createLineReader());
+    replay.on('command', (command) => {
+      log('replay-command-dropped', { command });
+    });
+    replay.on('state', () => broadcastReplayState('state'));
+    replay.on('seek', (state) => {
+      controller.abort('replay-seek', { armed: true });
+      log('replay-seek', { positionMs: state.positionMs });
+      broadcastReplayState('seek');
+    });
+    replay.on('loop', () => {
+      controller.abort('replay-loop', { armed: true });
+      log('replay-loop', {});
+      broadcastReplayState('loop');
+    });
+    // A start delay or START still waiting at the end would leave the
+    // controller in 'starting', and a run without SEQ END in 'running'.
+    replay.on('end', () => {
+      controller.abort('replay-end', { armed: true });
+      log('replay-end', { durationMs: info.durationMs });
+      broadcastReplayState('end');
+    });
+  }
+
+  function handleReplayControl(msg) {
+    if (!replay) return false;
+    switch (msg.action) {
+      case 'pause':
+        replay.pause();
+        return true;
+      case 'resume':
+        replay.start();
+        return true;
+      case 'seek':
+        replay.seek(msg.positionMs);
+        return true;
+      case 'speed':
+        replay.setSpeed(msg.speed);
+        return true;
+      case 'loop':
+        replay.setLoop(msg.loop);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Opens the link. Replays are loaded here but only start playing once
+  // play() is called (after the HTTP server listens).
+  async function open() {
+    if (mode === 'replay') {
+      startReplay();
+    } else if (mode === 'simulate') {
+      startSimulator();
+    } else {
+      await openSerial();
+    }
+  }
+
+  function play() {
+    if (replay) replay.start();
+  }
+
+  function snapshot() {
+    const { lastStatus, ...flags } = controller.snapshot();
+    return {
+      rig: id,
+      name,
+      serial: !!serialPort,
+      serialState,
+      control: flags,
+      lastStatus,
+      pendingCommands: commandTracker.list(),
+      firmwareParams,
+      message: currentMessage(),
+    };
+  }
+
+  function currentMessage() {
+    return messageDecoder ? messageDecoder.snapshot() : null;
+  }
+
+  async function closeCapture() {
+    if (!captureWriter) return;
+    const writer = captureWriter;
+    captureWriter = null;
+    await writer.close();
+    console.log(`[CAPTURE] rig ${id} stream closed`);
+  }
+
+  return {
+    id,
+    name,
+    config,
+    baud,
+    mode,
+    controller,
+    sequenceRecorder,
+    open,
+    play,
+    snapshot,
+    handleReplayControl,
+    closeCapture,
+    startCapture,
+    stopCapture,
+    captureStatus,
+    setFirmwareParams,
+    readFirmwareParams,
+    sendConsoleCommand,
+    message: currentMessage,
+    firmwareParams: () => (firmwareParams ? { params: firmwareParams, updatedAt: firmwareParamsAt } : null),
+    pumpTiming: () => ({ ...pumpTiming }),
+    serialUp: () => !!serialPort,
+    serialState: () => serialState,
+    replayStatus: () => (replay ? replay.status() : null),
+    simulateScenario: () => (simulator ? simulator.scenario : null),
+  };
+}
+
+module.exports = {
+  createRig,
+  loadRigs,
+  RIG_ID_PATTERN,
+};
@@ -0,0 +1,138 @@
+// Opening hours for the installation.
+// A schedule lists open ranges per weekday plus exception dates that replace
+// the weekday entry (an empty list closes the day). Times are local to the
+// installation PC.
+//
+//   {
+//     "enabled": true,
+//     "weekly": { "tue": [["10:00", "18:00"]], "sun": [] },
+//     "exceptions": { "2026-12-24": [["10:00", "14:00"]], "2026-12-25": [] }
+//   }
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  weekly: {},
+  exceptions: {},
+};
+
+function parseClock(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function validateRanges(label, ranges, errors) {
+  if (!Array.isArray(ranges)) {
+    errors.push(`${label}: expected a list of ["HH:MM", "HH:MM"] ranges`);
+    return;
+  }
+  ranges.forEach((range, idx) => {
+    if (!Array.isArray(range) || range.length !== 2) {
+      errors.push(`${label}[${idx}]: expected ["HH:MM", "HH:MM"]`);
+      return;
+    }
+    const from = parseClock(range[0]);
+    const to = parseClock(range[1]);
+    if (from == null || to == null) {
+      errors.push(`${label}[${idx}]: times must be HH:MM between 00:00 and 24:00`);
+    } else if (to <= from) {
+      errors.push(`${label}[${idx}]: closing time must be after opening time`);
+    }
+  });
+}
+
+// Returns { ok, schedule, errors } with the schedule normalised.
+function validateSchedule(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, schedule: null, errors: ['expected a schedule object'] };
+  }
+  const weekly = input.weekly || {};
+  const exceptions = input.exceptions || {};
+  if (typeof weekly !== 'object' || Array.isArray(weekly)) errors.push('weekly: expected an object keyed by weekday');
+  if (typeof exceptions !== 'object' || Array.isArray(exceptions)) errors.push('exceptions: expected an object keyed by date');
+  if (errors.length) return { ok: false, schedule: null, errors };
+
+  Object.entries(weekly).forEach(([day, ranges]) => {
+    if (!WEEKDAYS.includes(day)) {
+      errors.push(`weekly.${day}: expected one of ${WEEKDAYS.join('/')}`);
+      return;
+    }
+    validateRanges(`weekly.${day}`, ranges, errors);
+  });
+  Object.entries(exceptions).forEach(([date, ranges]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || dateKey(new Date(`${date}T00:00:00`)) !== date) {
+      errors.push(`exceptions.${date}: expected a YYYY-MM-DD date`);
+      return;
+    }
+    validateRanges(`exceptions.${date}`, ranges, errors);
+  });
+  // Only an explicit "enabled": true closes the rig outside its ranges.
+  const schedule = {
+    enabled: input.enabled === true,
+    weekly,
+    exceptions,
+  };
+  return { ok: errors.length === 0, schedule, errors };
+}
+
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function rangesFor(schedule, date) {
+  const key = dateKey(date);
+  if (Object.prototype.hasOwnProperty.call(schedule.exceptions, key)) {
+    return schedule.exceptions[key];
+  }
+  return schedule.weekly[WEEKDAYS[date.getDay()]] || [];
+}
+
+// "HH:MM" on the given day, built from the calendar fields so a day with a
+// DST change still opens at the wall-clock time ("24:00" is next midnight).
+function clockOnDay(day, text) {
+  const minutes = parseClock(text);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60).getTime();
+}
+
+// Open/closed at `at` and, looking up to a week ahead, when that changes.
+function evaluateSchedule(schedule, at = Date.now()) {
+  if (!schedule || !schedule.enabled) {
+    return { open: true, nextChangeAt: null };
+  }
+  const now = new Date(at);
+  const intervals = [];
+  for (let offset = -1; offset <= 7; offset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    rangesFor(schedule, day).forEach(([from, to]) => {
+      intervals.push([clockOnDay(day, from), clockOnDay(day, to)]);
+    });
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+  // Join back-to-back ranges (e.g. "18:00-24:00" and "00:00-02:00").
+  const merged = [];
+  intervals.forEach(([from, to]) => {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1]) last[1] = Math.max(last[1], to);
+    else merged.push([from, to]);
+  });
+  const current = merged.find(([from, to]) => at >= from && at < to);
+  if (current) {
+    return { open: true, nextChangeAt: current[1] };
+  }
+  const next = merged.find(([from]) => from > at);
+  return { open: false, nextChangeAt: next ? next[0] : null };
+}
+
+module.exports = {
+  validateSchedule,
+  evaluateSchedule,
+  DEFAULT_SCHEDULE,
+  WEEKDAYS,
+};
@@ -0,0 +1,157 @@
+// Runtime settings that outlive a restart (controller thresholds, …).
+// Stored as one small JSON file with a section per feature; values in the
+// file override the .env defaults they were tuned from.
+
+const fs = require('fs');
+const path = require('path');
+
+// Editable controller fields, with the range each one accepts.
+const CONTROL_FIELDS = {
+  confStart: { min: 0, max: 1, step: 0.01 },
+  confRearm: { min: 0, max: 1, step: 0.01 },
+  confExit: { min: 0, max: 1, step: 0.01 },
+  proxExit: { min: 0, max: 1000, step: 1, integer: true },
+  leaveMs: { min: 0, max: 10000, step: 50, integer: true },
+  startDelay: { min: 0, max: 5000, step: 50, integer: true },
+  minGapMs: { min: 0, max: 600000, step: 1000, integer: true },
+  maxPerHour: { min: 0, max: 200, step: 1, integer: true },
+  pumpBudgetMs: { min: 0, max: 3600000, step: 10000, integer: true },
+};
+
+// Checks a partial controller config against CONTROL_FIELDS and the current
+// values. Returns { ok, values, errors } where values holds only the changes.
+function validateControlPatch(patch, current) {
+  const errors = [];
+  const values = {};
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { ok: false, values, errors: ['expected an object of settings'] };
+  }
+  Object.entries(patch).forEach(([key, raw]) => {
+    const field = CONTROL_FIELDS[key];
+    if (!field) {
+      errors.push(`${key}: not an editable setting`);
+      return;
+    }
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${key}: expected a number`);
+      return;
+    }
+    if (field.integer && !Number.isInteger(value)) {
+      errors.push(`${key}: expected an integer`);
+      return;
+    }
+    if (value < field.min || value > field.max) {
+      errors.push(`${key}: must be between ${field.min} and ${field.max}`);
+      return;
+    }
+    values[key] = value;
+  });
+  const merged = { ...current, ...values };
+  if (merged.confRearm > merged.confStart) {
+    errors.push('confRearm: must not exceed confStart');
+  }
+  if (merged.confExit > merged.confRearm) {
+    errors.push('confExit: must not exceed confRearm');
+  }
+  return { ok: errors.length === 0, values, errors };
+}
+
+// Controller config from the .env values, with the defaults server.js has
+// always used. ackTimeoutMs/ackRetries are not editable at runtime.
+function controlConfigFromEnv(env = process.env) {
+  const number = (key, fallback) => (Number.isNaN(Number(env[key])) ? fallback : Number(env[key]));
+  return {
+    confStart: Number.parseFloat(env.CONF_START_THRESHOLD ?? '') || 0.95,
+    confRearm: Number.parseFloat(env.CONF_REARM_THRESHOLD ?? '') || 0.8,
+    confExit: Number.parseFloat(env.CONF_EXIT_THRESHOLD ?? '') || 0.4,
+    proxExit: number('PROX_EXIT_LEVEL', 5),
+    leaveMs: number('LEAVE_HOLD_MS', 1000),
+    startDelay: number('START_DELAY_MS', 600),
+    minGapMs: number('MIN_SEQUENCE_GAP_MS', 0),
+    maxPerHour: number('MAX_SEQUENCES_PER_HOUR', 0),
+    pumpBudgetMs: number('PUMP_BUDGET_MS', 0),
+    ackTimeoutMs: Number(env.CMD_ACK_TIMEOUT_MS) || 1500,
+    ackRetries: number('CMD_RETRIES', 1),
+  };
+}
+
+// The controller config a rig runs with: .env values, then the rig's own
+// control block, then thresholds saved at runtime. Settings saved before rigs
+// existed (the top-level "control" section) apply to the first rig. Returns
+// { config, errors } where errors explains saved values that were ignored.
+function resolveControlConfig(base, settingsStore, rigId, isFirstRig) {
+  const config = { ...base };
+  let saved = settingsStore.forRig(rigId).get('control');
+  if (!Object.keys(saved).length && isFirstRig) saved = settingsStore.get('control');
+  const result = validateControlPatch(saved, config);
+  if (result.ok) Object.assign(config, result.values);
+  return { config, errors: result.errors };
+}
+
+function createSettingsStore(filePath) {
+  let data = {};
+
+  function load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      data = parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`[WARN] Could not read settings file ${filePath}: ${err.message}`);
+      }
+      data = {};
+    }
+    return data;
+  }
+
+  function get(section) {
+    return { ...(data[section] || {}) };
+  }
+
+  // Write through a temp file so a crash mid-write never leaves half a file.
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function update(section, values) {
+    data[section] = { ...(data[section] || {}), ...values };
+    save();
+    return get(section);
+  }
+
+  // Per-rig sections live under rigs.<id> in the same file.
+  function forRig(id) {
+    return {
+      filePath,
+      get: (section) => ({ ...((data.rigs && data.rigs[id] && data.rigs[id][section]) || {}) }),
+      update(section, values) {
+        data.rigs = data.rigs || {};
+        const sections = data.rigs[id] || {};
+        data.rigs[id] = sections;
+        sections[section] = { ...(sections[section] || {}), ...values };
+        save();
+        return { ...sections[section] };
+      },
+    };
+  }
+
+  return {
+    filePath,
+    load,
+    get,
+    update,
+    forRig,
+  };
+}
+
+module.exports = {
+  createSettingsStore,
+  validateControlPatch,
+  controlConfigFromEnv,
+  resolveControlConfig,
+  CONTROL_FIELDS,
+};
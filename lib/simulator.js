@@ -0,0 +1,623 @@
+// Virtual ESP: an in-process stand-in for gradi-proxy-esp.ino.
+// Speaks the same serial protocol (samples, STATUS, BLINK, SEQ, CAPTURE, DBG,
+// PARAMS) and exposes the SerialPort surface server.js uses: write(), close(),
+// 'data'.
+
+const { EventEmitter } = require('events');
+const { validateParamPatch, DEFAULT_FIRMWARE_PARAMS } = require('./params');
+const { createRandom } = require('./random');
+const {
+  SEQ_FRAMES,
+  FRAME_SLOTS,
+  SLOT_DURATION_MS,
+  FRAME_DURATION_MS,
+  SEQUENCE_LEAD_MS,
+} = require('./protocol');
+
+// -------------------- Firmware constants (mirrors gradi-proxy-esp.ino)
+const SAMPLE_INTERVAL_MS = 5;
+const STATUS_INTERVAL_MS = 1000;
+const PRINT_INTERVAL_MS = 10;
+
+const PRESENCE_ENTER = 10;
+const PRESENCE_EXIT = 5;
+const ENTER_HOLD_MS = 40;
+const EXIT_HOLD_MS = 300;
+
+const Z_ENTER = 2.0;
+const Z_EXIT = 1.0;
+const MIN_CROSS_MS = 20;
+const REFRACTORY_MS = 250;
+const MIN_SIGMA_FLOOR = 0.8;
+
+const DT_SEC = SAMPLE_INTERVAL_MS / 1000;
+const ALPHA = DT_SEC / 1.0;
+const ALPHA_SLOPE = DT_SEC / 0.3;
+
+const WARMUP_MS = 600;
+const MIN_SAMPLES = 120;
+const SLOPE_MAX = 0.2;
+const CONF_REQUIRED = 0.9;
+const CONF_READY_SIGMA_MAX = 2.2;
+const CONF_RESEED_THRESHOLD = 0.55;
+const SIGMA_RESEED_THRESHOLD = 4.0;
+const SLOPE_RESEED_MAX = 0.015;
+const SIGMA_RESEED_SEED = 1.6;
+
+// -------------------- Visitor model
+const EMPTY_PROX = 2;
+const SEATED_PROX = 42;
+const BLINK_WIDTH_MS = 140;
+
+// Each scenario is a list of phases played in order, then looped.
+//   empty     nobody in front of the sensor
+//   approach  prox ramps from the empty-room level up to a seated visitor
+//   seated    visitor holds still; blinks spontaneously and in reply to puffs
+//   burst     seated, plus a rapid run of blinks
+//   leave     prox ramps back down to the empty-room level
+//   dropout   the sensor reads 0 (loose I2C, cable knock)
+const SCENARIOS = {
+  gallery: [
+    { phase: 'empty', ms: 5000 },
+    { phase: 'approach', ms: 1500 },
+    { phase: 'seated', ms: 40000 },
+    { phase: 'leave', ms: 1200 },
+    { phase: 'empty', ms: 8000 },
+  ],
+  approach: [
+    { phase: 'empty', ms: 3000 },
+    { phase: 'approach', ms: 1500 },
+    { phase: 'seated', ms: 120000 },
+  ],
+  blinks: [
+    { phase: 'empty', ms: 2000 },
+    { phase: 'approach', ms: 1500 },
+    { phase: 'seated', ms: 4000 },
+    { phase: 'burst', ms: 2500, count: 6 },
+    { phase: 'seated', ms: 5000 },
+    { phase: 'burst', ms: 1500, count: 4 },
+    { phase: 'seated', ms: 30000 },
+    { phase: 'leave', ms: 1000 },
+  ],
+  'walk-away': [
+    { phase: 'empty', ms: 3000 },
+    { phase: 'approach', ms: 1500 },
+    { phase: 'seated', ms: 12000 },
+    { phase: 'leave', ms: 800 },
+    { phase: 'empty', ms: 10000 },
+  ],
+  dropout: [
+    { phase: 'empty', ms: 2000 },
+    { phase: 'approach', ms: 1500 },
+    { phase: 'seated', ms: 8000 },
+    { phase: 'dropout', ms: 450 },
+    { phase: 'seated', ms: 6000 },
+    { phase: 'dropout', ms: 1500 },
+    { phase: 'seated', ms: 20000 },
+    { phase: 'leave', ms: 1000 },
+  ],
+};
+
+const DEFAULT_SCENARIO = 'gallery';
+
+function clamp01(x) {
+  if (x < 0) return 0;
+  if (x > 1) return 1;
+  return x;
+}
+
+function createSimulator(options = {}) {
+  const scenarioName = options.scenario || DEFAULT_SCENARIO;
+  const script = SCENARIOS[scenarioName];
+  if (!script) {
+    throw new Error(`Unknown simulator scenario "${scenarioName}" (available: ${Object.keys(SCENARIOS).join(', ')})`);
+  }
+  const seed = Number.isFinite(options.seed) ? options.seed : Date.now();
+  const random = createRandom(seed);
+  const emitter = new EventEmitter();
+
+  let bootAt = 0;
+  let timer = null;
+  let nextSampleAt = 0;
+  let lastStatusMs = 0;
+  let lastPrintMs = 0;
+  let pending = [];
+  // Remote pump/valve parameters (SET / GET).
+  const params = { ...DEFAULT_FIRMWARE_PARAMS };
+
+  // Scenario cursor
+  let phaseIdx = 0;
+  let phaseStart = 0;
+  let burstLeft = 0;
+  let nextSpontaneousAt = 0;
+  let seatLevel = SEATED_PROX;
+  let polarity = -1;
+  const visitorBlinks = [];
+
+  // Firmware detection state
+  let presence = 'IDLE';
+  let holdTimerMs = 0;
+  let refractoryUntilMs = 0;
+  let presenceEnterMs = 0;
+  let proxSample = 0;
+  let proxValid = false;
+  let blinkCount = 0;
+  let statsInit = false;
+  let meanPs = 0;
+  let m2Ps = 0;
+  let prevMeanPs = 0;
+  let slopeAbsEwma = 0;
+  let conf = 0;
+  let sampleCount = 0;
+  let devPolarity = 0;
+  let beyondZ = false;
+  let crossStartMs = 0;
+  let captureMode = false;
+  let blinkReady = false;
+  let baselineReseeded = false;
+
+  // Sequence state
+  let sequenceActive = false;
+  let sequenceIndex = 0;
+  let sequenceEvents = [];
+
+  function millis() {
+    return Date.now() - bootAt;
+  }
+
+  function println(text) {
+    pending.push(text);
+  }
+
+  function flush() {
+    if (!pending.length) return;
+    const chunk = `${pending.join('\n')}\n`;
+    pending = [];
+    emitter.emit('data', Buffer.from(chunk, 'utf8'));
+  }
+
+  function noise(amplitude) {
+    // Sum of uniforms: cheap, roughly gaussian.
+    return (random() + random() + random() - 1.5) * amplitude * 2;
+  }
+
+  // -------------------- Scenario playback
+  function currentPhase(now) {
+    let phase = script[phaseIdx];
+    while (now - phaseStart >= phase.ms) {
+      phaseStart += phase.ms;
+      phaseIdx = (phaseIdx + 1) % script.length;
+      phase = script[phaseIdx];
+      enterPhase(phase, phaseStart);
+    }
+    return phase;
+  }
+
+  function enterPhase(phase, now) {
+    if (phase.phase === 'approach') {
+      seatLevel = SEATED_PROX + noise(6);
+      polarity = random() < 0.2 ? 1 : -1;
+    }
+    if (phase.phase === 'burst') {
+      burstLeft = phase.count || 4;
+    }
+    nextSpontaneousAt = now + 2500 + random() * 4000;
+    emitter.emit('phase', { scenario: scenarioName, phase: phase.phase, at: now });
+  }
+
+  function scheduleBlink(at) {
+    visitorBlinks.push({ at, depth: 9 + random() * 6 });
+  }
+
+  function blinkOffset(now) {
+    let offset = 0;
+    for (let i = visitorBlinks.length - 1; i >= 0; i -= 1) {
+      const blink = visitorBlinks[i];
+      const dt = now - blink.at;
+      if (dt > BLINK_WIDTH_MS) {
+        visitorBlinks.splice(i, 1);
+      } else if (dt >= 0) {
+        offset += Math.sin((dt / BLINK_WIDTH_MS) * Math.PI) * blink.depth * polarity;
+      }
+    }
+    return offset;
+  }
+
+  function visitorProx(now) {
+    const phase = currentPhase(now);
+    const progress = clamp01((now - phaseStart) / phase.ms);
+    const seated = phase.phase === 'seated' || phase.phase === 'burst';
+    if (seated) {
+      if (now >= nextSpontaneousAt) {
+        scheduleBlink(now);
+        nextSpontaneousAt = now + 2500 + random() * 4000;
+      }
+      if (phase.phase === 'burst' && burstLeft > 0 && random() < 0.01) {
+        scheduleBlink(now);
+        burstLeft -= 1;
+      }
+    }
+    let level;
+    switch (phase.phase) {
+      case 'approach':
+        level = EMPTY_PROX + (seatLevel - EMPTY_PROX) * progress + noise(1);
+        break;
+      case 'leave':
+        level = seatLevel + (EMPTY_PROX - seatLevel) * progress + noise(1);
+        break;
+      case 'dropout':
+        return 0;
+      case 'seated':
+      case 'burst':
+        level = seatLevel + Math.sin(now / 7000) * 1.2 + noise(1.1) + blinkOffset(now);
+        break;
+      default:
+        level = EMPTY_PROX + noise(0.7);
+        break;
+    }
+    return Math.max(0, Math.round(level));
+  }
+
+  // A puff lands on the eye: most visitors blink 120–300 ms later.
+  function reactToPuff(now) {
+    const phase = script[phaseIdx].phase;
+    if (phase !== 'seated' && phase !== 'burst') return;
+    if (random() < 0.85) {
+      scheduleBlink(now + 120 + random() * 180);
+    }
+  }
+
+  // -------------------- Firmware detection (ported from the sketch)
+  function resetStatsAndConfidence(now) {
+    statsInit = false;
+    meanPs = 0;
+    m2Ps = 0;
+    prevMeanPs = 0;
+    slopeAbsEwma = 0;
+    conf = 0;
+    sampleCount = 0;
+    devPolarity = 0;
+    beyondZ = false;
+    crossStartMs = 0;
+    refractoryUntilMs = 0;
+    presenceEnterMs = now;
+    blinkReady = false;
+    baselineReseeded = false;
+  }
+
+  function updateStats(x) {
+    if (!statsInit) {
+      statsInit = true;
+      meanPs = x;
+      m2Ps = x * x;
+      prevMeanPs = meanPs;
+      return;
+    }
+    meanPs += ALPHA * (x - meanPs);
+    m2Ps += ALPHA * (x * x - m2Ps);
+    const step = Math.abs(meanPs - prevMeanPs);
+    slopeAbsEwma += ALPHA_SLOPE * (step - slopeAbsEwma);
+    prevMeanPs = meanPs;
+  }
+
+  function currentSigma(floored) {
+    const variance = Math.max(0, m2Ps - meanPs * meanPs);
+    const sigma = Math.sqrt(variance);
+    return floored && sigma < MIN_SIGMA_FLOOR ? MIN_SIGMA_FLOOR : sigma;
+  }
+
+  function reseedBaseline(prox) {
+    statsInit = true;
+    meanPs = prox;
+    const seedSigma = Math.max(SIGMA_RESEED_SEED, MIN_SIGMA_FLOOR);
+    m2Ps = meanPs * meanPs + seedSigma * seedSigma;
+    prevMeanPs = meanPs;
+    slopeAbsEwma = 0;
+    beyondZ = false;
+    devPolarity = 0;
+    crossStartMs = 0;
+  }
+
+  function updateConfidence(now) {
+    const tConf = clamp01((now - presenceEnterMs) / WARMUP_MS);
+    const sConf = clamp01(sampleCount / MIN_SAMPLES);
+    const stabConf = 1 - clamp01(slopeAbsEwma / SLOPE_MAX);
+    conf = Math.min(tConf, sConf, stabConf);
+  }
+
+  function handlePresenceFSM(now, prox) {
+    if (presence === 'IDLE') {
+      if (prox >= PRESENCE_ENTER) {
+        if (holdTimerMs === 0) holdTimerMs = now;
+        if (now - holdTimerMs >= ENTER_HOLD_MS) {
+          presence = 'PRESENCE';
+          holdTimerMs = 0;
+          resetStatsAndConfidence(now);
+        }
+      } else {
+        holdTimerMs = 0;
+      }
+    } else if (prox <= PRESENCE_EXIT) {
+      if (holdTimerMs === 0) holdTimerMs = now;
+      if (now - holdTimerMs >= EXIT_HOLD_MS) {
+        presence = 'IDLE';
+        holdTimerMs = 0;
+        resetStatsAndConfidence(now);
+      }
+    } else {
+      holdTimerMs = 0;
+    }
+  }
+
+  function emitBlinkEvent(now, prox, sigma, zRise, zDrop, pol) {
+    println(`BLINK time_ms=${now} | prox=${prox} | mean=${Math.trunc(meanPs)} | sigma=${Math.trunc(sigma)} | zRise=${zRise.toFixed(2)} | zDrop=${zDrop.toFixed(2)} | polarity=${pol === 1 ? 'rise' : 'dip'} | confidence=${conf.toFixed(2)} | blinks=${blinkCount}`);
+  }
+
+  function emitCaptureSnapshot(now, stage, prox, sigma, zRise, zDrop, dev, enterAny) {
+    if (!captureMode) return;
+    const crossMs = beyondZ && crossStartMs <= now ? now - crossStartMs : 0;
+    const refractory = refractoryUntilMs > now ? refractoryUntilMs - now : 0;
+    println(`DBG time_ms=${now} | stage=${stage} | prox=${prox} | conf=${conf.toFixed(3)} | sigma=${sigma.toFixed(3)} | zRise=${zRise.toFixed(3)} | zDrop=${zDrop.toFixed(3)} | dev=${dev.toFixed(1)} | slope=${slopeAbsEwma.toFixed(4)} | mean=${Math.trunc(meanPs)} | beyond=${beyondZ ? 1 : 0} | polarity=${devPolarity} | cross_ms=${crossMs} | refractory=${refractory} | enter=${enterAny ? 1 : 0} | blinkCount=${blinkCount}`);
+  }
+
+  function handleBlinkDetection(now, prox) {
+    updateStats(prox);
+    sampleCount += 1;
+    updateConfidence(now);
+
+    let sigma = currentSigma(true);
+    let dev = prox - meanPs;
+    let zRise = sigma > 0 ? dev / sigma : 0;
+    let zDrop = -zRise;
+    const stableSlope = slopeAbsEwma <= SLOPE_RESEED_MAX;
+
+    if (!baselineReseeded && conf >= CONF_RESEED_THRESHOLD && sigma > SIGMA_RESEED_THRESHOLD && stableSlope) {
+      reseedBaseline(prox);
+      baselineReseeded = true;
+      sigma = currentSigma(true);
+      dev = prox - meanPs;
+      zRise = sigma > 0 ? dev / sigma : 0;
+      zDrop = -zRise;
+    }
+
+    const enterRise = zRise >= Z_ENTER;
+    const enterDrop = zDrop >= Z_ENTER;
+    const enterAny = enterRise || enterDrop;
+    let stage = 'SEARCH';
+
+    if (conf >= CONF_REQUIRED && sigma <= CONF_READY_SIGMA_MAX) {
+      blinkReady = true;
+    }
+    if (conf < CONF_REQUIRED) {
+      emitCaptureSnapshot(now, 'BLOCK_CONF', prox, sigma, zRise, zDrop, dev, enterAny);
+      return;
+    }
+    if (!blinkReady) {
+      emitCaptureSnapshot(now, 'BLOCK_READY', prox, sigma, zRise, zDrop, dev, enterAny);
+      return;
+    }
+    if (now < refractoryUntilMs) {
+      beyondZ = false;
+      devPolarity = 0;
+      crossStartMs = 0;
+      emitCaptureSnapshot(now, 'BLOCK_REFRACT', prox, sigma, zRise, zDrop, dev, enterAny);
+      return;
+    }
+
+    if (enterAny) {
+      const curPol = enterRise ? 1 : -1;
+      if (!beyondZ) {
+        beyondZ = true;
+        devPolarity = curPol;
+        crossStartMs = now;
+        stage = 'ENTER';
+      } else {
+        if (curPol !== devPolarity) {
+          devPolarity = curPol;
+          crossStartMs = now;
+        }
+        if (now - crossStartMs >= MIN_CROSS_MS) {
+          blinkCount += 1;
+          refractoryUntilMs = now + REFRACTORY_MS;
+          beyondZ = false;
+          emitBlinkEvent(now, prox, sigma, zRise, zDrop, devPolarity);
+          devPolarity = 0;
+          crossStartMs = 0;
+          emitCaptureSnapshot(now, 'TRIGGER', prox, sigma, zRise, zDrop, dev, true);
+          return;
+        }
+        stage = 'TRACK';
+      }
+    } else if (beyondZ) {
+      const release = devPolarity === 1 ? zRise <= Z_EXIT : zDrop <= Z_EXIT;
+      if (release) {
+        beyondZ = false;
+        devPolarity = 0;
+        crossStartMs = 0;
+        stage = 'RESET';
+      } else {
+        stage = 'HOLD';
+      }
+    }
+
+    emitCaptureSnapshot(now, stage, prox, sigma, zRise, zDrop, dev, enterAny);
+  }
+
+  function emitStatus(now) {
+    let line = `STATUS time_ms=${now} | state=${presence}`;
+    if (proxValid) line += ` | prox=${proxSample}`;
+    line += ` | confidence=${conf.toFixed(2)} | blinks=${blinkCount}`;
+    if (presence === 'PRESENCE' && statsInit) {
+      const sigma = currentSigma(true);
+      const dev = proxValid ? proxSample - meanPs : 0;
+      const zRise = sigma > 0 ? dev / sigma : 0;
+      line += ` | mean=${Math.trunc(meanPs)} | sigma=${Math.trunc(sigma)} | zRise=${zRise.toFixed(2)} | zDrop=${(-zRise).toFixed(2)}`;
+    }
+    line += ` | ready=${blinkReady ? 1 : 0}`;
+    println(line);
+  }
+
+  // -------------------- Pump sequence
+  function startProgrammedSequence(now) {
+    if (sequenceActive) {
+      println('SEQ BUSY');
+      return;
+    }
+    const startMs = now + SEQUENCE_LEAD_MS;
+    sequenceEvents = [];
+    for (let i = 0; i < SEQ_FRAMES; i += 1) {
+      const slot = Math.floor(random() * FRAME_SLOTS);
+      const frameBase = startMs + i * FRAME_DURATION_MS;
+      const puffAt = frameBase + slot * SLOT_DURATION_MS;
+      const recoverAt = puffAt + params.puff_ms;
+      sequenceEvents.push({
+        slot,
+        puffAt,
+        guardDoneAt: recoverAt + params.guard_ms,
+        puffed: false,
+      });
+    }
+    sequenceIndex = 0;
+    sequenceActive = true;
+    println(`SEQ START time_ms=${startMs} | slots=${sequenceEvents.map((e) => e.slot).join(',')} | lead_ms=${SEQUENCE_LEAD_MS}`);
+  }
+
+  function cancelSequence(now) {
+    if (!sequenceActive) return;
+    sequenceActive = false;
+    sequenceIndex = 0;
+    println(`SEQ CANCEL time_ms=${now}`);
+  }
+
+  function updateSequence(now) {
+    if (!sequenceActive) return;
+    const current = sequenceEvents[sequenceIndex];
+    if (!current.puffed && now >= current.puffAt) {
+      current.puffed = true;
+      reactToPuff(now);
+    }
+    if (now >= current.guardDoneAt) {
+      sequenceIndex += 1;
+      if (sequenceIndex >= SEQ_FRAMES) {
+        sequenceActive = false;
+        sequenceIndex = 0;
+        println(`SEQ END time_ms=${now}`);
+      }
+    }
+  }
+
+  function emitParams() {
+    println(`PARAMS ${Object.entries(params).map(([key, value]) => `${key}=${value}`).join(' | ')}`);
+  }
+
+  // Same answers as the sketch: PARAMS on success, SET ERR otherwise
+  // (duty_run above the cap is clamped, not refused).
+  function setParam(arg) {
+    const eq = arg.indexOf('=');
+    if (eq <= 0) {
+      println(`SET ERR key=${arg} | value= | reason=format`);
+      return;
+    }
+    const key = arg.slice(0, eq);
+    const valueText = arg.slice(eq + 1);
+    if (!(key in params)) {
+      println(`SET ERR key=${key} | value=${valueText} | reason=unknown`);
+      return;
+    }
+    if (!/^-?\d+$/.test(valueText)) {
+      println(`SET ERR key=${key} | value=${valueText} | reason=format`);
+      return;
+    }
+    const result = validateParamPatch({ [key]: Number(valueText) });
+    if (!result.ok) {
+      println(`SET ERR key=${key} | value=${valueText} | reason=range`);
+      return;
+    }
+    params[key] = result.values[key];
+    emitParams();
+  }
+
+  function processCommand(cmd) {
+    const now = millis();
+    if (cmd === 'START') {
+      startProgrammedSequence(now);
+    } else if (cmd === 'STOP') {
+      cancelSequence(now);
+    } else if (cmd.startsWith('CAPTURE')) {
+      const arg = cmd.slice('CAPTURE'.length).trim();
+      const val = arg === '' ? 1 : Number.parseInt(arg, 10) || 0;
+      captureMode = val !== 0;
+      println(`CAPTURE ${captureMode ? 'ON' : 'OFF'}`);
+    } else if (cmd.startsWith('SET ')) {
+      setParam(cmd.slice(4));
+    } else if (cmd === 'GET') {
+      emitParams();
+    }
+    flush();
+  }
+
+  // -------------------- Main loop
+  function tick() {
+    const now = millis();
+    while (nextSampleAt <= now) {
+      const t = nextSampleAt;
+      nextSampleAt += SAMPLE_INTERVAL_MS;
+      proxSample = visitorProx(t);
+      proxValid = true;
+      handlePresenceFSM(t, proxSample);
+      if (presence === 'PRESENCE') {
+        handleBlinkDetection(t, proxSample);
+      }
+      if (t - lastStatusMs >= STATUS_INTERVAL_MS) {
+        lastStatusMs = t;
+        emitStatus(t);
+      }
+      if (t - lastPrintMs >= PRINT_INTERVAL_MS) {
+        lastPrintMs = t;
+        println(`t=${t} ms | prox=${proxSample}`);
+      }
+      updateSequence(t);
+    }
+    flush();
+  }
+
+  emitter.start = () => {
+    if (timer) return;
+    bootAt = Date.now();
+    nextSampleAt = 0;
+    phaseIdx = 0;
+    phaseStart = 0;
+    enterPhase(script[0], 0);
+    resetStatsAndConfidence(0);
+    println('VCNL4040 OK');
+    flush();
+    timer = setInterval(tick, PRINT_INTERVAL_MS);
+  };
+
+  emitter.write = (text, cb) => {
+    const lines = String(text).split(/[\r\n]+/).map((l) => l.trim()).filter(Boolean);
+    setImmediate(() => {
+      lines.forEach(processCommand);
+      if (typeof cb === 'function') cb(null);
+    });
+    return true;
+  };
+
+  emitter.close = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    emitter.emit('close');
+  };
+
+  emitter.scenario = scenarioName;
+  emitter.seed = seed;
+  return emitter;
+}
+
+module.exports = {
+  createSimulator,
+  SCENARIOS,
+  DEFAULT_SCENARIO,
+};
@@ -0,0 +1,381 @@
+// What-if runs: feeds the STATUS lines of recorded captures through a fresh
+// controller (lib/controller.js) with other thresholds and reports how its
+// starts, cancellations and re-arms differ from the current settings and from
+// what the capture recorded.
+//
+// The controller runs on a virtual clock driven by the capture timestamps and
+// talks to a modelled firmware that answers START/STOP like gradi-proxy-esp.ino
+// (lead, 16 frames, SEQ CANCEL on STOP). Both the current settings and the
+// what-if settings run against that model, so their difference is down to the
+// thresholds alone; the current run next to the actual SEQ lines shows how
+// closely the model follows the rig.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const path = require('path');
+const { parseCaptureEntry, readCaptureText } = require('./replay');
+const {
+  parseLine,
+  detectLineKind,
+  SEQ_FRAMES,
+  FRAME_DURATION_MS,
+  SEQUENCE_LEAD_MS,
+} = require('./protocol');
+const { createController } = require('./controller');
+const { evaluateSchedule } = require('./schedule');
+const { validateControlPatch } = require('./settings');
+
+// gradi-proxy-esp.ino timing: SEQ START comes right away, the first frame
+// after the lead, and SEQ END after the last frame.
+const REPLY_MS = 20;
+const SEQUENCE_MS = SEQUENCE_LEAD_MS + SEQ_FRAMES * FRAME_DURATION_MS;
+// Longer than this without a line means the server or the serial link was
+// down; the controller starts over like a freshly started server.
+const GAP_MS = 60 * 1000;
+// Decisions this close together count as the same one, shifted.
+const MATCH_MS = 5000;
+const MAX_TIMELINE = 2000;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function createVirtualClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  // Runs every timer due by `to` in order, then moves the clock to `to`.
+  function advance(to) {
+    for (;;) {
+      let due = null;
+      timers.forEach((timer, id) => {
+        if (timer.at <= to && (!due || timer.at < due.at)) due = { id, ...timer };
+      });
+      if (!due) break;
+      timers.delete(due.id);
+      now = Math.max(now, due.at);
+      due.fn();
+    }
+    now = Math.max(now, to);
+  }
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId;
+      nextId += 1;
+      timers.set(id, { at: now + Math.max(0, ms || 0), fn });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance,
+  };
+}
+
+function emptySummary() {
+  return {
+    starts: 0,
+    completed: 0,
+    cancelled: 0,
+    personLeft: 0,
+    rearms: {},
+    blocked: {},
+    timeline: [],
+  };
+}
+
+function addEntry(summary, entry) {
+  if (summary.timeline.length < MAX_TIMELINE) summary.timeline.push(entry);
+}
+
+// One controller and its modelled firmware. slotsFor() returns the slot plan
+// for the next SEQ START.
+function createRun(config, { schedule, slotsFor }) {
+  const clock = createVirtualClock();
+  const summary = emptySummary();
+  let endTimer = null;
+  let controller = null;
+
+  function finish(action) {
+    clock.clearTimeout(endTimer);
+    endTimer = null;
+    controller.handleSequence({ action, time_ms: clock.now() });
+  }
+
+  function send(command, { onAck = () => {}, onFail = () => {} } = {}) {
+    if (command === 'START') {
+      clock.setTimeout(() => {
+        if (endTimer) {
+          onAck('SEQ BUSY');
+          return;
+        }
+        endTimer = clock.setTimeout(() => finish('END'), SEQUENCE_MS);
+        onAck('SEQ START');
+        controller.handleSequence({
+          action: 'START',
+          time_ms: clock.now() + SEQUENCE_LEAD_MS,
+          slots: slotsFor(),
+          lead_ms: SEQUENCE_LEAD_MS,
+        });
+      }, REPLY_MS);
+    } else if (command === 'STOP') {
+      if (endTimer) {
+        clock.setTimeout(() => {
+          if (!endTimer) return;
+          onAck('SEQ CANCEL');
+          finish('CANCEL');
+        }, REPLY_MS);
+      } else {
+        // STOP is silent when nothing runs; the command tracker gives up.
+        clock.setTimeout(() => onFail('timeout'), config.ackTimeoutMs * (config.ackRetries + 1));
+      }
+    }
+  }
+
+  // Only the opening hours are modelled; maintenance was switched by hand.
+  function startPolicy(reason) {
+    if (reason !== 'auto-confidence' || !schedule) return null;
+    const { open, nextChangeAt } = evaluateSchedule(schedule, clock.now());
+    if (open) return null;
+    return { rule: 'closed', retryInMs: nextChangeAt != null ? Math.max(0, nextChangeAt - clock.now()) : null, retryAt: nextChangeAt };
+  }
+
+  controller = createController({ config, send, clock, startPolicy });
+  controller.on('event', (event, info) => {
+    const ts = clock.now();
+    switch (event) {
+      case 'sequence-started':
+        summary.starts += 1;
+        addEntry(summary, { ts, event: 'start', confidence: info.queued ? info.queued.confidence : undefined });
+        break;
+      case 'sequence-ended':
+        summary.completed += 1;
+        addEntry(summary, { ts, event: 'end' });
+        break;
+      case 'sequence-cancelled':
+        if (info.aborted) break;
+        summary.cancelled += 1;
+        addEntry(summary, { ts, event: 'cancel' });
+        break;
+      case 'stop-request':
+        if (info.reason === 'person-left') summary.personLeft += 1;
+        break;
+      case 'auto-rearm':
+        summary.rearms[info.reason] = (summary.rearms[info.reason] || 0) + 1;
+        addEntry(summary, { ts, event: 'rearm', reason: info.reason, confidence: info.confidence });
+        break;
+      case 'start-blocked':
+        summary.blocked[info.rule] = (summary.blocked[info.rule] || 0) + 1;
+        addEntry(summary, { ts, event: 'blocked', rule: info.rule });
+        break;
+      default:
+        break;
+    }
+  });
+
+  // armed follows the server: a restart comes up armed, a firmware reset
+  // needs a fresh re-arm.
+  function reset(reason, armed) {
+    clock.clearTimeout(endTimer);
+    endTimer = null;
+    controller.abort(reason, { armed });
+  }
+
+  return {
+    summary,
+    advance: (ts) => clock.advance(ts),
+    status: (data) => controller.handleStatus(data),
+    reset,
+  };
+}
+
+// Starts, completions and cancellations as the capture's SEQ lines recorded
+// them.
+function actualTracker() {
+  const summary = { starts: 0, completed: 0, cancelled: 0, timeline: [] };
+  let slots = null;
+  return {
+    summary,
+    slots: () => slots,
+    sequence(ts, data) {
+      if (data.action === 'START') {
+        summary.starts += 1;
+        if (Array.isArray(data.slots)) slots = data.slots;
+        addEntry(summary, { ts, event: 'start' });
+      } else if (data.action === 'END') {
+        summary.completed += 1;
+        addEntry(summary, { ts, event: 'end' });
+      } else if (data.action === 'CANCEL') {
+        summary.cancelled += 1;
+        addEntry(summary, { ts, event: 'cancel' });
+      }
+    },
+  };
+}
+
+// Pairs the decisions of two runs: within MATCH_MS they are the same decision,
+// otherwise one run made it and the other did not.
+function compareTimes(from, to) {
+  const added = [];
+  const removed = [];
+  const moved = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length || j < to.length) {
+    if (j >= to.length || (i < from.length && from[i] < to[j] - MATCH_MS)) {
+      removed.push(from[i]);
+      i += 1;
+    } else if (i >= from.length || to[j] < from[i] - MATCH_MS) {
+      added.push(to[j]);
+      j += 1;
+    } else {
+      if (from[i] !== to[j]) moved.push({ from: from[i], to: to[j], shiftMs: to[j] - from[i] });
+      i += 1;
+      j += 1;
+    }
+  }
+  return { added, removed, moved };
+}
+
+function timesOf(summary, event, match = () => true) {
+  return summary.timeline.filter((entry) => entry.event === event && match(entry)).map((entry) => entry.ts);
+}
+
+function compareRuns(from, to) {
+  return {
+    starts: compareTimes(timesOf(from, 'start'), timesOf(to, 'start')),
+    cancellations: compareTimes(timesOf(from, 'cancel'), timesOf(to, 'cancel')),
+    rearms: compareTimes(timesOf(from, 'rearm'), timesOf(to, 'rearm')),
+  };
+}
+
+function matchedShare(diff, total) {
+  return { matched: total - diff.removed.length, total };
+}
+
+// { from, to } in epoch ms for a local calendar day "YYYY-MM-DD", or null.
+function dayRange(day) {
+  const m = typeof day === 'string' ? day.match(DAY_PATTERN) : null;
+  if (!m) return null;
+  const from = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (from.getMonth() !== Number(m[2]) - 1) return null;
+  return { from: from.getTime(), to: new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + 1).getTime() };
+}
+
+// Captures of one rig (from the capture store's list) that overlap a range,
+// oldest first. Captures without a rig predate rigs and match any rig.
+function capturesInRange(captures, range, rig) {
+  return captures
+    .filter((capture) => !rig || !capture.rig || capture.rig === rig)
+    .filter((capture) => {
+      const start = capture.startedAt;
+      if (start == null) return false;
+      const end = capture.endedAt || (capture.durationMs != null ? start + capture.durationMs : null);
+      return start < range.to && (end == null || end >= range.from);
+    })
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+// options: files (capture paths), current (controller config), patch (the
+// what-if values), schedule (opening hours, optional), from/to (epoch ms,
+// optional). Returns { ok, errors } or the report.
+function runWhatIf(options) {
+  const { files, current, patch, schedule = null, from = -Infinity, to = Infinity } = options;
+  const checked = validateControlPatch(patch, current);
+  if (!checked.ok) return { ok: false, errors: checked.errors };
+  if (!files || !files.length) return { ok: false, errors: ['no captures to run over'] };
+  const whatIfConfig = { ...current, ...checked.values };
+
+  const actual = actualTracker();
+  const slotsFor = () => actual.slots() || undefined;
+  const runs = [createRun({ ...current }, { schedule, slotsFor }), createRun(whatIfConfig, { schedule, slotsFor })];
+  const fileStats = [];
+  let lastTs = null;
+  let firstTs = null;
+  let firmwareTalking = false;
+
+  files.forEach((filePath) => {
+    const stats = { name: path.basename(filePath), lines: 0, statusLines: 0, error: null };
+    fileStats.push(stats);
+    let text;
+    try {
+      text = readCaptureText(filePath);
+    } catch (err) {
+      stats.error = err.message;
+      return;
+    }
+    let start = 0;
+    while (start < text.length) {
+      let end = text.indexOf('\n', start);
+      if (end < 0) end = text.length;
+      const entry = parseCaptureEntry(text.slice(start, end));
+      start = end + 1;
+      if (!entry || entry.ts < from || entry.ts >= to) continue;
+      if (lastTs != null && entry.ts < lastTs) continue;
+      const kind = detectLineKind(entry.line);
+      if (kind !== 'STATUS' && kind !== 'SEQ' && kind !== 'BOOT') continue;
+      stats.lines += 1;
+      runs.forEach((run) => run.advance(entry.ts));
+      if (lastTs != null && entry.ts - lastTs > GAP_MS) {
+        runs.forEach((run) => run.reset('capture-gap', true));
+        firmwareTalking = false;
+      }
+      if (firstTs == null) firstTs = entry.ts;
+      lastTs = entry.ts;
+      const parsed = parseLine(entry.line);
+      if (kind === 'STATUS' && parsed.ok) {
+        stats.statusLines += 1;
+        firmwareTalking = true;
+        runs.forEach((run) => run.status(parsed.data));
+      } else if (kind === 'SEQ' && parsed.data.action) {
+        firmwareTalking = true;
+        actual.sequence(entry.ts, parsed.data);
+      } else if (kind === 'BOOT' && parsed.data.healthy && firmwareTalking) {
+        firmwareTalking = false;
+        runs.forEach((run) => run.reset('firmware-reset', false));
+      }
+    }
+  });
+
+  const [currentRun, whatIfRun] = runs.map((run) => run.summary);
+  const modelCheck = compareTimes(timesOf(actual.summary, 'start'), timesOf(currentRun, 'start'));
+  return {
+    ok: true,
+    files: fileStats,
+    from: firstTs,
+    to: lastTs,
+    config: {
+      current: { ...current },
+      whatIf: whatIfConfig,
+      changed: Object.keys(checked.values).filter((key) => current[key] !== checked.values[key]),
+    },
+    actual: actual.summary,
+    current: currentRun,
+    whatIf: whatIfRun,
+    differences: compareRuns(currentRun, whatIfRun),
+    // How many of the recorded starts the current-settings run reproduces.
+    model: matchedShare(modelCheck, actual.summary.starts),
+    truncated: [actual.summary, currentRun, whatIfRun].some((summary) => summary.timeline.length >= MAX_TIMELINE),
+  };
+}
+
+// Reading and gunzipping a day of captures takes a while; the server runs it
+// off the event loop.
+function runWhatIfInWorker(options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { task: 'whatif', options } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`what-if worker exited with code ${code}`));
+    });
+  });
+}
+
+if (!isMainThread && workerData && workerData.task === 'whatif') {
+  parentPort.postMessage(runWhatIf(workerData.options));
+}
+
+module.exports = {
+  runWhatIf,
+  runWhatIfInWorker,
+  dayRange,
+  capturesInRange,
+};
@@ -0,0 +1,226 @@
+// Sound cues for the visitor screen, synthesized with the Web Audio API.
+// Each cue (blink, puff, drone, typing) has its own gain node under a master
+// gain; volumes and the mute switch come from the server (lib/audio.js).
+// Cues tied to the firmware are scheduled against its time_ms: clock() keeps
+// an estimate of the AudioContext time that matches firmware time zero.
+// The slot timing comes from the server too (hello.sequenceTiming, from
+// lib/protocol.js).
+
+const DEFAULT_PUFF_MS = 70;
+// A message far later than the quickest one so far means the firmware clock
+// jumped (reboot, new capture); start the estimate over.
+const CLOCK_RESET_S = 1;
+// How far one message may pull the estimate later, to follow clock drift.
+const CLOCK_RELAX_S = 0.002;
+const SILENT = 0.0001;
+
+export function createAudioCues() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  let ctx = null;
+  let master = null;
+  let noise = null;
+  const gains = {};
+  let settings = { muted: false, volumes: {} };
+  let offsetS = null; // AudioContext seconds minus firmware seconds
+  let puffMs = DEFAULT_PUFF_MS;
+  let timing = null; // { slotMs, frameSlots }
+  let puffs = [];
+  let drone = null;
+
+  function context() {
+    if (ctx || !AudioCtx) return ctx;
+    ctx = new AudioCtx();
+    master = ctx.createGain();
+    master.connect(ctx.destination);
+    noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i += 1) samples[i] = Math.random() * 2 - 1;
+    applySettings();
+    return ctx;
+  }
+
+  // Browsers keep audio suspended until the page is touched, unless the kiosk
+  // was launched with --autoplay-policy=no-user-gesture-required.
+  function unlock() {
+    const audio = context();
+    if (audio && audio.state === 'suspended') audio.resume().catch(() => {});
+  }
+  ['pointerdown', 'keydown'].forEach((evt) => window.addEventListener(evt, unlock));
+
+  function ready() {
+    const audio = context();
+    if (audio && audio.state === 'suspended') unlock();
+    return Boolean(audio) && audio.state === 'running' && !settings.muted;
+  }
+
+  function gainFor(cue) {
+    if (!gains[cue]) {
+      gains[cue] = ctx.createGain();
+      gains[cue].gain.value = settings.volumes[cue] != null ? settings.volumes[cue] : 0;
+      gains[cue].connect(master);
+    }
+    return gains[cue];
+  }
+
+  function applySettings() {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    master.gain.setTargetAtTime(settings.muted ? 0 : 1, now, 0.05);
+    Object.entries(settings.volumes).forEach(([cue, volume]) => {
+      gainFor(cue).gain.setTargetAtTime(volume, now, 0.05);
+    });
+  }
+
+  function setSettings(next) {
+    if (!next) return;
+    settings = {
+      muted: Boolean(next.muted),
+      volumes: { ...settings.volumes, ...(next.volumes || {}) },
+    };
+    applySettings();
+    if (settings.muted) {
+      cancelPuffs();
+      stopDrone();
+    }
+  }
+
+  function setPuffDuration(ms) {
+    if (Number.isFinite(ms) && ms > 0) puffMs = ms;
+  }
+
+  function setSequenceTiming(next) {
+    if (next && next.slotMs > 0 && next.frameSlots > 0) timing = { slotMs: next.slotMs, frameSlots: next.frameSlots };
+  }
+
+  function clock(timeMs) {
+    if (typeof timeMs !== 'number' || !context()) return;
+    const sample = ctx.currentTime - timeMs / 1000;
+    if (offsetS == null || sample < offsetS || sample - offsetS > CLOCK_RESET_S) {
+      offsetS = sample;
+    } else {
+      offsetS += Math.min(CLOCK_RELAX_S, sample - offsetS);
+    }
+  }
+
+  // AudioContext time for a firmware time, or null before the first clock().
+  function atFirmware(timeMs) {
+    if (offsetS == null || typeof timeMs !== 'number') return null;
+    return offsetS + timeMs / 1000;
+  }
+
+  // A gain envelope into the cue's channel: quick attack, exponential decay.
+  function envelope(cue, at, attackS, durationS, peak = 1) {
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(SILENT, at);
+    env.gain.exponentialRampToValueAtTime(peak, at + attackS);
+    env.gain.exponentialRampToValueAtTime(SILENT, at + durationS);
+    env.connect(gainFor(cue));
+    return env;
+  }
+
+  function noiseBurst(cue, at, durationS, filterType, frequency) {
+    const src = ctx.createBufferSource();
+    src.buffer = noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.value = frequency;
+    src.connect(filter);
+    filter.connect(envelope(cue, at, Math.min(0.01, durationS / 4), durationS));
+    src.start(at, Math.random() * (noise.duration - durationS));
+    src.stop(at + durationS + 0.05);
+    return src;
+  }
+
+  function blink(timeMs) {
+    if (!ready()) return;
+    const at = Math.max(ctx.currentTime, atFirmware(timeMs) || 0);
+    const env = envelope('blink', at, 0.008, 0.35);
+    [880, 1320].forEach((frequency, idx) => {
+      const osc = ctx.createOscillator();
+      osc.frequency.value = frequency;
+      const partial = ctx.createGain();
+      partial.gain.value = idx === 0 ? 0.7 : 0.2;
+      osc.connect(partial);
+      partial.connect(env);
+      osc.start(at);
+      osc.stop(at + 0.4);
+    });
+  }
+
+  // One soft burst per frame of the SEQ START plan, at the slot's puff time.
+  // Puffs whose time has already passed are skipped.
+  function schedulePuffs(startMs, slots) {
+    cancelPuffs();
+    if (!ready() || !timing || !Array.isArray(slots)) return;
+    if (offsetS == null) clock(startMs);
+    const frameMs = timing.slotMs * timing.frameSlots;
+    slots.forEach((slot, frame) => {
+      if (!Number.isInteger(slot)) return;
+      const at = atFirmware(startMs + frame * frameMs + slot * timing.slotMs);
+      if (at == null || at < ctx.currentTime) return;
+      puffs.push(noiseBurst('puff', at, puffMs / 1000, 'bandpass', 900));
+    });
+  }
+
+  function cancelPuffs() {
+    puffs.forEach((src) => {
+      try {
+        src.stop();
+      } catch (err) {
+        // already stopped
+      }
+    });
+    puffs = [];
+  }
+
+  function startDrone() {
+    if (drone || !ready()) return;
+    const at = ctx.currentTime;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(0.6, at + 1.5);
+    env.connect(gainFor('drone'));
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 420;
+    filter.connect(env);
+    const oscillators = [55, 55.4, 82.5].map((frequency) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'sawtooth';
+      osc.frequency.value = frequency;
+      osc.connect(filter);
+      osc.start(at);
+      return osc;
+    });
+    drone = { env, oscillators };
+  }
+
+  function stopDrone() {
+    if (!drone) return;
+    const { env, oscillators } = drone;
+    drone = null;
+    const at = ctx.currentTime;
+    env.gain.cancelScheduledValues(at);
+    env.gain.setValueAtTime(env.gain.value, at);
+    env.gain.linearRampToValueAtTime(0, at + 0.6);
+    oscillators.forEach((osc) => osc.stop(at + 0.7));
+  }
+
+  function click() {
+    if (!ready()) return;
+    noiseBurst('typing', ctx.currentTime, 0.012, 'highpass', 2800);
+  }
+
+  return {
+    setSettings,
+    setPuffDuration,
+    setSequenceTiming,
+    clock,
+    blink,
+    schedulePuffs,
+    cancelPuffs,
+    startDrone,
+    stopDrone,
+    click,
+  };
+}
@@ -0,0 +1,68 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const mutedEl = document.getElementById('audioMuted');
+  const fieldsEl = document.getElementById('audioFields');
+  const statusEl = document.getElementById('audioStatus');
+
+  const sliders = {};
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function renderFields(cues) {
+    fieldsEl.innerHTML = '';
+    Object.keys(sliders).forEach((cue) => delete sliders[cue]);
+    Object.entries(cues || {}).forEach(([cue, description]) => {
+      const label = document.createElement('label');
+      label.title = description;
+      const name = document.createElement('span');
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = 0;
+      input.max = 1;
+      input.step = 0.05;
+      input.addEventListener('input', () => {
+        name.textContent = `${cue} ${Number(input.value).toFixed(2)}`;
+      });
+      // Send on release so dragging does not flood every screen with updates.
+      input.addEventListener('change', () => {
+        debug.send({ type: 'update-audio', audio: { volumes: { [cue]: Number(input.value) } } });
+      });
+      label.appendChild(name);
+      label.appendChild(input);
+      fieldsEl.appendChild(label);
+      sliders[cue] = { input, name };
+    });
+  }
+
+  function showSettings(audio) {
+    if (!audio) return;
+    mutedEl.checked = Boolean(audio.muted);
+    Object.entries(sliders).forEach(([cue, { input, name }]) => {
+      const volume = audio.volumes ? audio.volumes[cue] : null;
+      if (typeof volume !== 'number') return;
+      input.value = volume;
+      name.textContent = `${cue} ${volume.toFixed(2)}`;
+    });
+    setStatus(audio.muted ? 'Visitor screens are muted.' : 'Visitor screens play sound.');
+  }
+
+  mutedEl.addEventListener('change', () => {
+    debug.send({ type: 'update-audio', audio: { muted: mutedEl.checked } });
+  });
+
+  debug.on('hello', (msg) => {
+    renderFields(msg.audioCues);
+    showSettings(msg.audio);
+  });
+
+  debug.on('audio-settings', showSettings);
+
+  debug.on('audio-error', (msg) => {
+    setStatus((msg.errors || ['update failed']).join('; '), true);
+  });
+})();
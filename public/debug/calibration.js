@@ -0,0 +1,266 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const stepsEl = document.getElementById('calibrationSteps');
+  const resultEl = document.getElementById('calibrationResult');
+  const statusEl = document.getElementById('calibrationStatus');
+  const applyBtn = document.getElementById('calibrationApply');
+  const resetBtn = document.getElementById('calibrationReset');
+
+  // Each recording listens to the live stream: prox from sample and STATUS
+  // lines, confidence and presence from STATUS, and BLINK events.
+  const STEPS = [
+    {
+      key: 'empty',
+      title: 'Empty room',
+      hint: 'Leave the sensor uncovered and step out of its view.',
+      durationMs: 10000,
+    },
+    {
+      key: 'still',
+      title: 'Seated, eyes open',
+      hint: 'Seat a visitor in the mask. Ask them to keep still and not blink for as long as they can.',
+      durationMs: 10000,
+    },
+    {
+      key: 'blinking',
+      title: 'Blinking on cue',
+      hint: 'Keep the visitor seated. Say "now" about once a second and have them blink each time.',
+      durationMs: 15000,
+    },
+  ];
+
+  const results = {};
+  const views = {};
+  let recording = null;
+  let controlConfig = null;
+  let recommendation = null;
+  let applying = false;
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+  }
+
+  function round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  function summarize(data) {
+    const spread = (values) => (values.length ? {
+      p5: percentile(values, 0.05),
+      p10: percentile(values, 0.1),
+      p50: percentile(values, 0.5),
+      p95: percentile(values, 0.95),
+    } : null);
+    return {
+      prox: spread(data.prox),
+      conf: spread(data.conf),
+      presence: data.states.length ? data.states.filter((s) => s === 'PRESENCE').length / data.states.length : null,
+      blinks: data.blinks,
+    };
+  }
+
+  // Problems with a recording that make its numbers unreliable.
+  function checkStep(key, summary) {
+    if (!summary.prox || !summary.conf) return 'no STATUS lines arrived; is the sensor streaming?';
+    if (key === 'empty' && summary.presence > 0.2) return 'the firmware saw presence in an empty room; record again with nobody in view';
+    if (key !== 'empty' && summary.presence < 0.8) return 'the firmware lost presence during the recording; check the mask fit';
+    if (key === 'blinking' && summary.blinks === 0) return 'no blinks were detected; check the sensor position';
+    return null;
+  }
+
+  function describe(key, summary) {
+    if (!summary.prox) return 'no data';
+    const parts = [
+      `prox ${summary.prox.p5}–${summary.prox.p95}`,
+      `conf ${summary.conf ? `${summary.conf.p5.toFixed(2)}–${summary.conf.p95.toFixed(2)}` : '-'}`,
+      `presence ${summary.presence != null ? Math.round(summary.presence * 100) : '-'}%`,
+    ];
+    if (key === 'blinking') parts.push(`${summary.blinks} blinks`);
+    return parts.join(' · ');
+  }
+
+  function renderSteps() {
+    stepsEl.innerHTML = '';
+    STEPS.forEach((step) => {
+      const item = document.createElement('li');
+      const title = document.createElement('strong');
+      title.textContent = step.title;
+      const hint = document.createElement('div');
+      hint.textContent = step.hint;
+      const result = document.createElement('div');
+      result.className = 'panel-status';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary';
+      button.textContent = `Record ${step.durationMs / 1000} s`;
+      button.addEventListener('click', () => startRecording(step));
+      item.appendChild(title);
+      item.appendChild(hint);
+      item.appendChild(button);
+      item.appendChild(result);
+      stepsEl.appendChild(item);
+      views[step.key] = { button, result };
+    });
+  }
+
+  function startRecording(step) {
+    if (recording) return;
+    const data = { prox: [], conf: [], states: [], blinks: 0 };
+    const endsAt = Date.now() + step.durationMs;
+    recording = { step, data, timer: null };
+    STEPS.forEach(({ key }) => { views[key].button.disabled = true; });
+    const tick = () => {
+      const left = Math.max(0, endsAt - Date.now());
+      views[step.key].result.textContent = `Recording… ${Math.ceil(left / 1000)} s`;
+      views[step.key].result.classList.remove('error');
+      if (left === 0) finishRecording();
+    };
+    recording.timer = setInterval(tick, 250);
+    tick();
+  }
+
+  function finishRecording() {
+    const { step, data, timer } = recording;
+    clearInterval(timer);
+    recording = null;
+    STEPS.forEach(({ key }) => { views[key].button.disabled = false; });
+    const summary = summarize(data);
+    const problem = checkStep(step.key, summary);
+    const view = views[step.key];
+    view.result.textContent = problem ? `${describe(step.key, summary)} — ${problem}` : describe(step.key, summary);
+    view.result.classList.toggle('error', Boolean(problem));
+    if (problem) delete results[step.key];
+    else results[step.key] = summary;
+    recommend();
+  }
+
+  // Turns the three recordings into controller settings. Each value comes with
+  // the reason it was picked.
+  function compute({ empty, still, blinking }) {
+    const values = {};
+    const reasons = {};
+
+    const roomCeiling = empty.prox.p95;
+    const seatedFloor = Math.min(still.prox.p5, blinking.prox.p5);
+    if (seatedFloor > roomCeiling) {
+      values.proxExit = Math.round(roomCeiling + (seatedFloor - roomCeiling) * 0.25);
+      reasons.proxExit = `Empty room reads up to ${roomCeiling}, a seated visitor no lower than ${seatedFloor}. A quarter of the way up leaves room for the visitor shifting in the seat.`;
+    } else {
+      values.proxExit = Math.round(roomCeiling);
+      reasons.proxExit = `Seated readings (${seatedFloor}) overlap the empty room (${roomCeiling}), so the sensor cannot tell them apart. Check the mask fit; this uses the empty-room ceiling.`;
+    }
+    values.proxExit = clamp(values.proxExit, 0, 1000);
+
+    const settled = still.conf.p50;
+    values.confStart = clamp(round2(settled - 0.02), 0.5, 0.99);
+    reasons.confStart = `A still, seated visitor holds confidence around ${settled.toFixed(2)}. Starting just below that fires once they settle.`;
+
+    const blinkingLow = blinking.conf.p10;
+    values.confRearm = clamp(round2(Math.min(values.confStart - 0.05, blinkingLow - 0.05)), 0, values.confStart);
+    reasons.confRearm = `Blinking keeps confidence above ${blinkingLow.toFixed(2)}. Re-arming below that keeps a visitor who stays seated after a run from starting another.`;
+
+    const roomConf = empty.conf.p95;
+    values.confExit = clamp(round2((roomConf + blinkingLow) / 2), 0, values.confRearm);
+    reasons.confExit = `Confidence stays under ${roomConf.toFixed(2)} in the empty room and above ${blinkingLow.toFixed(2)} while blinking. Halfway between separates leaving from blinking.`;
+
+    return { values, reasons };
+  }
+
+  function renderResult() {
+    resultEl.innerHTML = '';
+    if (!recommendation) return;
+    Object.entries(recommendation.values).forEach(([key, value]) => {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = key;
+      const change = document.createElement('td');
+      const current = controlConfig ? controlConfig[key] : null;
+      change.textContent = current != null && current !== value ? `${current} → ${value}` : String(value);
+      const reason = document.createElement('td');
+      reason.textContent = recommendation.reasons[key];
+      row.appendChild(name);
+      row.appendChild(change);
+      row.appendChild(reason);
+      resultEl.appendChild(row);
+    });
+  }
+
+  function recommend() {
+    const missing = STEPS.filter(({ key }) => !results[key]);
+    recommendation = missing.length ? null : compute(results);
+    applyBtn.disabled = !recommendation;
+    renderResult();
+    if (missing.length) {
+      setStatus(`Still to record: ${missing.map(({ title }) => title).join(', ')}.`);
+    } else {
+      setStatus('Review the recommended values, then apply them to the running controller.');
+    }
+  }
+
+  applyBtn.addEventListener('click', () => {
+    if (!recommendation) return;
+    applying = true;
+    setStatus('Applying…');
+    debug.send({ type: 'update-config', config: recommendation.values });
+  });
+
+  resetBtn.addEventListener('click', () => {
+    if (recording) {
+      clearInterval(recording.timer);
+      recording = null;
+    }
+    Object.keys(results).forEach((key) => delete results[key]);
+    renderSteps();
+    recommend();
+  });
+
+  debug.on('sample', (msg) => {
+    if (recording && typeof msg.prox === 'number') recording.data.prox.push(msg.prox);
+  });
+
+  debug.on('status', (msg) => {
+    if (!recording) return;
+    if (typeof msg.prox === 'number') recording.data.prox.push(msg.prox);
+    if (typeof msg.confidence === 'number') recording.data.conf.push(msg.confidence);
+    if (msg.state) recording.data.states.push(msg.state);
+  });
+
+  debug.on('blink-event', () => {
+    if (recording) recording.data.blinks += 1;
+  });
+
+  debug.on('hello', (msg) => {
+    controlConfig = msg.control ? { ...msg.control } : null;
+    renderResult();
+  });
+
+  debug.on('config-changed', (msg) => {
+    controlConfig = msg.config ? { ...msg.config } : controlConfig;
+    renderResult();
+    if (!applying) return;
+    applying = false;
+    setStatus(msg.changed.length ? `Applied ${msg.changed.join(', ')}.` : 'The controller already uses these values.');
+  });
+
+  debug.on('config-error', (msg) => {
+    if (!applying) return;
+    applying = false;
+    setStatus((msg.errors || ['update failed']).join('; '), true);
+  });
+
+  renderSteps();
+  recommend();
+})();
@@ -0,0 +1,183 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  // While a capture is being written its size and line count keep growing.
+  const REFRESH_MS = 10000;
+
+  const toggleBtn = document.getElementById('captureToggle');
+  const refreshBtn = document.getElementById('captureRefresh');
+  const listEl = document.getElementById('captureList');
+  const statusEl = document.getElementById('captureStatus');
+
+  let rigId = null;
+  let active = null;
+  let replaying = false;
+  let refreshTimer = null;
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function formatSize(bytes) {
+    if (bytes == null) return '-';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function formatDuration(ms) {
+    if (ms == null) return '-';
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+  }
+
+  function formatDate(ts) {
+    return ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'medium' }) : '-';
+  }
+
+  async function request(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify({ ...body, caller: 'debug-dashboard' }) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error((data.errors || [data.error || `HTTP ${res.status}`]).join('; '));
+    return data;
+  }
+
+  function cell(row, content) {
+    const td = document.createElement('td');
+    if (content instanceof Node) td.appendChild(content);
+    else td.textContent = content;
+    row.appendChild(td);
+    return td;
+  }
+
+  function button(text, className, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function renderRow(capture) {
+    const row = document.createElement('tr');
+    const name = document.createElement('div');
+    name.textContent = capture.name;
+    const info = document.createElement('div');
+    info.className = 'panel-status';
+    info.textContent = [
+      capture.rig ? `rig ${capture.rig}` : null,
+      capture.part > 1 ? `part ${capture.part}` : null,
+      capture.active ? 'recording' : null,
+      capture.error ? `unreadable: ${capture.error}` : null,
+    ].filter(Boolean).join(' · ');
+    const nameCell = document.createElement('div');
+    nameCell.appendChild(name);
+    nameCell.appendChild(info);
+    cell(row, nameCell);
+    cell(row, formatDate(capture.startedAt));
+    cell(row, formatDuration(capture.durationMs));
+    cell(row, formatSize(capture.size));
+    cell(row, capture.sequences != null ? String(capture.sequences) : '-');
+
+    const tags = document.createElement('input');
+    tags.type = 'text';
+    tags.value = capture.tags.join(', ');
+    tags.placeholder = 'tags, comma separated';
+    const notes = document.createElement('textarea');
+    notes.rows = 1;
+    notes.value = capture.notes;
+    notes.placeholder = 'Operator notes';
+    const noteCell = document.createElement('div');
+    noteCell.className = 'capture-notes';
+    noteCell.appendChild(tags);
+    noteCell.appendChild(notes);
+    cell(row, noteCell);
+
+    const actions = document.createElement('div');
+    actions.className = 'capture-actions';
+    actions.appendChild(button('Save', 'secondary', async () => {
+      try {
+        await request('PATCH', `/api/captures/${encodeURIComponent(capture.name)}`, { notes: notes.value, tags: tags.value });
+        setStatus(`Saved notes for ${capture.name}.`);
+      } catch (err) {
+        setStatus(err.message, true);
+      }
+    }));
+    const download = document.createElement('a');
+    download.href = `/api/captures/${encodeURIComponent(capture.name)}`;
+    download.download = capture.name;
+    download.textContent = 'Download';
+    actions.appendChild(download);
+    if (!capture.active) {
+      actions.appendChild(button('Delete', 'secondary', async () => {
+        if (!window.confirm(`Delete ${capture.name}? This cannot be undone.`)) return;
+        try {
+          await request('DELETE', `/api/captures/${encodeURIComponent(capture.name)}`);
+          setStatus(`Deleted ${capture.name}.`);
+        } catch (err) {
+          setStatus(err.message, true);
+        }
+      }));
+    }
+    cell(row, actions);
+    return row;
+  }
+
+  function renderToggle() {
+    toggleBtn.disabled = replaying;
+    toggleBtn.textContent = active ? 'Stop capture' : 'Start capture';
+    toggleBtn.className = active ? 'secondary' : 'primary';
+  }
+
+  async function refresh() {
+    try {
+      const data = await request('GET', '/api/captures');
+      const mine = data.active.find((entry) => entry.rig === rigId);
+      active = mine ? mine.capture : null;
+      renderToggle();
+      listEl.innerHTML = '';
+      data.captures.forEach((capture) => listEl.appendChild(renderRow(capture)));
+      if (replaying) {
+        setStatus('Captures are not recorded while replaying.');
+      } else if (active) {
+        setStatus(`Recording ${active.name} · ${active.lines} lines · rotates every ${data.rotateMb} MB.`);
+      } else {
+        setStatus(`${data.captures.length} captures in ${data.dir}.`);
+      }
+    } catch (err) {
+      setStatus(`Could not list captures: ${err.message}`, true);
+    }
+    clearTimeout(refreshTimer);
+    if (active) refreshTimer = setTimeout(refresh, REFRESH_MS);
+  }
+
+  toggleBtn.addEventListener('click', async () => {
+    toggleBtn.disabled = true;
+    try {
+      await request('POST', `/api/captures/${active ? 'stop' : 'start'}?rig=${encodeURIComponent(rigId)}`, {});
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+    refresh();
+  });
+
+  refreshBtn.addEventListener('click', refresh);
+
+  debug.on('hello', (msg) => {
+    rigId = msg.rig;
+    active = msg.capture;
+    replaying = Boolean(msg.replay);
+    renderToggle();
+    refresh();
+  });
+
+  debug.on('capture-state', refresh);
+  debug.on('captures-changed', refresh);
+})();
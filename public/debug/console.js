@@ -0,0 +1,160 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const MAX_LINES = 1000;
+  const KINDS = ['STATUS', 'BLINK', 'SEQ', 'ERR', 'SAMPLE', 'DBG', 'OTHER'];
+  // SAMPLE lines arrive at the sensor rate and bury everything else.
+  const HIDDEN_BY_DEFAULT = ['SAMPLE'];
+  const COMMAND_EVENTS = ['command-ack', 'command-failed', 'command-timeout', 'command-retry'];
+
+  const liveEl = document.getElementById('consoleLive');
+  const kindsEl = document.getElementById('consoleKinds');
+  const outputEl = document.getElementById('consoleOutput');
+  const formEl = document.getElementById('consoleForm');
+  const inputEl = document.getElementById('consoleInput');
+  const commandsEl = document.getElementById('consoleCommands');
+  const clearBtn = document.getElementById('consoleClear');
+  const statusEl = document.getElementById('consoleStatus');
+
+  const shown = new Set(KINDS.filter((kind) => !HIDDEN_BY_DEFAULT.includes(kind)));
+  // { ts, kind, text, cls } — kind is a firmware line kind or 'CONSOLE'.
+  let lines = [];
+  const history = [];
+  let historyIdx = 0;
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function kindOf(kind) {
+    return KINDS.includes(kind) ? kind : 'OTHER';
+  }
+
+  function visible(entry) {
+    return entry.kind === 'CONSOLE' || shown.has(kindOf(entry.kind));
+  }
+
+  function lineEl(entry) {
+    const row = document.createElement('div');
+    row.className = `console-line ${entry.cls || kindOf(entry.kind).toLowerCase()}`;
+    row.textContent = entry.text;
+    return row;
+  }
+
+  function atBottom() {
+    return outputEl.scrollHeight - outputEl.scrollTop - outputEl.clientHeight < 24;
+  }
+
+  function render() {
+    outputEl.innerHTML = '';
+    lines.filter(visible).forEach((entry) => outputEl.appendChild(lineEl(entry)));
+    outputEl.scrollTop = outputEl.scrollHeight;
+  }
+
+  function push(entry) {
+    lines.push(entry);
+    if (lines.length > MAX_LINES) lines = lines.slice(-MAX_LINES);
+    if (!visible(entry)) return;
+    const follow = atBottom();
+    outputEl.appendChild(lineEl(entry));
+    while (outputEl.childElementCount > MAX_LINES) outputEl.removeChild(outputEl.firstChild);
+    if (follow) outputEl.scrollTop = outputEl.scrollHeight;
+  }
+
+  function note(text, cls = 'note') {
+    push({ ts: Date.now(), kind: 'CONSOLE', text, cls });
+  }
+
+  function renderKinds() {
+    kindsEl.innerHTML = '';
+    KINDS.forEach((kind) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = shown.has(kind);
+      box.addEventListener('change', () => {
+        if (box.checked) shown.add(kind);
+        else shown.delete(kind);
+        render();
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${kind}`));
+      kindsEl.appendChild(label);
+    });
+  }
+
+  function subscribe() {
+    debug.send({ type: 'subscribe-raw', enabled: liveEl.checked });
+  }
+
+  formEl.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const command = inputEl.value.trim();
+    if (!command) return;
+    if (history[history.length - 1] !== command) history.push(command);
+    historyIdx = history.length;
+    inputEl.value = '';
+    note(`> ${command}`, 'sent');
+    debug.send({ type: 'serial-command', command });
+  });
+
+  // Up and down walk through the commands sent from this page.
+  inputEl.addEventListener('keydown', (event) => {
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+    if (!history.length) return;
+    event.preventDefault();
+    historyIdx = Math.max(0, Math.min(history.length, historyIdx + (event.key === 'ArrowUp' ? -1 : 1)));
+    inputEl.value = history[historyIdx] || '';
+  });
+
+  liveEl.addEventListener('change', () => {
+    subscribe();
+    note(liveEl.checked ? 'Streaming serial lines.' : 'Stopped streaming serial lines.');
+  });
+
+  clearBtn.addEventListener('click', () => {
+    lines = [];
+    render();
+  });
+
+  debug.on('hello', (msg) => {
+    commandsEl.innerHTML = '';
+    Object.entries(msg.consoleCommands || {}).forEach(([command, description]) => {
+      const option = document.createElement('option');
+      option.value = command;
+      option.label = description;
+      commandsEl.appendChild(option);
+    });
+    subscribe();
+    setStatus(msg.serial ? `Connected to rig ${msg.rig}.` : `Rig ${msg.rig} has no serial link.`, !msg.serial);
+  });
+
+  debug.on('serial-state', (msg) => {
+    setStatus(`Serial ${msg.state}${msg.port ? ` (${msg.port})` : ''}.`, msg.state !== 'open');
+  });
+
+  debug.on('esp-raw', (msg) => {
+    if (liveEl.checked) push({ ts: msg.ts, kind: msg.kind, text: msg.line });
+  });
+
+  debug.on('serial-command-result', (msg) => {
+    if (msg.ok) {
+      note(`  sent ${msg.command}${msg.id != null ? ` (#${msg.id})` : ''}`);
+    } else {
+      note(`  ${(msg.errors || ['command refused']).join('; ')}`, 'refused');
+    }
+  });
+
+  // The firmware's acknowledgement, or the lack of one, from the control log.
+  debug.on('control-log', (msg) => {
+    if (!COMMAND_EVENTS.includes(msg.event)) return;
+    const detail = msg.event === 'command-ack'
+      ? `${msg.reply} after ${msg.latencyMs} ms`
+      : msg.reason || msg.error || `attempt ${msg.attempt}`;
+    note(`  ${msg.event} #${msg.id} ${msg.command}: ${detail}`, msg.event === 'command-ack' ? 'note' : 'refused');
+  });
+
+  renderKinds();
+})();
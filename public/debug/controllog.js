@@ -0,0 +1,128 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  // The server keeps this many events (CONTROL_LOG_LIMIT in server.js).
+  const MAX_EVENTS = 500;
+  const CATEGORIES = {
+    decisions: /^(start-|stop-|sequence-|auto-rearm|state-change)/,
+    serial: /^(serial-|command-|firmware-|capture-|replay-|sim-)/,
+    settings: /^(config-|audio-|content-|schedule-|maintenance-|availability-)/,
+  };
+  const HIDDEN_FIELDS = ['type', 'event', 'ts', 'rig'];
+
+  const listEl = document.getElementById('controlLogList');
+  const categoryEl = document.getElementById('controlLogCategory');
+  const searchEl = document.getElementById('controlLogSearch');
+  const statusEl = document.getElementById('controlLogStatus');
+
+  let events = [];
+  let pending = null; // live events that arrive while the backlog loads
+  let rigId = null;
+
+  function categoryOf(event) {
+    const match = Object.entries(CATEGORIES).find(([, pattern]) => pattern.test(event));
+    return match ? match[0] : 'other';
+  }
+
+  function formatValue(value) {
+    if (value == null) return '-';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function formatTime(ts) {
+    const date = new Date(ts);
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+  }
+
+  // The fields that explain the decision, as key=value pairs.
+  function inputsOf(entry) {
+    return Object.entries(entry)
+      .filter(([key]) => !HIDDEN_FIELDS.includes(key))
+      .map(([key, value]) => `${key}=${formatValue(value)}`)
+      .join('  ');
+  }
+
+  function matches(entry) {
+    const category = categoryEl.value;
+    if (category !== 'all' && categoryOf(entry.event) !== category) return false;
+    const query = searchEl.value.trim().toLowerCase();
+    return !query || JSON.stringify(entry).toLowerCase().includes(query);
+  }
+
+  function render() {
+    const shown = events.filter(matches);
+    listEl.innerHTML = '';
+    shown.slice().reverse().forEach((entry) => {
+      const row = document.createElement('details');
+      row.className = `control-log-entry ${categoryOf(entry.event)}`;
+      const summary = document.createElement('summary');
+      const time = document.createElement('span');
+      time.className = 'control-log-time';
+      time.textContent = formatTime(entry.ts);
+      const name = document.createElement('span');
+      name.className = 'control-log-event';
+      name.textContent = entry.rig ? `${entry.event} · ${entry.rig}` : entry.event;
+      const inputs = document.createElement('span');
+      inputs.className = 'control-log-inputs';
+      inputs.textContent = inputsOf(entry);
+      summary.appendChild(time);
+      summary.appendChild(name);
+      summary.appendChild(inputs);
+      const detail = document.createElement('pre');
+      detail.textContent = JSON.stringify(entry, null, 2);
+      row.appendChild(summary);
+      row.appendChild(detail);
+      listEl.appendChild(row);
+    });
+    statusEl.textContent = `${shown.length} of ${events.length} events`;
+  }
+
+  function add(entry) {
+    events.push(entry);
+    if (events.length > MAX_EVENTS) events.shift();
+  }
+
+  async function loadBacklog(rig) {
+    pending = [];
+    statusEl.textContent = 'Loading recent events…';
+    try {
+      const res = await fetch(`/api/control-log?rig=${encodeURIComponent(rig)}&limit=${MAX_EVENTS}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const body = await res.json();
+      if (rig !== rigId) return;
+      events = body.events || [];
+    } catch (err) {
+      console.warn('[CTRL] Could not load the control-log backlog', err);
+    }
+    // Live events already in the backlog are skipped.
+    const lastTs = events.length ? events[events.length - 1].ts : 0;
+    const known = new Set(events.filter((entry) => entry.ts === lastTs).map((entry) => JSON.stringify(entry)));
+    (pending || []).forEach((entry) => {
+      if (entry.ts > lastTs || (entry.ts === lastTs && !known.has(JSON.stringify(entry)))) add(entry);
+    });
+    pending = null;
+    render();
+  }
+
+  categoryEl.addEventListener('change', render);
+  searchEl.addEventListener('input', render);
+
+  debug.on('hello', (msg) => {
+    rigId = msg.rig;
+    events = [];
+    loadBacklog(msg.rig);
+  });
+
+  debug.on('control-log', (msg) => {
+    if (pending) {
+      pending.push(msg);
+      return;
+    }
+    add(msg);
+    render();
+  });
+})();
@@ -0,0 +1,99 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const fieldsEl = document.getElementById('firmwareFields');
+  const statusEl = document.getElementById('firmwareStatus');
+  const readBtn = document.getElementById('firmwareRead');
+  const applyBtn = document.getElementById('firmwareApply');
+
+  let fields = {};
+  let current = null;
+  const inputs = {};
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function renderFields(nextFields) {
+    fields = nextFields || {};
+    fieldsEl.innerHTML = '';
+    Object.keys(inputs).forEach((key) => delete inputs[key]);
+    Object.entries(fields).forEach(([key, field]) => {
+      const label = document.createElement('label');
+      label.textContent = `${key} (${field.min}–${field.max})`;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step || 1;
+      input.addEventListener('input', () => markChanged(key));
+      label.appendChild(input);
+      fieldsEl.appendChild(label);
+      inputs[key] = input;
+    });
+  }
+
+  function markChanged(key) {
+    const input = inputs[key];
+    const changed = current != null && input.value !== '' && Number(input.value) !== current[key];
+    input.classList.toggle('changed', changed);
+  }
+
+  function showParams(params, updatedAt) {
+    current = params;
+    Object.entries(inputs).forEach(([key, input]) => {
+      if (params && typeof params[key] === 'number') {
+        input.value = params[key];
+      }
+      input.classList.remove('changed');
+    });
+    if (!params) {
+      setStatus('Waiting for the firmware to report its values.');
+      return;
+    }
+    const at = updatedAt ? new Date(updatedAt).toLocaleTimeString() : 'unknown time';
+    setStatus(`Firmware values as of ${at}.`);
+  }
+
+  function pendingChanges() {
+    const changes = {};
+    Object.entries(inputs).forEach(([key, input]) => {
+      if (input.value === '') return;
+      const value = Number(input.value);
+      if (!current || value !== current[key]) changes[key] = value;
+    });
+    return changes;
+  }
+
+  readBtn.addEventListener('click', () => {
+    setStatus('Reading firmware values…');
+    debug.send({ type: 'get-firmware-params' });
+  });
+
+  applyBtn.addEventListener('click', () => {
+    const params = pendingChanges();
+    if (!Object.keys(params).length) {
+      setStatus('Nothing to apply.');
+      return;
+    }
+    setStatus(`Sending ${Object.keys(params).join(', ')}…`);
+    debug.send({ type: 'set-firmware-params', params });
+  });
+
+  debug.on('hello', (msg) => {
+    renderFields(msg.firmwareParamFields);
+    const snapshot = msg.firmwareParams;
+    showParams(snapshot ? snapshot.params : null, snapshot ? snapshot.updatedAt : null);
+  });
+
+  debug.on('firmware-params', (msg) => {
+    showParams(msg.params, msg.ts);
+  });
+
+  debug.on('firmware-params-error', (msg) => {
+    if (msg.params) showParams(msg.params, Date.now());
+    setStatus((msg.errors || ['request failed']).join('; '), true);
+  });
+})();
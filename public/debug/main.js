@@ -4,39 +4,9 @@
   const FRAME_DURATION = SLOT_DURATION * FRAME_SLOTS;
   const TOTAL_FRAMES = 16;
 
-  const INTROS = [
-    'The walls are breathing in reverse and I am learning to count backwards.',
-    'Your skin tastes like old radio static and I am hungry for more.',
-    'The furniture is whispering coordinates to a place that doesn\'t exist yet.',
-    'I have been waiting in the space between your thoughts for three eternities.'
-  ];
-  const MOODS = [
-    'The air is made of broken promises and I am learning to breathe them.',
-    'Your heartbeat sounds like a malfunctioning elevator going sideways.',
-    'The shadows are teaching me to speak in languages that don\'t exist.',
-    'I am collecting your dreams in a jar and they are starting to ferment.'
-  ];
-  const BRIDGES = [
-    'I am building a city from your memories and it is growing teeth.',
-    'The silence between your thoughts is where I keep my most dangerous secrets.',
-    'Your blood tastes like electricity and I am learning to conduct it.',
-    'I have been practicing your name in the mirror and it is starting to answer back.'
-  ];
-  const CODAS = [
-    'Stay still; the walls are listening and I am almost ready to tell them your name.',
-    'Don\'t breathe; your exhale tastes like the end of the world and I am not ready.',
-    'The shadows are gathering and they have been asking about you.',
-    'Return when the silence between your thoughts is wide enough for me to slip through.'
-  ];
-  const GLITCH_NOTES = [
-    'Some of your thoughts got lost in the static and now they\'re singing backwards.',
-    'A few memories went rogue and started building a city in the space between atoms.',
-    'Your consciousness is glitching like a broken elevator that only goes sideways.',
-    'The missing pieces are gathering in the shadows and they are learning to speak.'
-  ];
-
   const timelineCanvas = document.getElementById('timeline');
   const sliderTh = document.getElementById('threshold');
+  const thresholdKey = document.getElementById('thresholdKey');
   const thVal = document.getElementById('thVal');
   const sliderIv = document.getElementById('interval');
   const intVal = document.getElementById('intVal');
@@ -45,9 +15,21 @@
   const stats = document.getElementById('stats');
   const metronomeGrid = document.getElementById('metronome-grid');
   const messageOutput = document.getElementById('messageOutput');
+  const accuracySummary = document.getElementById('accuracySummary');
   const sequenceStatus = document.getElementById('sequenceStatus');
+  const serialBanner = document.getElementById('serialBanner');
+  const replayBar = document.getElementById('replayBar');
+  const replayToggle = document.getElementById('replayToggle');
+  const replaySeek = document.getElementById('replaySeek');
+  const replayPos = document.getElementById('replayPos');
+  const replaySpeed = document.getElementById('replaySpeed');
+  const replayLoop = document.getElementById('replayLoop');
+  const rigPicker = document.getElementById('rigPicker');
+  const rigSelect = document.getElementById('rigSelect');
+  const packSelect = document.getElementById('packSelect');
 
   let ws = null;
+  let currentRig = new URLSearchParams(window.location.search).get('rig');
   const outboundQueue = [];
 
   const frameViews = [];
@@ -73,9 +55,14 @@
 
     frameEl.appendChild(slotGrid);
     metronomeGrid.appendChild(frameEl);
-    frameViews.push({ labelEl, slots });
+    frameViews.push({ frameEl, labelEl, slots });
   }
 
+  // Puff plan from SEQ START and the server's accuracy report for the last run
+  // (lib/accuracy.js).
+  let plannedSlots = null;
+  let accuracy = null;
+
   const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
   const ctx = timelineCanvas.getContext('2d');
   const bg = '#f9fafb';
@@ -145,10 +132,56 @@
   let lastConfidence = 0;
   let blinkTotal = 0;
 
+  // Controller thresholds live on the server; the slider edits whichever one
+  // is picked and the server echoes the saved value back as config-changed.
+  let controlConfig = {};
+  let controlFields = {};
+
   sliderTh.disabled = true;
-  sliderTh.value = 0;
-  sliderTh.title = 'Blink detection handled on-device';
-  thVal.textContent = 'ESP';
+  sliderTh.title = 'Waiting for controller config';
+  thVal.textContent = '-';
+
+  function formatThreshold(key, value) {
+    const field = controlFields[key];
+    if (!field || !Number.isFinite(value)) return '-';
+    return field.integer ? String(value) : value.toFixed(2);
+  }
+
+  function syncThresholdSlider() {
+    const key = thresholdKey.value;
+    const field = controlFields[key];
+    if (!field) {
+      sliderTh.disabled = true;
+      thVal.textContent = '-';
+      return;
+    }
+    sliderTh.disabled = false;
+    sliderTh.title = `Controller ${key}`;
+    sliderTh.min = String(field.min);
+    sliderTh.max = String(field.max);
+    sliderTh.step = String(field.step);
+    if (document.activeElement !== sliderTh) {
+      sliderTh.value = String(controlConfig[key]);
+    }
+    thVal.textContent = formatThreshold(key, Number(sliderTh.value));
+  }
+
+  function handleControlConfig(config, fields) {
+    if (fields) {
+      controlFields = fields;
+      const selected = thresholdKey.value;
+      thresholdKey.innerHTML = '';
+      Object.keys(fields).forEach((key) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = key;
+        thresholdKey.appendChild(option);
+      });
+      if (selected && fields[selected]) thresholdKey.value = selected;
+    }
+    if (config) controlConfig = { ...config };
+    syncThresholdSlider();
+  }
 
   function refreshStats() {
     const tStr = espNowMs != null ? espNowMs : '-';
@@ -169,46 +202,44 @@
     }
   }
 
-  function analyzeGroup(values) {
-    const counts = [0, 0, 0, 0];
-    values.forEach((val) => { counts[val] += 1; });
-    let dominant = 0;
-    let best = -1;
-    for (let i = 0; i < counts.length; i += 1) {
-      if (counts[i] > best) {
-        dominant = i;
-        best = counts[i];
-      }
+  function renderAccuracy() {
+    frameViews.forEach((view, frameIdx) => {
+      const frame = accuracy ? accuracy.frames[frameIdx] : null;
+      const scored = frame && frame.scored;
+      let label = `Frame ${frameIdx + 1}`;
+      if (scored) label += frame.hit ? ` · hit +${frame.latencyMs} ms` : ' · miss';
+      view.labelEl.textContent = label;
+      view.frameEl.classList.toggle('hit', Boolean(scored && frame.hit));
+      view.frameEl.classList.toggle('miss', Boolean(scored && !frame.hit));
+    });
+    if (!accuracy) {
+      accuracySummary.textContent = '';
+      return;
     }
-    const momentum = values.reduce((acc, val, idx) => acc + val * (idx + 1), 0) % 4;
-    const brightness = values.reduce((acc, val) => acc + val, 0) % 4;
-    return { dominant, momentum, brightness };
+    const { hits, framesScored, hitRate, chanceHitRate, latency, spurious, syncScore } = accuracy;
+    const parts = [
+      `sync ${syncScore.toFixed(2)}`,
+      `${hits}/${framesScored} puffs answered (${Math.round(hitRate * 100)}%, chance ${Math.round(chanceHitRate * 100)}%)`,
+      latency ? `latency median ${latency.medianMs} ms (${latency.minMs}–${latency.maxMs})` : 'no responses',
+      `${spurious.total} spurious (${spurious.beforeStart} lead / ${spurious.inFrames} in frames / ${spurious.afterEnd} after)`,
+    ];
+    accuracySummary.textContent = parts.join(' · ');
   }
 
-  function generatePoeticThought(slots) {
-    const missingCount = slots.filter((slot) => slot == null).length;
-    const sanitized = slots.map((slot) => (slot == null ? 0 : slot));
-
-    const groups = [];
-    for (let g = 0; g < 4; g += 1) {
-      const slice = sanitized.slice(g * 4, g * 4 + 4);
-      groups.push(analyzeGroup(slice));
-    }
-
-    const introIdx = groups[0].dominant;
-    const moodIdx = (groups[1].dominant + groups[0].momentum) % 4;
-    const bridgeIdx = (groups[2].dominant + groups[1].brightness) % 4;
-    const codaIdx = (groups[3].dominant + groups[2].momentum) % 4;
-
-    let message = `${INTROS[introIdx]} ${MOODS[moodIdx]}`;
-    message += `\n${BRIDGES[bridgeIdx]} ${CODAS[codaIdx]}`;
+  function handleSequenceAccuracy(report) {
+    accuracy = report;
+    if (!plannedSlots && report.frames) plannedSlots = report.frames.map((frame) => frame.planned);
+    renderAccuracy();
+  }
 
-    if (missingCount) {
-      const note = GLITCH_NOTES[(missingCount - 1) % GLITCH_NOTES.length];
-      message += `\n${note}`;
-    }
+  // The poem comes from the server (lib/message.js), segment by segment.
+  function handleMessageSegment(segment) {
+    if (segment.index === 0) messageOutput.textContent = '';
+    messageOutput.textContent += segment.texts.en;
+  }
 
-    return message;
+  function handleMessageFinal(final) {
+    messageOutput.textContent = final.message;
   }
 
   function updateFrameHighlights() {
@@ -236,7 +267,9 @@
         const isActive = sequenceRunning && frameIdx === currentFrame && slotIdx === currentSlot;
         const isDetected = recordedSlot === slotIdx;
         const isMissed = sequenceCompleted && recordedSlot == null;
+        const isPlanned = plannedSlots != null && plannedSlots[frameIdx] === slotIdx;
 
+        el.classList.toggle('planned', isPlanned);
         el.classList.toggle('active', !!isActive);
         el.classList.toggle('detected', !!isDetected);
         el.classList.toggle('missed', !!isMissed);
@@ -271,6 +304,17 @@
     }
   }
 
+  // Extra panels (debug/*.js) hook in here: send() queues a message for the
+  // server, on() subscribes to a message type.
+  const messageHandlers = {};
+  window.GradiDebug = {
+    send: sendWsMessage,
+    on(type, handler) {
+      if (!messageHandlers[type]) messageHandlers[type] = [];
+      messageHandlers[type].push(handler);
+    },
+  };
+
   function tickTimeline() {
     if (!sequenceRunning) return;
     drawTimelineBar(blinkFlag ? 1 : 0);
@@ -314,13 +358,6 @@
     blinkFlag = false;
     const statusText = options.statusText || 'Sequence captured - ready for replay';
     setSequenceStatus(statusText);
-
-    if (options.messageText) {
-      messageOutput.textContent = options.messageText;
-    } else if (options.producePoem !== false) {
-      const poeticMessage = generatePoeticThought(sequenceFrames);
-      messageOutput.textContent = poeticMessage;
-    }
   }
 
   function beginSequence() {
@@ -351,6 +388,9 @@
     startBtn.textContent = 'Start Sequence';
     setSequenceStatus('Idle - awaiting blinks');
     messageOutput.textContent = 'Decoded message will bloom here.';
+    plannedSlots = null;
+    accuracy = null;
+    renderAccuracy();
     clearFrameClasses();
     resetTimelineCanvas();
     refreshStats();
@@ -453,6 +493,9 @@
         resetTimelineCanvas();
         clearFrameClasses();
       }
+      plannedSlots = Array.isArray(payload.slots) ? payload.slots : null;
+      accuracy = null;
+      renderAccuracy();
       if (typeof payload.time_ms === 'number') {
         sequenceStartTimeMs = payload.time_ms;
       } else if (espNowMs != null) {
@@ -472,9 +515,157 @@
     }
   }
 
+  function handleSerialState(payload) {
+    const state = payload.state || payload.serialState;
+    let text = '';
+    if (state === 'connecting') {
+      const retry = payload.retryInMs != null ? ` · retry in ${(payload.retryInMs / 1000).toFixed(1)} s` : '';
+      const attempt = payload.attempt ? ` (attempt ${payload.attempt})` : '';
+      text = `Serial disconnected - reconnecting${attempt}${retry}`;
+    } else if (state === 'lost') {
+      text = `Serial connection lost${payload.error ? `: ${payload.error}` : ''}`;
+    } else if (state === 'closed') {
+      text = 'Serial port not open';
+    }
+    serialBanner.textContent = text;
+    serialBanner.classList.toggle('visible', Boolean(text));
+    if (state === 'lost' && sequenceRunning) {
+      cancelSequenceUi('Sequence aborted - serial lost', 'Serial link dropped mid-sequence.');
+    }
+  }
+
+  let replayState = null;
+  let replayStateAt = 0;
+  let replaySeeking = false;
+
+  function formatClock(ms) {
+    const totalSec = Math.max(0, Math.floor(ms / 1000));
+    const min = Math.floor(totalSec / 60);
+    const sec = String(totalSec % 60).padStart(2, '0');
+    return `${min}:${sec}`;
+  }
+
+  function replayPosition() {
+    if (!replayState) return 0;
+    if (!replayState.playing) return replayState.positionMs;
+    const elapsed = (performance.now() - replayStateAt) * replayState.speed;
+    return Math.min(replayState.durationMs, replayState.positionMs + elapsed);
+  }
+
+  function renderReplayBar() {
+    if (!replayState) return;
+    const pos = replayPosition();
+    if (!replaySeeking) {
+      replaySeek.value = String(Math.round(pos));
+    }
+    replayPos.textContent = `${formatClock(pos)} / ${formatClock(replayState.durationMs)}`;
+  }
+
+  function handleReplayState(payload) {
+    if (!payload) return;
+    replayState = payload;
+    replayStateAt = performance.now();
+    replayBar.classList.add('visible');
+    replaySeek.max = String(payload.durationMs || 0);
+    replayToggle.textContent = payload.playing ? 'Pause' : 'Play';
+    replaySpeed.value = String(payload.speed);
+    replayLoop.checked = Boolean(payload.loop);
+    if (payload.event === 'seek' || payload.event === 'loop') {
+      resetInterface();
+    }
+    renderReplayBar();
+  }
+
+  setInterval(renderReplayBar, 250);
+
+  replayToggle.addEventListener('click', () => {
+    if (!replayState) return;
+    sendWsMessage({ type: 'replay-control', action: replayState.playing ? 'pause' : 'resume' });
+  });
+
+  replaySeek.addEventListener('input', () => {
+    replaySeeking = true;
+    replayPos.textContent = `${formatClock(Number(replaySeek.value))} / ${formatClock(replayState ? replayState.durationMs : 0)}`;
+  });
+
+  replaySeek.addEventListener('change', () => {
+    replaySeeking = false;
+    sendWsMessage({ type: 'replay-control', action: 'seek', positionMs: Number(replaySeek.value) });
+  });
+
+  thresholdKey.addEventListener('change', () => {
+    syncThresholdSlider();
+  });
+
+  sliderTh.addEventListener('input', () => {
+    thVal.textContent = formatThreshold(thresholdKey.value, Number(sliderTh.value));
+  });
+
+  sliderTh.addEventListener('change', () => {
+    const key = thresholdKey.value;
+    if (!controlFields[key]) return;
+    sendWsMessage({ type: 'update-config', config: { [key]: Number(sliderTh.value) } });
+    sliderTh.blur();
+  });
+
+  replaySpeed.addEventListener('change', () => {
+    sendWsMessage({ type: 'replay-control', action: 'speed', speed: Number(replaySpeed.value) });
+  });
+
+  replayLoop.addEventListener('change', () => {
+    sendWsMessage({ type: 'replay-control', action: 'loop', loop: replayLoop.checked });
+  });
+
+  function handleRigList(rigs, rigId) {
+    currentRig = rigId;
+    rigSelect.innerHTML = '';
+    (rigs || []).forEach((rig) => {
+      const option = document.createElement('option');
+      option.value = rig.id;
+      option.textContent = rig.name && rig.name !== rig.id ? `${rig.id} · ${rig.name}` : rig.id;
+      rigSelect.appendChild(option);
+    });
+    rigSelect.value = rigId;
+    rigPicker.classList.toggle('visible', Boolean(rigs && rigs.length > 1));
+  }
+
+  // The active content pack is shared by every screen; packs that failed to
+  // load are listed but cannot be picked.
+  function handleContentPacks(content) {
+    if (!content) return;
+    packSelect.innerHTML = '';
+    (content.packs || []).forEach((pack) => {
+      const option = document.createElement('option');
+      option.value = pack.id;
+      option.textContent = pack.usable ? `${pack.name} (${pack.version})` : `${pack.id} (invalid)`;
+      option.disabled = !pack.usable;
+      if (pack.errors && pack.errors.length) option.title = pack.errors.join('\n');
+      packSelect.appendChild(option);
+    });
+    packSelect.value = content.active;
+  }
+
+  packSelect.addEventListener('change', () => {
+    sendWsMessage({ type: 'select-content-pack', pack: packSelect.value });
+  });
+
+  // Switching rigs reconnects with ?rig= and starts the views afresh.
+  rigSelect.addEventListener('change', () => {
+    currentRig = rigSelect.value;
+    const url = new URL(window.location.href);
+    url.searchParams.set('rig', currentRig);
+    window.history.replaceState(null, '', url);
+    replayState = null;
+    replayBar.classList.remove('visible');
+    outboundQueue.length = 0;
+    resetInterface();
+    if (ws) ws.close();
+  });
+
   function connect() {
     const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
-    ws = new WebSocket(`${proto}://${window.location.host}/ws`);
+    const query = currentRig ? `?rig=${encodeURIComponent(currentRig)}` : '';
+    ws = new WebSocket(`${proto}://${window.location.host}/ws${query}`);
 
     ws.addEventListener('open', () => {
       flushOutboundQueue();
@@ -483,7 +674,31 @@
     ws.addEventListener('message', (event) => {
       try {
         const msg = JSON.parse(event.data);
+        // Late messages from the socket of a rig we just switched away from.
+        if (msg.type !== 'hello' && currentRig && msg.rig && msg.rig !== currentRig) return;
         switch (msg.type) {
+          case 'hello':
+            handleRigList(msg.rigs, msg.rig);
+            handleContentPacks(msg.content);
+            handleControlConfig(msg.control, msg.controlFields);
+            handleSerialState(msg);
+            if (msg.replay) {
+              handleReplayState(msg.replay);
+            }
+            break;
+          case 'serial-state':
+            handleSerialState(msg);
+            break;
+          case 'replay-state':
+            handleReplayState(msg);
+            break;
+          case 'config-changed':
+            handleControlConfig(msg.config);
+            break;
+          case 'config-error':
+            console.warn('[CONFIG]', msg.errors.join('; '));
+            syncThresholdSlider();
+            break;
           case 'sample':
             handleSample(msg.t, msg.prox);
             break;
@@ -499,9 +714,25 @@
           case 'esp-log':
             console.log('[ESP]', msg.text);
             break;
+          case 'content-packs':
+            handleContentPacks(msg);
+            break;
+          case 'content-error':
+            console.warn('[CONTENT]', msg.errors.join('; '));
+            break;
+          case 'message-segment':
+            handleMessageSegment(msg);
+            break;
+          case 'message-final':
+            handleMessageFinal(msg);
+            break;
+          case 'sequence-accuracy':
+            handleSequenceAccuracy(msg);
+            break;
           default:
             break;
         }
+        (messageHandlers[msg.type] || []).forEach((handler) => handler(msg));
       } catch (err) {
         console.warn('Failed to parse message', err);
       }
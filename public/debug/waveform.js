@@ -0,0 +1,287 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const SLOT_DURATION = 400;
+  const FRAME_DURATION = SLOT_DURATION * 4;
+  const DEFAULT_PUFF_MS = 70;
+  // History kept for scrolling back and exporting; a paused plot keeps up to
+  // MAX_PAUSED_MS so the frozen window does not scroll out from under it.
+  const KEEP_MS = 60000;
+  const MAX_PAUSED_MS = 10 * 60000;
+  const COLORS = {
+    bg: '#f9fafb',
+    grid: '#e5e7eb',
+    prox: '#1f2937',
+    mean: '#3b82f6',
+    band: 'rgba(59, 130, 246, 0.14)',
+    slot: 'rgba(139, 92, 246, 0.08)',
+    puff: 'rgba(139, 92, 246, 0.3)',
+    rise: '#3b82f6',
+    dip: '#f59e0b',
+    text: '#6b7280',
+  };
+
+  const canvas = document.getElementById('waveform');
+  const windowSelect = document.getElementById('waveformWindow');
+  const kSelect = document.getElementById('waveformK');
+  const pauseBtn = document.getElementById('waveformPause');
+  const exportBtn = document.getElementById('waveformExport');
+  const pngBtn = document.getElementById('waveformPng');
+  const statusEl = document.getElementById('waveformStatus');
+  const ctx = canvas.getContext('2d');
+  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+
+  // Firmware milliseconds throughout.
+  let samples = []; // { t, prox }
+  let bands = []; // { t, mean, sigma } from STATUS and BLINK lines
+  let blinks = []; // { t, prox, polarity, zRise, zDrop }
+  let plans = []; // { startMs, slots, endMs }
+  let latestMs = null;
+  let pausedAt = null;
+  let puffMs = DEFAULT_PUFF_MS;
+  let dirty = true;
+
+  function clear() {
+    samples = [];
+    bands = [];
+    blinks = [];
+    plans = [];
+    latestMs = null;
+    dirty = true;
+  }
+
+  function note(t) {
+    if (typeof t !== 'number') return false;
+    // The firmware clock went backwards: board reset or a replay seek.
+    if (latestMs != null && t < latestMs - 1000) clear();
+    if (latestMs == null || t > latestMs) latestMs = t;
+    dirty = true;
+    return true;
+  }
+
+  function trim() {
+    if (latestMs == null) return;
+    const keep = pausedAt == null ? KEEP_MS : MAX_PAUSED_MS;
+    const cutoff = latestMs - keep;
+    if (samples.length && samples[0].t < cutoff) samples = samples.filter((s) => s.t >= cutoff);
+    if (bands.length && bands[0].t < cutoff) bands = bands.filter((b) => b.t >= cutoff);
+    if (blinks.length && blinks[0].t < cutoff) blinks = blinks.filter((b) => b.t >= cutoff);
+    plans = plans.filter((plan) => (plan.endMs != null ? plan.endMs : plan.startMs + 16 * FRAME_DURATION) >= cutoff);
+  }
+
+  function viewRange() {
+    const span = Number(windowSelect.value);
+    const end = pausedAt != null ? pausedAt : latestMs;
+    return { from: end - span, to: end, span };
+  }
+
+  function visible({ from, to }) {
+    const inView = (item) => item.t >= from && item.t <= to;
+    return {
+      samples: samples.filter(inView),
+      bands: bands.filter(inView),
+      blinks: blinks.filter(inView),
+      plans: plans.filter((plan) => plan.startMs <= to && (plan.endMs == null || plan.endMs >= from)),
+    };
+  }
+
+  // Band value in effect at time t: the latest STATUS/BLINK before it.
+  function bandAt(t) {
+    let found = null;
+    for (const band of bands) {
+      if (band.t > t) break;
+      found = band;
+    }
+    return found;
+  }
+
+  function resize() {
+    canvas.width = Math.floor(canvas.clientWidth * dpr);
+    canvas.height = Math.floor(canvas.clientHeight * dpr);
+    dirty = true;
+  }
+
+  function draw() {
+    const W = canvas.width;
+    const H = canvas.height;
+    ctx.fillStyle = COLORS.bg;
+    ctx.fillRect(0, 0, W, H);
+    if (!W || !H || latestMs == null) return;
+
+    const range = viewRange();
+    const view = visible(range);
+    const k = Number(kSelect.value);
+    const x = (t) => ((t - range.from) / range.span) * W;
+
+    let lo = Infinity;
+    let hi = -Infinity;
+    view.samples.forEach(({ prox }) => {
+      lo = Math.min(lo, prox);
+      hi = Math.max(hi, prox);
+    });
+    view.bands.forEach(({ mean, sigma }) => {
+      lo = Math.min(lo, mean - k * sigma);
+      hi = Math.max(hi, mean + k * sigma);
+    });
+    if (!Number.isFinite(lo)) {
+      lo = 0;
+      hi = 100;
+    }
+    const pad = Math.max(2, (hi - lo) * 0.1);
+    lo -= pad;
+    hi += pad;
+    const y = (value) => H - ((value - lo) / (hi - lo)) * H;
+
+    // Planned slots, with the puff itself darker.
+    view.plans.forEach((plan) => {
+      plan.slots.forEach((slot, frame) => {
+        const slotStart = plan.startMs + frame * FRAME_DURATION + slot * SLOT_DURATION;
+        if (plan.endMs != null && slotStart > plan.endMs) return;
+        ctx.fillStyle = COLORS.slot;
+        ctx.fillRect(x(slotStart), 0, x(slotStart + SLOT_DURATION) - x(slotStart), H);
+        ctx.fillStyle = COLORS.puff;
+        ctx.fillRect(x(slotStart), 0, Math.max(dpr, x(slotStart + puffMs) - x(slotStart)), H);
+      });
+    });
+
+    // mean ± k·sigma as steps between firmware reports.
+    const first = bandAt(range.from);
+    const steps = (first ? [{ ...first, t: range.from }] : []).concat(view.bands);
+    ctx.fillStyle = COLORS.band;
+    ctx.strokeStyle = COLORS.mean;
+    ctx.lineWidth = dpr;
+    steps.forEach((band, idx) => {
+      const x0 = x(Math.max(band.t, range.from));
+      const x1 = idx + 1 < steps.length ? x(steps[idx + 1].t) : x(range.to);
+      const top = y(band.mean + k * band.sigma);
+      ctx.fillRect(x0, top, x1 - x0, y(band.mean - k * band.sigma) - top);
+      ctx.beginPath();
+      ctx.moveTo(x0, y(band.mean));
+      ctx.lineTo(x1, y(band.mean));
+      ctx.stroke();
+    });
+
+    ctx.strokeStyle = COLORS.prox;
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.beginPath();
+    view.samples.forEach(({ t, prox }, idx) => {
+      if (idx === 0) ctx.moveTo(x(t), y(prox));
+      else ctx.lineTo(x(t), y(prox));
+    });
+    ctx.stroke();
+
+    ctx.font = `${11 * dpr}px "SFMono-Regular", Menlo, Consolas, monospace`;
+    view.blinks.forEach((blink) => {
+      const color = blink.polarity === 'rise' ? COLORS.rise : COLORS.dip;
+      const bx = x(blink.t);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = dpr;
+      ctx.beginPath();
+      ctx.moveTo(bx, 0);
+      ctx.lineTo(bx, H);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(bx, y(blink.prox), 4 * dpr, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(`↑${blink.zRise.toFixed(1)} ↓${blink.zDrop.toFixed(1)}`, bx + 4 * dpr, 14 * dpr);
+    });
+
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(String(Math.round(hi)), 4 * dpr, 12 * dpr);
+    ctx.fillText(String(Math.round(lo)), 4 * dpr, H - 4 * dpr);
+  }
+
+  function render() {
+    if (dirty) {
+      dirty = false;
+      trim();
+      draw();
+    }
+    requestAnimationFrame(render);
+  }
+
+  function setPaused(paused) {
+    pausedAt = paused ? latestMs : null;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    statusEl.textContent = paused && pausedAt != null ? `Paused at t=${pausedAt} ms.` : '';
+    dirty = true;
+  }
+
+  function download(name, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  pauseBtn.addEventListener('click', () => setPaused(pausedAt == null));
+
+  windowSelect.addEventListener('change', () => { dirty = true; });
+  kSelect.addEventListener('change', () => { dirty = true; });
+
+  exportBtn.addEventListener('click', () => {
+    if (latestMs == null) return;
+    const range = viewRange();
+    const data = { from: range.from, to: range.to, k: Number(kSelect.value), puffMs, ...visible(range) };
+    download(`waveform-${range.from}-${range.to}.json`, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  });
+
+  pngBtn.addEventListener('click', () => {
+    if (latestMs == null) return;
+    const range = viewRange();
+    canvas.toBlob((blob) => download(`waveform-${range.from}-${range.to}.png`, blob));
+  });
+
+  window.addEventListener('resize', resize);
+
+  debug.on('hello', (msg) => {
+    clear();
+    setPaused(false);
+    const params = msg.firmwareParams && msg.firmwareParams.params;
+    if (params && params.puff_ms) puffMs = params.puff_ms;
+  });
+
+  debug.on('firmware-params', (msg) => {
+    if (msg.params && msg.params.puff_ms) puffMs = msg.params.puff_ms;
+  });
+
+  debug.on('sample', (msg) => {
+    if (typeof msg.prox === 'number' && note(msg.t)) samples.push({ t: msg.t, prox: msg.prox });
+  });
+
+  debug.on('status', (msg) => {
+    if (!note(msg.time_ms)) return;
+    if (typeof msg.mean === 'number' && typeof msg.sigma === 'number') {
+      bands.push({ t: msg.time_ms, mean: msg.mean, sigma: msg.sigma });
+    }
+  });
+
+  debug.on('blink-event', (msg) => {
+    if (!note(msg.time_ms)) return;
+    bands.push({ t: msg.time_ms, mean: msg.mean, sigma: msg.sigma });
+    blinks.push({
+      t: msg.time_ms,
+      prox: msg.prox,
+      polarity: msg.polarity,
+      zRise: msg.zRise,
+      zDrop: msg.zDrop,
+    });
+  });
+
+  debug.on('sequence-log', (msg) => {
+    const action = (msg.action || '').toUpperCase();
+    if (action === 'START' && typeof msg.time_ms === 'number' && Array.isArray(msg.slots)) {
+      plans.push({ startMs: msg.time_ms, slots: msg.slots, endMs: null });
+    } else if ((action === 'END' || action === 'CANCEL') && plans.length) {
+      const plan = plans[plans.length - 1];
+      if (plan.endMs == null) plan.endMs = typeof msg.time_ms === 'number' ? msg.time_ms : latestMs;
+    }
+    dirty = true;
+  });
+
+  resize();
+  requestAnimationFrame(render);
+})();
@@ -0,0 +1,189 @@
+(() => {
+  const debug = window.GradiDebug;
+  if (!debug) return;
+
+  const dayEl = document.getElementById('whatIfDay');
+  const runBtn = document.getElementById('whatIfRun');
+  const resetBtn = document.getElementById('whatIfReset');
+  const fieldsEl = document.getElementById('whatIfFields');
+  const tableEl = document.getElementById('whatIfTable');
+  const summaryEl = document.getElementById('whatIfSummary');
+  const diffsEl = document.getElementById('whatIfDiffs');
+  const statusEl = document.getElementById('whatIfStatus');
+
+  const DIFF_TITLES = { starts: 'Starts', cancellations: 'Cancellations', rearms: 'Re-arms' };
+
+  let rigId = null;
+  let current = {};
+  // key -> input
+  const inputs = new Map();
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  function today() {
+    const d = new Date();
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  function formatTime(ts) {
+    const d = new Date(ts);
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  }
+
+  function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+  }
+
+  function formatCounts(counts) {
+    const entries = Object.entries(counts || {});
+    return entries.length ? entries.map(([key, n]) => `${key} ${n}`).join(', ') : '0';
+  }
+
+  function markChanged(key) {
+    const input = inputs.get(key);
+    input.classList.toggle('changed', Number(input.value) !== current[key]);
+  }
+
+  function renderFields(fields) {
+    fieldsEl.innerHTML = '';
+    inputs.clear();
+    Object.entries(fields).forEach(([key, field]) => {
+      const label = document.createElement('label');
+      label.textContent = key;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(field.min);
+      input.max = String(field.max);
+      input.step = String(field.step);
+      input.value = current[key] != null ? String(current[key]) : '';
+      input.addEventListener('input', () => markChanged(key));
+      label.appendChild(input);
+      fieldsEl.appendChild(label);
+      inputs.set(key, input);
+    });
+  }
+
+  // Inputs left alone follow the live settings; edited ones keep the edit.
+  function syncCurrent(config) {
+    inputs.forEach((input, key) => {
+      const untouched = !input.classList.contains('changed');
+      current[key] = config[key];
+      if (untouched) input.value = String(config[key]);
+      markChanged(key);
+    });
+  }
+
+  function patch() {
+    const values = {};
+    inputs.forEach((input, key) => {
+      if (input.value !== '' && Number(input.value) !== current[key]) values[key] = Number(input.value);
+    });
+    return values;
+  }
+
+  function row(cells) {
+    const tr = document.createElement('tr');
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    summaryEl.appendChild(tr);
+  }
+
+  function renderDiff(kind, diff) {
+    const title = document.createElement('h3');
+    diffsEl.appendChild(title);
+    const items = [
+      ...diff.added.map((ts) => ({ ts, cls: 'whatif-added', text: `+ ${formatTime(ts)}  only with the what-if settings` })),
+      ...diff.removed.map((ts) => ({ ts, cls: 'whatif-removed', text: `- ${formatTime(ts)}  only with the current settings` })),
+      ...diff.moved.map((move) => ({
+        ts: move.from,
+        cls: '',
+        text: `~ ${formatTime(move.from)}  ${move.shiftMs > 0 ? '+' : ''}${(move.shiftMs / 1000).toFixed(1)} s`,
+      })),
+    ].sort((a, b) => a.ts - b.ts);
+    title.textContent = `${DIFF_TITLES[kind] || kind}: ${items.length ? plural(items.length, 'difference') : 'no differences'}`;
+    items.forEach((item) => {
+      const line = document.createElement('div');
+      line.className = item.cls;
+      line.textContent = item.text;
+      diffsEl.appendChild(line);
+    });
+  }
+
+  function renderReport(report) {
+    const { actual, current: now, whatIf } = report;
+    summaryEl.innerHTML = '';
+    row(['starts', actual.starts, now.starts, whatIf.starts]);
+    row(['completed', actual.completed, now.completed, whatIf.completed]);
+    row(['cancelled', actual.cancelled, now.cancelled, whatIf.cancelled]);
+    row(['person left', '-', now.personLeft, whatIf.personLeft]);
+    row(['re-arms', '-', formatCounts(now.rearms), formatCounts(whatIf.rearms)]);
+    row(['blocked', '-', formatCounts(now.blocked), formatCounts(whatIf.blocked)]);
+    tableEl.hidden = false;
+    diffsEl.innerHTML = '';
+    Object.entries(report.differences).forEach(([kind, diff]) => renderDiff(kind, diff));
+    const changed = report.config.changed
+      .map((key) => `${key} ${report.config.current[key]} → ${report.config.whatIf[key]}`)
+      .join(', ');
+    const unreadable = report.files.filter((file) => file.error).length;
+    setStatus([
+      `${changed} over ${plural(report.files.length, 'capture')}.`,
+      `The current settings reproduce ${report.model.matched} of ${report.model.total} recorded starts.`,
+      unreadable ? `${plural(unreadable, 'capture')} could not be read.` : null,
+      report.truncated ? 'Timelines were cut short.' : null,
+    ].filter(Boolean).join(' '));
+  }
+
+  runBtn.addEventListener('click', async () => {
+    const config = patch();
+    if (!Object.keys(config).length) {
+      setStatus('Change at least one setting to compare.', true);
+      return;
+    }
+    runBtn.disabled = true;
+    setStatus(`Running over ${dayEl.value}…`);
+    try {
+      const res = await fetch(`/api/whatif?rig=${encodeURIComponent(rigId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ config, day: dayEl.value, caller: 'debug-dashboard' }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error((data.errors || [data.error || `HTTP ${res.status}`]).join('; '));
+      renderReport(data);
+    } catch (err) {
+      setStatus(err.message, true);
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+
+  resetBtn.addEventListener('click', () => {
+    inputs.forEach((input, key) => {
+      input.value = String(current[key]);
+      markChanged(key);
+    });
+  });
+
+  dayEl.value = today();
+
+  debug.on('hello', (msg) => {
+    rigId = msg.rig;
+    current = { ...(msg.control || {}) };
+    renderFields(msg.controlFields || {});
+    setStatus(`Compares rig ${msg.rig}'s captures with other thresholds.`);
+  });
+
+  debug.on('config-changed', (msg) => {
+    if (msg.config) syncCurrent(msg.config);
+  });
+})();
@@ -1,6 +1,10 @@
+import { createAudioCues } from './audio.js';
+
+// Each station's screen opens the dashboard with ?rig=<id>.
 const WS_URL = (() => {
   const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
-  return `${proto}://${window.location.host}/ws`;
+  const rig = new URLSearchParams(window.location.search).get('rig');
+  return `${proto}://${window.location.host}/ws${rig ? `?rig=${encodeURIComponent(rig)}` : ''}`;
 })();
 
 const State = {
@@ -11,47 +15,38 @@ const State = {
   DISPLAYING: 'displaying',
 };
 
-const SLOT_DURATION = 400;
-const FRAME_SLOTS = 4;
-const SEGMENT_COUNT = 4;
-const FRAME_DURATION = SLOT_DURATION * FRAME_SLOTS;
-const TOTAL_FRAMES = 16;
-const NO_BLINK_SLOT = -1;
+// Replaced from hello.sequenceTiming once the server says hello.
+let TOTAL_FRAMES = 16;
+let SEGMENT_COUNT = 4;
 const TYPING_INTERVAL_MS = 35;
 const FLASH_DURATION_MS = 220;
 const DEFAULT_LEAVE_HOLD_MS = 1000;
 
-const messageEl = document.getElementById('message');
-const messageKrEl = document.getElementById('message-kr');
+const messagesEl = document.getElementById('messages');
 const bodyEl = document.body;
 const debugPanelEl = document.getElementById('debug-panel');
 const debugStatsEl = document.getElementById('debug-stats');
 const debugStatusEl = document.getElementById('debug-status');
+const serialBannerEl = document.getElementById('serial-banner');
+const availabilityEl = document.getElementById('availability-screen');
+const availabilityTitleEl = document.getElementById('availability-title');
+const availabilityDetailEl = document.getElementById('availability-detail');
+const audioCues = createAudioCues();
 let displayState = State.IDLE;
 let ws = null;
 
 let presence = 'IDLE';
 let confidence = 0;
 let ellipsisTimer = null;
-let typeTimer = null;
-let typeTimerKr = null;
 
 let sequenceRunning = false;
 let sequenceCompleted = false;
-let sequenceFrames = new Array(TOTAL_FRAMES).fill(null);
 let sequenceStartTimeMs = null; // firmware millisecond reference
-let plannedSlots = null;
 let lastFirmwareMs = null;
-let decodedSegments = new Array(SEGMENT_COUNT).fill(null);
-let segmentMeta = new Array(SEGMENT_COUNT).fill(null);
-let typewriterQueue = [];
-let currentChunk = '';
-let currentChunkIndex = 0;
-let typewriterQueueKr = [];
-let currentChunkKr = '';
-let currentChunkIndexKr = 0;
-let krDisplaying = false;
-let glitchAppended = false;
+// The server decodes the poem (message-segment / message-final); this counts
+// the segments already queued for typing.
+let segmentsShown = 0;
+let sequenceId = null;
 let blinkCount = 0;
 let lastBlinkTotal = null;
 let sequenceBlinkBase = null;
@@ -60,140 +55,152 @@ let leaveHoldMs = DEFAULT_LEAVE_HOLD_MS;
 let idleHoldTimer = null;
 let debugEnabled = false;
 let lastProx = null;
-let framesResolved = 0;
-
-const INTROS = [
-  'The walls are breathing in reverse and I am learning to count backwards.',
-  'Your skin tastes like old radio static and I am hungry for more.',
-  'The furniture is whispering coordinates to a place that does not exist yet.',
-  'I have been waiting in the space between your thoughts for three eternities.'
-];
-const MOODS = [
-  'The air is made of broken promises and I am learning to breathe them.',
-  'Your heartbeat sounds like a malfunctioning elevator going sideways.',
-  'The shadows are teaching me to speak in languages that do not exist.',
-  'I am collecting your dreams in a jar and they are starting to ferment.'
-];
-const BRIDGES = [
-  'I am building a city from your memories and it is growing teeth.',
-  'The silence between your thoughts is where I keep my most dangerous secrets.',
-  'Your blood tastes like electricity and I am learning to conduct it.',
-  'I have been practicing your name in the mirror and it is starting to answer back.'
-];
-const CODAS = [
-  'Stay still; the walls are listening and I am almost ready to tell them your name.',
-  'Do not breathe; your exhale tastes like the end of the world and I am not ready.',
-  'The shadows are gathering and they have been asking about you.',
-  'Return when the silence between your thoughts is wide enough for me to slip through.'
-];
-const GLITCH_NOTES = [
-  'Some of your thoughts got lost in the static and now they are singing backwards.',
-  'A few memories went rogue and started building a city in the space between atoms.',
-  'Your consciousness is glitching like a broken elevator that only goes sideways.',
-  'The missing pieces are gathering in the shadows and they are learning to speak.'
-];
-
-const INTROS_KR = [
-  '벽들이 거꾸로 숨을 쉬고 있고 나는 거꾸로 세는 법을 배우고 있다.',
-  '당신의 피부는 오래된 라디오 잡음 같은 맛이 나고 나는 더 많이 원한다.',
-  '가구들이 아직 존재하지 않는 곳의 좌표를 속삭이고 있다.',
-  '나는 당신의 생각들 사이의 공간에서 세 번의 영원을 기다리고 있었다.'
-];
-
-const MOODS_KR = [
-  '공기는 깨진 약속들로 만들어져 있고 나는 그것들을 숨쉬는 법을 배우고 있다.',
-  '당신의 심장박동은 옆으로 가는 고장난 엘리베이터 소리 같다.',
-  '그림자들이 존재하지 않는 언어로 말하는 법을 가르치고 있다.',
-  '나는 당신의 꿈들을 병에 모으고 있고 그것들이 발효되기 시작했다.'
-];
-
-const BRIDGES_KR = [
-  '나는 당신의 기억들로 도시를 짓고 있고 그것이 이빨을 기르고 있다.',
-  '당신의 생각들 사이의 침묵은 내가 가장 위험한 비밀들을 숨기는 곳이다.',
-  '당신의 피는 전기 같은 맛이 나고 나는 그것을 전도하는 법을 배우고 있다.',
-  '나는 거울에서 당신의 이름을 연습하고 있고 그것이 대답하기 시작했다.'
-];
-
-const CODAS_KR = [
-  '가만히 있어라; 벽들이 듣고 있고 나는 거의 당신의 이름을 말할 준비가 되었다.',
-  '숨쉬지 마라; 당신의 숨은 세상의 끝 같은 맛이 나고 나는 준비되지 않았다.',
-  '그림자들이 모이고 있고 그들은 당신에 대해 물어보고 있다.',
-  '당신의 생각들 사이의 침묵이 내가 빠져나갈 수 있을 만큼 넓어졌을 때 돌아와라.'
-];
-
-const GLITCH_NOTES_KR = [
-  '당신의 생각들 중 일부가 잡음 속에서 길을 잃었고 이제 거꾸로 노래하고 있다.',
-  '몇 개의 기억들이 반란을 일으켜 원자들 사이의 공간에 도시를 짓기 시작했다.',
-  '당신의 의식은 옆으로만 가는 고장난 엘리베이터처럼 오작동하고 있다.',
-  '빠진 조각들이 그림자 속에 모이고 있고 그들은 말하는 법을 배우고 있다.'
-];
-
-function setMessage(text) {
-  messageEl.textContent = text;
-  if (text) {
-    messageEl.classList.add('visible');
-  } else {
-    messageEl.classList.remove('visible');
+let availabilityMode = 'open';
+let lastSerialState = null;
+let lastAvailability = null;
+
+// One line per displayed locale, each with its own typewriter. The locales
+// come from ?lang=ja,de, else DISPLAY_LOCALES on the server, else every
+// locale of the active content pack. Status lines and fonts come from the
+// pack as well.
+const urlLocales = (new URLSearchParams(window.location.search).get('lang') || '')
+  .split(',')
+  .map((locale) => locale.trim())
+  .filter(Boolean);
+let serverLocales = null;
+let localeSettings = {};
+let tracks = [];
+let tracksStale = false;
+
+function pickLocales() {
+  const available = Object.keys(localeSettings);
+  const wanted = urlLocales.length ? urlLocales : (serverLocales || available);
+  const missing = wanted.filter((locale) => !available.includes(locale));
+  if (missing.length) {
+    console.warn(`[DISPLAY] content pack has no ${missing.join(', ')} text`);
+  }
+  const locales = wanted.filter((locale) => available.includes(locale));
+  return locales.length ? locales : available.slice(0, 1);
+}
+
+function buildTracks() {
+  tracks.forEach(stopTrack);
+  messagesEl.innerHTML = '';
+  tracks = pickLocales().map((locale) => {
+    const el = document.createElement('div');
+    el.className = 'message';
+    el.dataset.locale = locale;
+    const font = (localeSettings[locale] && localeSettings[locale].font) || {};
+    el.style.fontFamily = font.family || '';
+    el.style.fontSize = font.size || '';
+    el.style.lineHeight = font.lineHeight || '';
+    el.style.letterSpacing = font.letterSpacing || '';
+    el.style.textTransform = font.textTransform || '';
+    messagesEl.appendChild(el);
+    return {
+      locale,
+      el,
+      queue: [],
+      chunk: '',
+      index: 0,
+      timer: null,
+      displaying: false,
+    };
+  });
+  tracksStale = false;
+}
+
+// A new pack may bring other locales or fonts; swap the lines once the
+// screen is idle.
+function handleContent(content) {
+  if (!content || !content.locales) return;
+  const layout = () => JSON.stringify(pickLocales().map((locale) => [locale, (localeSettings[locale] || {}).font]));
+  const before = layout();
+  localeSettings = content.locales;
+  const changed = layout() !== before;
+  if (!tracks.length || (changed && displayState === State.IDLE)) {
+    buildTracks();
+  } else if (changed) {
+    tracksStale = true;
   }
+  renderSerialBanner();
+  renderAvailability();
+}
+
+function statusText(locale, key, vars = {}) {
+  const status = (localeSettings[locale] && localeSettings[locale].status) || {};
+  return (status[key] || key).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+// The same status in every displayed locale, without repeating identical
+// lines (locales without their own translation fall back to English).
+function statusLines(key, vars) {
+  const locales = tracks.length ? tracks.map((track) => track.locale) : Object.keys(localeSettings).slice(0, 1);
+  const lines = locales.map((locale) => statusText(locale, key, vars));
+  return lines.filter((line, idx) => lines.indexOf(line) === idx);
 }
 
+function showStatus(key, suffix = '') {
+  tracks.forEach((track) => {
+    track.el.textContent = `${statusText(track.locale, key)}${suffix}`;
+    track.el.classList.add('visible');
+  });
+}
+
+function clearMessages() {
+  tracks.forEach((track) => {
+    track.el.textContent = '';
+    track.el.classList.remove('visible');
+    track.displaying = false;
+  });
+}
+
+// The ellipsis (and the drone) run only while assessing a host.
 function stopEllipsis() {
   if (ellipsisTimer) {
     clearInterval(ellipsisTimer);
     ellipsisTimer = null;
   }
+  audioCues.stopDrone();
 }
 
-function stopTypewriter() {
-  if (typeTimer) {
-    clearInterval(typeTimer);
-    typeTimer = null;
+function stopTrack(track) {
+  if (track.timer) {
+    clearInterval(track.timer);
+    track.timer = null;
   }
-  currentChunk = '';
-  currentChunkIndex = 0;
+  track.chunk = '';
+  track.index = 0;
 }
 
-function stopTypewriterKr() {
-  if (typeTimerKr) {
-    clearInterval(typeTimerKr);
-    typeTimerKr = null;
-  }
-  currentChunkKr = '';
-  currentChunkIndexKr = 0;
+function stopTypewriters() {
+  tracks.forEach(stopTrack);
 }
 
-function resetTypewriter() {
-  stopTypewriter();
-  typewriterQueue = [];
+function resetTypewriters() {
+  tracks.forEach((track) => {
+    stopTrack(track);
+    track.queue = [];
+  });
 }
 
-function resetTypewriterKr() {
-  stopTypewriterKr();
-  typewriterQueueKr = [];
+function typingActive() {
+  return tracks.some((track) => track.timer || track.queue.length);
 }
 
 function resetSequenceState() {
   sequenceRunning = false;
   sequenceCompleted = false;
-  sequenceFrames = new Array(TOTAL_FRAMES).fill(null);
   sequenceStartTimeMs = null;
-  plannedSlots = null;
-  decodedSegments = new Array(SEGMENT_COUNT).fill(null);
-  segmentMeta = new Array(SEGMENT_COUNT).fill(null);
-  glitchAppended = false;
+  segmentsShown = 0;
+  sequenceId = null;
   blinkCount = 0;
   sequenceBlinkBase = null;
-  framesResolved = 0;
-  resetTypewriter();
-  resetTypewriterKr();
+  resetTypewriters();
+  audioCues.cancelPuffs();
   if (bodyEl) {
     bodyEl.classList.remove('flash');
   }
-  if (messageKrEl) {
-    messageKrEl.textContent = '';
-    messageKrEl.classList.remove('visible');
-  }
-  krDisplaying = false;
   updateDebugStats();
 }
 
@@ -215,6 +222,12 @@ function scheduleIdleHold(delayMs) {
   }, ms);
 }
 
+function setSequenceTiming(timing) {
+  if (!timing || !(timing.frames > 0) || !(timing.frameSlots > 0)) return;
+  TOTAL_FRAMES = timing.frames;
+  SEGMENT_COUNT = Math.floor(timing.frames / timing.frameSlots);
+}
+
 function setDebugEnabled(enabled) {
   debugEnabled = Boolean(enabled);
   if (!debugPanelEl) return;
@@ -245,8 +258,8 @@ function updateDebugStats() {
   const confStr = formatMetric(confidence, { fixed: 2 });
   const blinkStr = formatMetric(lastBlinkTotal, {});
   const stateStr = presence || 'IDLE';
-  const queueStr = `${typewriterQueue.length}`;
-  const typingStr = typeTimer ? 'typing' : 'paused';
+  const queueStr = tracks.map((track) => `${track.locale} ${track.queue.length}`).join(' ');
+  const typingStr = tracks.some((track) => track.timer) ? 'typing' : 'paused';
   debugStatsEl.textContent = `t ${msStr} ms · prox ${proxStr} · state ${stateStr} · conf ${confStr} · blinks ${blinkStr} · queue ${queueStr} · type ${typingStr}`;
 }
 
@@ -258,15 +271,10 @@ function updateDebugStatus(text) {
 function enterIdle() {
   clearIdleHold();
   stopEllipsis();
-  stopTypewriter();
-  stopTypewriterKr();
+  stopTypewriters();
   displayState = State.IDLE;
-  setMessage('');
-  if (messageKrEl) {
-    messageKrEl.textContent = '';
-    messageKrEl.classList.remove('visible');
-  }
-  krDisplaying = false;
+  if (tracksStale) buildTracks();
+  clearMessages();
   resetSequenceState();
   updateDebugStatus('Idle · awaiting host');
 }
@@ -275,28 +283,15 @@ function enterAssessing() {
   if (displayState === State.ASSESSING) return;
   clearIdleHold();
   stopEllipsis();
-  stopTypewriter();
-  stopTypewriterKr();
-  if (messageKrEl) {
-    messageKrEl.textContent = '';
-    messageKrEl.classList.remove('visible');
-  }
-  krDisplaying = false;
+  stopTypewriters();
+  clearMessages();
   displayState = State.ASSESSING;
   let dots = '';
-  const base = 'assessing host';
-  const baseKr = '숙주 평가 중';
-  setMessage(`${base}...`);
-  if (messageKrEl) {
-    messageKrEl.textContent = `${baseKr}...`;
-    messageKrEl.classList.add('visible');
-  }
+  showStatus('assessing', '...');
+  audioCues.startDrone();
   ellipsisTimer = setInterval(() => {
     dots = dots.length >= 3 ? '' : `${dots}.`;
-    setMessage(`${base}${dots}`);
-    if (messageKrEl) {
-      messageKrEl.textContent = `${baseKr}${dots}`;
-    }
+    showStatus('assessing', dots);
   }, 420);
   updateDebugStatus('Assessing host');
   updateDebugStats();
@@ -306,19 +301,10 @@ function enterAccepted() {
   if (displayState === State.ACCEPTED) return;
   clearIdleHold();
   stopEllipsis();
-  stopTypewriter();
-  stopTypewriterKr();
-  if (messageKrEl) {
-    messageKrEl.textContent = '';
-    messageKrEl.classList.remove('visible');
-  }
-  krDisplaying = false;
+  stopTypewriters();
+  clearMessages();
   displayState = State.ACCEPTED;
-  setMessage('host accepted.');
-  if (messageKrEl) {
-    messageKrEl.textContent = '숙주 승인 완료.';
-    messageKrEl.classList.add('visible');
-  }
+  showStatus('accepted');
   updateDebugStatus('Host accepted');
   updateDebugStats();
 }
@@ -327,99 +313,58 @@ function enterRunning() {
   if (displayState === State.RUNNING) return;
   clearIdleHold();
   stopEllipsis();
-  resetTypewriter();
-  resetTypewriterKr();
+  resetTypewriters();
   displayState = State.RUNNING;
-  setMessage('');
-  if (messageKrEl) {
-    messageKrEl.textContent = '';
-    messageKrEl.classList.remove('visible');
-  }
-  krDisplaying = false;
+  clearMessages();
   updateDebugStatus('Sequence running');
   updateDebugStats();
 }
 
-function startNextChunk() {
-  if (!typewriterQueue.length) {
-    stopTypewriter();
+function startNextChunk(track) {
+  if (!track.queue.length) {
+    stopTrack(track);
     return;
   }
   stopEllipsis();
-  currentChunk = typewriterQueue.shift() || '';
-  currentChunkIndex = 0;
-  const wasDisplaying = displayState === State.DISPLAYING;
+  track.chunk = track.queue.shift() || '';
+  track.index = 0;
   displayState = State.DISPLAYING;
-  if (!wasDisplaying) {
-    messageEl.textContent = '';
-  }
-  messageEl.classList.add('visible');
-  if (typeTimer) {
-    clearInterval(typeTimer);
-    typeTimer = null;
-  }
-  typeTimer = setInterval(() => {
-    if (currentChunkIndex >= currentChunk.length) {
-      clearInterval(typeTimer);
-      typeTimer = null;
-      startNextChunk();
+  if (!track.displaying) {
+    track.el.textContent = '';
+    track.displaying = true;
+  }
+  track.el.classList.add('visible');
+  if (track.timer) {
+    clearInterval(track.timer);
+    track.timer = null;
+  }
+  track.timer = setInterval(() => {
+    if (track.index >= track.chunk.length) {
+      clearInterval(track.timer);
+      track.timer = null;
+      startNextChunk(track);
       return;
     }
-    messageEl.textContent += currentChunk.charAt(currentChunkIndex);
-    currentChunkIndex += 1;
-  }, TYPING_INTERVAL_MS);
-}
-
-function startNextChunkKr() {
-  if (!typewriterQueueKr.length) {
-    stopTypewriterKr();
-    return;
-  }
-  stopEllipsis();
-  currentChunkKr = typewriterQueueKr.shift() || '';
-  currentChunkIndexKr = 0;
-  const wasDisplayingKr = krDisplaying;
-  krDisplaying = true;
-  if (!wasDisplayingKr && messageKrEl) {
-    messageKrEl.textContent = '';
-  }
-  if (messageKrEl) {
-    messageKrEl.classList.add('visible');
-  }
-  if (typeTimerKr) {
-    clearInterval(typeTimerKr);
-    typeTimerKr = null;
-  }
-  typeTimerKr = setInterval(() => {
-    if (currentChunkIndexKr >= currentChunkKr.length) {
-      clearInterval(typeTimerKr);
-      typeTimerKr = null;
-      startNextChunkKr();
-      return;
-    }
-    if (messageKrEl) {
-      messageKrEl.textContent += currentChunkKr.charAt(currentChunkIndexKr);
-    }
-    currentChunkIndexKr += 1;
+    const char = track.chunk.charAt(track.index);
+    track.el.textContent += char;
+    track.index += 1;
+    // One click per tick, however many lines are typing.
+    if (char.trim() && tracks.find((t) => t.timer) === track) audioCues.click();
   }, TYPING_INTERVAL_MS);
 }
 
-function enqueueText(text) {
-  if (!text) return;
+// texts maps locale → text; each displayed line types its own.
+function enqueueTexts(texts) {
+  if (!texts) return;
   clearIdleHold();
-  typewriterQueue.push(text);
-  if (!typeTimer) {
-    startNextChunk();
-  }
-}
-
-function enqueueTextKr(text) {
-  if (!text) return;
-  clearIdleHold();
-  typewriterQueueKr.push(text);
-  if (!typeTimerKr) {
-    startNextChunkKr();
-  }
+  tracks.forEach((track) => {
+    const text = texts[track.locale];
+    if (!text) return;
+    track.queue.push(text);
+    if (!track.timer) {
+      startNextChunk(track);
+    }
+  });
 }
 
 function flashScreen() {
@@ -439,225 +384,37 @@ function flashScreen() {
   }, FLASH_DURATION_MS);
 }
 
-function tallySlots(values) {
-  const tally = [0, 0, 0, 0];
-  values.forEach((val) => {
-    if (val != null && Number.isFinite(val) && val >= 0) {
-      tally[val] += 1;
-    }
-  });
-  return tally;
-}
-
-function dominantIndex(values) {
-  const tally = tallySlots(values);
-  let best = -1;
-  let idx = 0;
-  for (let i = 0; i < tally.length; i += 1) {
-    if (tally[i] > best) {
-      best = tally[i];
-      idx = i;
-    }
-  }
-  return idx;
-}
-
-function sumMod(values) {
-  return values.reduce((acc, val) => {
-    if (val == null || !Number.isFinite(val) || val < 0) {
-      return acc;
-    }
-    return acc + val;
-  }, 0) % FRAME_SLOTS;
-}
-
-function getGroupValues(groupIdx, options = {}) {
-  const { allowFallback = false } = options;
-  const values = [];
-  let missing = false;
-  for (let offset = 0; offset < FRAME_SLOTS; offset += 1) {
-    const frameIdx = groupIdx * FRAME_SLOTS + offset;
-    let val = sequenceFrames[frameIdx];
-    if ((val == null || Number.isNaN(val)) && allowFallback && plannedSlots && plannedSlots[frameIdx] != null) {
-      const fallback = Number(plannedSlots[frameIdx]);
-      if (Number.isFinite(fallback)) {
-        val = fallback;
-      } else {
-        val = null;
-      }
-    }
-    if (val == null || Number.isNaN(val)) {
-      missing = true;
-      values.push(null);
-    } else {
-      values.push(Number(val));
-    }
-  }
-  return { values, missing };
-}
-
-function decodeSegment(groupIdx, options = {}) {
-  if (decodedSegments[groupIdx]) return false;
-  const { allowFallback = false, allowPartial = false } = options;
-  const result = getGroupValues(groupIdx, { allowFallback });
-  if (!result) return false;
-  const { values, missing } = result;
-  if (missing && !allowPartial) return false;
-
-  if (groupIdx > 0 && !segmentMeta[groupIdx - 1]) return false;
-
-  const actualValues = values.filter((val) => val != null && val >= 0);
-  const hasBlinkData = actualValues.length > 0;
-  const dominant = hasBlinkData ? dominantIndex(actualValues) : Math.floor(Math.random() * FRAME_SLOTS);
-  const modSum = hasBlinkData ? sumMod(actualValues) : Math.floor(Math.random() * FRAME_SLOTS);
-
-  let englishChunk = '';
-  let koreanChunk = '';
-  switch (groupIdx) {
-    case 0: {
-      englishChunk = `${INTROS[dominant]} `;
-      koreanChunk = `${INTROS_KR[dominant]} `;
-      break;
-    }
-    case 1: {
-      const moodIdx = (dominant + segmentMeta[0].modSum) % FRAME_SLOTS;
-      englishChunk = `${MOODS[moodIdx]}\n`;
-      koreanChunk = `${MOODS_KR[moodIdx]}\n`;
-      break;
-    }
-    case 2: {
-      const bridgeIdx = (dominant + segmentMeta[1].modSum) % FRAME_SLOTS;
-      englishChunk = `${BRIDGES[bridgeIdx]} `;
-      koreanChunk = `${BRIDGES_KR[bridgeIdx]} `;
-      break;
-    }
-    case 3: {
-      const codaIdx = (dominant + segmentMeta[2].modSum) % FRAME_SLOTS;
-      englishChunk = `${CODAS[codaIdx]}`;
-      koreanChunk = `${CODAS_KR[codaIdx]}`;
-      break;
-    }
-    default:
-      return false;
-  }
-
-  decodedSegments[groupIdx] = englishChunk;
-  segmentMeta[groupIdx] = { modSum, missing };
-  enqueueText(englishChunk);
-  enqueueTextKr(koreanChunk);
-  return true;
-}
-
-function processSegments(options = {}) {
-  const { maxSegment = SEGMENT_COUNT - 1 } = options;
-  for (let groupIdx = 0; groupIdx < SEGMENT_COUNT && groupIdx <= maxSegment; groupIdx += 1) {
-    decodeSegment(groupIdx, options);
-  }
-}
-
-function updateProgressSegments() {
-  const resolvedFrames = Math.min(TOTAL_FRAMES, framesResolved);
-  if (resolvedFrames <= 0) return;
-  const completedSegments = Math.min(
-    SEGMENT_COUNT,
-    Math.floor(resolvedFrames / FRAME_SLOTS),
-  );
-  if (completedSegments <= 0) return;
-  processSegments({
-    allowFallback: !!plannedSlots,
-    allowPartial: false,
-    maxSegment: completedSegments - 1,
-  });
-}
-
-function appendGlitchNoteIfNeeded() {
-  if (glitchAppended) return;
-  const allValues = sequenceFrames.map((val, idx) => {
-    if (val != null) return val;
-    if (plannedSlots && plannedSlots[idx] != null) {
-      return plannedSlots[idx];
-    }
-    return null;
-  });
-  const missing = allValues.filter((slot) => slot == null).length;
-  if (missing > 0) {
-    const idx = (missing - 1) % GLITCH_NOTES.length;
-    const note = GLITCH_NOTES[idx];
-    const noteKr = GLITCH_NOTES_KR[idx];
-    const hasSegments = decodedSegments.some((segment) => segment);
-    const prefix = hasSegments ? '\n' : '';
-    enqueueText(`${prefix}${note}`);
-    enqueueTextKr(`${prefix}${noteKr}`);
-  }
-  glitchAppended = true;
+function handleMessageSegment(segment) {
+  if (!segment || segment.sequenceId !== sequenceId) return;
+  if (segment.index < segmentsShown) return;
+  segmentsShown = segment.index + 1;
+  enqueueTexts(segment.texts);
+  updateDebugStatus(`Segment ${segmentsShown}/${SEGMENT_COUNT}${segment.fallback ? ' · no blinks' : ''}`);
+  updateDebugStats();
 }
 
-function finalizeSegments() {
+function handleMessageFinal(final) {
+  if (!final || final.sequenceId !== sequenceId || sequenceCompleted) return;
   sequenceCompleted = true;
-  resolveAllFrames();
-  processSegments({ allowFallback: true, allowPartial: true });
-  appendGlitchNoteIfNeeded();
+  if (final.glitch) {
+    enqueueTexts(final.glitch.texts);
+  }
   updateDebugStatus('Sequence finalized');
   updateDebugStats();
 }
 
-function registerBlink(relativeMs) {
-  const frameIdx = Math.floor(relativeMs / FRAME_DURATION);
-  if (frameIdx < 0 || frameIdx >= TOTAL_FRAMES) return;
-  const slotIdx = Math.max(0, Math.min(FRAME_SLOTS - 1, Math.floor((relativeMs % FRAME_DURATION) / SLOT_DURATION)));
-  if (sequenceFrames[frameIdx] != null && sequenceFrames[frameIdx] !== NO_BLINK_SLOT) return;
-  sequenceFrames[frameIdx] = slotIdx;
-}
-
-function resolveFramesThrough(firmwareMs) {
-  if (!sequenceRunning) return;
-  if (typeof firmwareMs !== 'number' || Number.isNaN(firmwareMs)) return;
-  if (sequenceStartTimeMs == null) {
-    sequenceStartTimeMs = firmwareMs;
-  }
-  const relative = firmwareMs - sequenceStartTimeMs;
-  if (!Number.isFinite(relative) || relative < 0) return;
-  const completedFrames = Math.min(TOTAL_FRAMES, Math.floor(relative / FRAME_DURATION));
-  if (completedFrames <= framesResolved) return;
-  for (let frameIdx = framesResolved; frameIdx < completedFrames; frameIdx += 1) {
-    if (sequenceFrames[frameIdx] == null) {
-      sequenceFrames[frameIdx] = NO_BLINK_SLOT;
-    }
-  }
-  framesResolved = completedFrames;
-  updateProgressSegments();
-}
-
-function resolveAllFrames() {
-  for (let frameIdx = 0; frameIdx < TOTAL_FRAMES; frameIdx += 1) {
-    if (sequenceFrames[frameIdx] == null) {
-      sequenceFrames[frameIdx] = NO_BLINK_SLOT;
-    }
-  }
-  framesResolved = TOTAL_FRAMES;
-}
-
-function startSequence(startFirmwareMs, slots) {
+function startSequence(startFirmwareMs, id) {
   clearIdleHold();
+  sequenceId = id || null;
   sequenceRunning = true;
   sequenceCompleted = false;
-  sequenceFrames = new Array(TOTAL_FRAMES).fill(null);
   sequenceStartTimeMs = typeof startFirmwareMs === 'number'
     ? startFirmwareMs
     : (lastFirmwareMs != null ? lastFirmwareMs : null);
-  plannedSlots = Array.isArray(slots) && slots.length === TOTAL_FRAMES
-    ? slots.map((slot) => {
-      const parsed = Number(slot);
-      return Number.isFinite(parsed) ? parsed : null;
-    })
-    : null;
-  decodedSegments = new Array(SEGMENT_COUNT).fill(null);
-  segmentMeta = new Array(SEGMENT_COUNT).fill(null);
-  glitchAppended = false;
+  segmentsShown = 0;
   sequenceBlinkBase = lastBlinkTotal != null ? lastBlinkTotal : null;
   blinkCount = 0;
-  framesResolved = 0;
-  resetTypewriter();
+  resetTypewriters();
   if (sequenceStartTimeMs != null) {
     lastFirmwareMs = sequenceStartTimeMs;
   }
@@ -665,9 +422,17 @@ function startSequence(startFirmwareMs, slots) {
   updateDebugStats();
 }
 
+// A screen that connects mid-run picks up the segments decoded so far.
+function resumeMessage(snapshot) {
+  if (!snapshot || snapshot.final || snapshot.sequenceId === sequenceId) return;
+  startSequence(null, snapshot.sequenceId);
+  enterRunning();
+  snapshot.segments.forEach(handleMessageSegment);
+}
+
 function endSequence() {
   sequenceRunning = false;
-  finalizeSegments();
+  updateDebugStats();
 }
 
 function cancelSequence() {
@@ -693,7 +458,6 @@ function handleControlLog(log) {
       updateDebugStatus('[CTRL] sequence-started');
       break;
     case 'sequence-ended':
-      finalizeSegments();
       updateDebugStatus('[CTRL] sequence-ended');
       break;
     case 'sequence-cancelled':
@@ -705,7 +469,7 @@ function handleControlLog(log) {
       if (presence !== 'PRESENCE') {
         if (displayState === State.IDLE) {
           enterIdle();
-        } else if (!idleHoldTimer && !typeTimer && typewriterQueue.length === 0) {
+        } else if (!idleHoldTimer && !typingActive()) {
           scheduleIdleHold();
         }
       }
@@ -734,11 +498,10 @@ function handleControlLog(log) {
 
 function handleStatus(status) {
   if (!status) return;
-  const prevBlinkCount = blinkCount;
   const prevPresence = presence;
   if (typeof status.time_ms === 'number') {
     lastFirmwareMs = status.time_ms;
-    resolveFramesThrough(status.time_ms);
+    audioCues.clock(status.time_ms);
   }
   if (typeof status.confidence === 'number') confidence = status.confidence;
   if (typeof status.prox === 'number' && !Number.isNaN(status.prox)) {
@@ -763,16 +526,14 @@ function handleStatus(status) {
     }
   }
 
-  if (presence === 'PRESENCE' && displayState === State.IDLE) {
+  if (presence === 'PRESENCE' && displayState === State.IDLE && availabilityMode === 'open') {
     enterAssessing();
   }
 
-  const typingActive = Boolean(typeTimer);
   const shouldResetForIdle = (
     presence === 'IDLE' &&
     !sequenceRunning &&
-    !typingActive &&
-    typewriterQueue.length === 0
+    !typingActive()
   );
 
   if (shouldResetForIdle) {
@@ -781,9 +542,6 @@ function handleStatus(status) {
     }
   }
 
-  if (sequenceRunning && blinkCount !== prevBlinkCount) {
-    updateProgressSegments();
-  }
   updateDebugStats();
 }
 
@@ -793,14 +551,12 @@ function handleSequenceLog(log) {
     case 'START':
       startSequence(
         typeof log.time_ms === 'number' ? log.time_ms : null,
-        Array.isArray(log.slots) ? log.slots : null,
+        log.sequenceId,
       );
+      if (typeof log.time_ms === 'number') audioCues.schedulePuffs(log.time_ms, log.slots);
       updateDebugStatus('[SEQ] START');
       break;
     case 'END':
-      if (typeof log.time_ms === 'number') {
-        resolveFramesThrough(log.time_ms);
-      }
       endSequence();
       updateDebugStatus('[SEQ] END');
       break;
@@ -818,6 +574,66 @@ function handleSample() {
   // raw samples unused in production view
 }
 
+function renderSerialBanner() {
+  if (!serialBannerEl) return;
+  let text = '';
+  if (lastSerialState === 'connecting') {
+    text = statusLines('sensorOffline').join(' / ');
+  } else if (lastSerialState === 'lost') {
+    text = statusLines('sensorLost').join(' / ');
+  }
+  serialBannerEl.textContent = text;
+  serialBannerEl.classList.toggle('visible', Boolean(text));
+}
+
+function handleSerialState(state) {
+  lastSerialState = state;
+  renderSerialBanner();
+  if (state === 'lost' && sequenceRunning) {
+    cancelSequence();
+    enterIdle();
+  }
+  updateDebugStatus(`Serial ${state}`);
+}
+
+function formatOpeningTime(ts) {
+  const at = new Date(ts);
+  const time = at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (at.toDateString() === new Date().toDateString()) return time;
+  return `${at.toLocaleDateString([], { weekday: 'long' })} ${time}`;
+}
+
+function renderAvailability() {
+  const info = lastAvailability;
+  if (!info) return;
+  let title = [];
+  let detail = [];
+  if (info.mode === 'maintenance') {
+    title = statusLines('maintenance');
+    detail = info.maintenance && info.maintenance.message ? [info.maintenance.message] : statusLines('backSoon');
+  } else if (info.mode === 'closed') {
+    title = statusLines('closed');
+    if (info.nextChangeAt) detail = statusLines('opens', { time: formatOpeningTime(info.nextChangeAt) });
+  }
+  if (availabilityTitleEl) availabilityTitleEl.textContent = title.join('\n');
+  if (availabilityDetailEl) availabilityDetailEl.textContent = detail.join('\n');
+  if (availabilityEl) availabilityEl.classList.toggle('visible', info.mode !== 'open');
+}
+
+function handleAvailability(info) {
+  if (!info || !info.mode) return;
+  const prevMode = availabilityMode;
+  availabilityMode = info.mode;
+  lastAvailability = info;
+  renderAvailability();
+  if (info.mode !== 'open' && prevMode === 'open' && !sequenceRunning) {
+    enterIdle();
+  }
+  if (prevMode !== info.mode) {
+    updateDebugStatus(`Availability → ${info.mode}`);
+  }
+}
+
 function handleEspRaw(msg) {
   if (!debugEnabled) return;
   if (!msg) return;
@@ -833,52 +649,31 @@ function handleEspRaw(msg) {
 
 function handleBlinkEvent(evt) {
   if (!evt || !sequenceRunning) return;
-  const prevBlinkCount = blinkCount;
   flashScreen();
+  audioCues.clock(evt.time_ms);
+  audioCues.blink(evt.time_ms);
   if (typeof evt.prox === 'number' && !Number.isNaN(evt.prox)) {
     lastProx = evt.prox;
   }
   if (typeof evt.time_ms === 'number') {
     lastFirmwareMs = evt.time_ms;
-    if (sequenceStartTimeMs == null) {
-      sequenceStartTimeMs = evt.time_ms;
-    }
-    resolveFramesThrough(evt.time_ms);
   }
   if (typeof evt.blinks === 'number' && !Number.isNaN(evt.blinks)) {
     lastBlinkTotal = evt.blinks;
     if (sequenceBlinkBase == null || evt.blinks < sequenceBlinkBase) {
-      const assumedBase = Math.max(0, evt.blinks - 1);
-      sequenceBlinkBase = assumedBase;
+      sequenceBlinkBase = Math.max(0, evt.blinks - 1);
     }
     const relativeBlinks = evt.blinks - (sequenceBlinkBase || 0);
     blinkCount = Math.min(TOTAL_FRAMES, Math.max(0, relativeBlinks));
   } else {
     blinkCount = Math.min(TOTAL_FRAMES, blinkCount + 1);
   }
-  if (typeof evt.time_ms !== 'number' || sequenceStartTimeMs == null) {
-    if (blinkCount !== prevBlinkCount) {
-      updateProgressSegments();
-    }
-    updateDebugStats();
-    updateDebugStatus(`Blink ${blinkCount} · awaiting reference`);
-    return;
-  }
-  const relative = evt.time_ms - sequenceStartTimeMs;
-  if (relative < 0) {
-    if (blinkCount !== prevBlinkCount) {
-      updateProgressSegments();
-    }
-    updateDebugStats();
-    updateDebugStatus(`Blink ${blinkCount} · early by ${relative} ms`);
-    return;
-  }
-  registerBlink(relative);
-  if (blinkCount !== prevBlinkCount) {
-    updateProgressSegments();
-  }
   updateDebugStats();
-  updateDebugStatus(`Blink ${blinkCount} @ ${relative} ms`);
+  if (typeof evt.time_ms === 'number' && sequenceStartTimeMs != null) {
+    updateDebugStatus(`Blink ${blinkCount} @ ${evt.time_ms - sequenceStartTimeMs} ms`);
+  } else {
+    updateDebugStatus(`Blink ${blinkCount}`);
+  }
 }
 
 function connect() {
@@ -898,11 +693,37 @@ function connect() {
             }
           }
           setDebugEnabled(Boolean(msg.debug));
+          serverLocales = Array.isArray(msg.displayLocales) ? msg.displayLocales : null;
+          handleContent(msg.content);
+          audioCues.setSettings(msg.audio);
+          audioCues.setSequenceTiming(msg.sequenceTiming);
+          setSequenceTiming(msg.sequenceTiming);
+          if (msg.firmwareParams && msg.firmwareParams.params) {
+            audioCues.setPuffDuration(msg.firmwareParams.params.puff_ms);
+          }
+          if (msg.serialState) {
+            handleSerialState(msg.serialState);
+          }
+          if (msg.availability) {
+            handleAvailability(msg.availability);
+          }
+          if (msg.message) {
+            resumeMessage(msg.message);
+          }
           if (bodyEl) {
             bodyEl.classList.toggle('kiosk-mode', Boolean(msg.fullscreen));
           }
           break;
         }
+        case 'content-packs':
+          handleContent(msg);
+          break;
+        case 'audio-settings':
+          audioCues.setSettings(msg);
+          break;
+        case 'firmware-params':
+          if (msg.params) audioCues.setPuffDuration(msg.params.puff_ms);
+          break;
         case 'sample':
           handleSample(msg);
           break;
@@ -915,12 +736,29 @@ function connect() {
         case 'sequence-log':
           handleSequenceLog(msg);
           break;
+        case 'message-segment':
+          handleMessageSegment(msg);
+          break;
+        case 'message-final':
+          handleMessageFinal(msg);
+          break;
         case 'control-log':
           handleControlLog(msg);
           break;
         case 'esp-raw':
           handleEspRaw(msg);
           break;
+        case 'serial-state':
+          handleSerialState(msg.state);
+          break;
+        case 'availability':
+          handleAvailability(msg);
+          break;
+        case 'replay-state':
+          if (msg.event === 'seek' || msg.event === 'loop') {
+            enterIdle();
+          }
+          break;
         default:
           break;
       }
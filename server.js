@@ -1,5 +1,5 @@
 // Minimal serial → WebSocket → frontend bridge
-// Config: see .env for SERIAL_PORT, BAUD, PORT
+// Config: see .env for SERIAL_PORT, BAUD, PORT (RIGS_FILE for several rigs)
 
 require('dotenv').config();
 const fs = require('fs');
@@ -7,15 +7,57 @@ const path = require('path');
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const { SerialPort } = require('serialport');
 const { spawn } = require('child_process');
+const { DEFAULT_SCENARIO } = require('./lib/simulator');
+const {
+  createSettingsStore,
+  validateControlPatch,
+  controlConfigFromEnv,
+  resolveControlConfig,
+  CONTROL_FIELDS,
+} = require('./lib/settings');
+const { createHistoryStore } = require('./lib/history');
+const { SEQ_FRAMES, FRAME_SLOTS, SLOT_DURATION_MS, SEQUENCE_LEAD_MS } = require('./lib/protocol');
+const { createControllerMetrics } = require('./lib/metrics');
+const { createRig, loadRigs } = require('./lib/rig');
+const { FIRMWARE_PARAMS } = require('./lib/params');
+const { CONSOLE_COMMANDS } = require('./lib/commands');
+const { createCaptureStore } = require('./lib/captures');
+const { runWhatIfInWorker, dayRange, capturesInRange } = require('./lib/whatif');
+const { createContentLibrary } = require('./lib/content');
+const { validateSchedule, evaluateSchedule, DEFAULT_SCHEDULE } = require('./lib/schedule');
+const { validateAudioPatch, AUDIO_CUES, DEFAULT_AUDIO } = require('./lib/audio');
 
 const argv = process.argv.slice(2);
+const VALUE_FLAGS = ['--port', '--replay', '--replay-speed', '--simulate'];
+
+function readFlagValue(name) {
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === name) {
+      const next = argv[i + 1];
+      return next && !next.startsWith('--') ? next : null;
+    }
+    if (arg.startsWith(`${name}=`)) {
+      return arg.slice(name.length + 1) || null;
+    }
+  }
+  return undefined;
+}
+
+const REPLAY_FILE = readFlagValue('--replay');
+if (REPLAY_FILE === null) {
+  console.warn('[WARN] --replay flag requires a capture file (e.g. --replay captures/capture-….log); ignoring.');
+}
+const REPLAY_MODE = Boolean(REPLAY_FILE);
+const REPLAY_SPEED = Number.parseFloat(readFlagValue('--replay-speed') || '') || 1;
+const REPLAY_LOOP = argv.includes('--replay-loop');
+const simulateFlag = readFlagValue('--simulate');
+const SIMULATE_MODE = simulateFlag !== undefined && !REPLAY_MODE;
+const SIMULATE_SCENARIO = simulateFlag || DEFAULT_SCENARIO;
 const DEBUG_MODE = argv.includes('--debug');
-const CAPTURE_MODE = argv.includes('--capture');
+const CAPTURE_MODE = argv.includes('--capture') && !REPLAY_MODE;
 const FULLSCREEN_MODE = argv.includes('--fullscreen');
-let captureStream = null;
-let captureFilePath = null;
 
 let cliSerialPort = null;
 const npmConfigSerialPort = process.env.npm_config_port;
@@ -41,7 +83,7 @@ for (let i = 0; i < argv.length; i += 1) {
   }
 }
 if (!cliSerialPort) {
-  const positionalArg = argv.find((arg) => !arg.startsWith('--'));
+  const positionalArg = argv.find((arg, i) => !arg.startsWith('--') && !VALUE_FLAGS.includes(argv[i - 1]));
   if (positionalArg) {
     cliSerialPort = positionalArg;
     console.warn('[WARN] Detected bare CLI argument; assuming it is a serial port override. Prefer "npm start -- --port <device>" to avoid npm warnings.');
@@ -55,50 +97,86 @@ if (DEBUG_MODE) {
   console.log('[DEBUG] Raw ESP logging enabled');
 }
 
-if (CAPTURE_MODE) {
-  const captureDir = path.join(__dirname, 'captures');
-  if (!fs.existsSync(captureDir)) {
-    fs.mkdirSync(captureDir, { recursive: true });
-  }
-  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-  captureFilePath = path.join(captureDir, `capture-${stamp}.log`);
-  captureStream = fs.createWriteStream(captureFilePath, { flags: 'w' });
-  console.log(`[CAPTURE] Writing serial telemetry to ${captureFilePath}`);
+if (REPLAY_MODE && argv.includes('--capture')) {
+  console.warn('[WARN] --capture ignored while replaying a capture file.');
+}
+if (REPLAY_MODE && simulateFlag !== undefined) {
+  console.warn('[WARN] --simulate ignored while replaying a capture file.');
 }
 
 const HTTP_PORT = Number(process.env.PORT || 3007);
 const BAUD = Number(process.env.BAUD || 115200);
 const serialEnv = process.env.SERIAL_PORT || '/dev/gradi-esp-compress';
-const serialSource = cliSerialPort || serialEnv;
 if (cliSerialPort) {
   console.log(`[CLI] Serial port override detected: ${cliSerialPort}`);
 }
 if (FULLSCREEN_MODE) {
   console.log('[CLI] Fullscreen dashboard launch requested');
 }
-const SERIAL_HINT = serialSource
-  ? (serialSource.startsWith('/') ? serialSource : `/dev/${serialSource}`)
-  : null;
-
-const CONTROL_CFG = {
-  confStart: Number.parseFloat(process.env.CONF_START_THRESHOLD ?? '') || 0.95,
-  confRearm: Number.parseFloat(process.env.CONF_REARM_THRESHOLD ?? '') || 0.8,
-  confExit: Number.parseFloat(process.env.CONF_EXIT_THRESHOLD ?? '') || 0.4,
-  proxExit: Number.isNaN(Number(process.env.PROX_EXIT_LEVEL)) ? 5 : Number(process.env.PROX_EXIT_LEVEL),
-  leaveMs: Number.isNaN(Number(process.env.LEAVE_HOLD_MS)) ? 1000 : Number(process.env.LEAVE_HOLD_MS),
-  startDelay: Number.isNaN(Number(process.env.START_DELAY_MS)) ? 600 : Number(process.env.START_DELAY_MS),
-};
+const SERIAL_RETRY_MIN_MS = Number(process.env.SERIAL_RETRY_MIN_MS) || 500;
+const SERIAL_RETRY_MAX_MS = Number(process.env.SERIAL_RETRY_MAX_MS) || 10000;
 
-const controlState = {
-  autoArmed: true,
-  sequenceActive: false,
-  startPending: false,
-  stopPending: false,
-  leaveCandidateSince: null,
-  lastStatus: null,
-  lastStart: null,
-  startTimer: null,
-};
+const CONTROL_CFG = controlConfigFromEnv(process.env);
+
+const SETTINGS_FILE = process.env.SETTINGS_FILE
+  ? path.resolve(process.env.SETTINGS_FILE)
+  : path.join(__dirname, 'data', 'settings.json');
+const settingsStore = createSettingsStore(SETTINGS_FILE);
+settingsStore.load();
+
+// Each rig gets its own serial path, baud rate, thresholds and capture file.
+// Without RIGS_FILE there is one rig, "a", configured from .env as before.
+const RIGS_FILE = process.env.RIGS_FILE ? path.resolve(process.env.RIGS_FILE) : null;
+let RIG_CONFIGS;
+try {
+  RIG_CONFIGS = RIGS_FILE
+    ? loadRigs(RIGS_FILE, { baud: BAUD, control: CONTROL_CFG })
+    : [{ id: 'a', name: 'a', serialPort: cliSerialPort || serialEnv, baud: BAUD, control: { ...CONTROL_CFG }, captureFile: null }];
+} catch (err) {
+  console.error(`[ERR] ${err.message}`);
+  process.exit(1);
+}
+if (cliSerialPort && RIGS_FILE) {
+  console.log(`[CLI] Serial port override applies to rig ${RIG_CONFIGS[0].id}`);
+  RIG_CONFIGS[0].serialPort = cliSerialPort;
+}
+if (REPLAY_MODE && RIG_CONFIGS.length > 1) {
+  console.warn(`[WARN] Replaying a capture drives rig ${RIG_CONFIGS[0].id} only; other rigs are not started.`);
+  RIG_CONFIGS = RIG_CONFIGS.slice(0, 1);
+}
+
+// Saved thresholds override the rig's configured ones.
+RIG_CONFIGS.forEach((rigConfig, idx) => {
+  const { config, errors } = resolveControlConfig(rigConfig.control, settingsStore, rigConfig.id, idx === 0);
+  if (errors.length) {
+    console.warn(`[WARN] Ignoring saved controller settings for rig ${rigConfig.id} in ${SETTINGS_FILE}: ${errors.join('; ')}`);
+  }
+  Object.assign(rigConfig.control, config);
+});
+
+// Captures can be started at boot (--capture) or at runtime; either way they
+// land in CAPTURE_DIR as gzip files, rotated every CAPTURE_ROTATE_MB of text.
+const CAPTURE_DIR = process.env.CAPTURE_DIR
+  ? path.resolve(process.env.CAPTURE_DIR)
+  : path.join(__dirname, 'captures');
+const CAPTURE_ROTATE_MB = Number(process.env.CAPTURE_ROTATE_MB) > 0 ? Number(process.env.CAPTURE_ROTATE_MB) : 50;
+const captureStore = createCaptureStore({
+  dir: CAPTURE_DIR,
+  rotateBytes: CAPTURE_ROTATE_MB * 1024 * 1024,
+  log: (event, info) => controlLog(event, info),
+});
+
+// Replays and simulator runs keep their own history so they never end up in
+// exhibition reports.
+const HISTORY_SOURCE = REPLAY_MODE ? 'replay' : (SIMULATE_MODE ? 'simulate' : 'serial');
+const HISTORY_FILE = process.env.HISTORY_FILE
+  ? path.resolve(process.env.HISTORY_FILE)
+  : path.join(__dirname, 'data', HISTORY_SOURCE === 'serial' ? 'sequences.jsonl' : `sequences-${HISTORY_SOURCE}.jsonl`);
+const HISTORY_ROTATE_MB = Number(process.env.HISTORY_ROTATE_MB) > 0 ? Number(process.env.HISTORY_ROTATE_MB) : 10;
+const historyStore = createHistoryStore(HISTORY_FILE, {
+  rotateBytes: HISTORY_ROTATE_MB * 1024 * 1024,
+  log: (event, info) => controlLog(event, info),
+});
 
 const app = express();
 const server = http.createServer(app);
@@ -106,312 +184,630 @@ const wss = new WebSocket.Server({ server, path: '/ws' });
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-function broadcast(obj) {
-  const msg = JSON.stringify(obj);
-  wss.clients.forEach((ws) => {
-    if (ws.readyState === WebSocket.OPEN) ws.send(msg);
-  });
+// Scripts and shortcuts name themselves with ?caller= or a "caller" field;
+// that name is what ends up as the START/STOP reason in the control log.
+function apiCaller(req) {
+  const fromBody = req.body && typeof req.body.caller === 'string' ? req.body.caller : '';
+  const fromQuery = typeof req.query.caller === 'string' ? req.query.caller : '';
+  const name = (fromBody || fromQuery).trim().slice(0, 64);
+  return `api:${name || req.ip}`;
 }
 
-function writeCaptureLine(text) {
-  if (!captureStream) return;
-  captureStream.write(`${Date.now()} ${text}\n`);
+// Rig-level routes pick the rig with ?rig=<id>; the first rig is the default.
+function requestRig(req, res) {
+  const rigId = typeof req.query.rig === 'string' && req.query.rig ? req.query.rig : null;
+  const rig = rigId ? rigs.get(rigId) : defaultRig;
+  if (!rig) {
+    res.status(404).json({ ok: false, error: `unknown rig ${rigId}`, rigs: Array.from(rigs.keys()) });
+    return null;
+  }
+  return rig;
 }
 
-function detectLineKind(line) {
-  if (line.startsWith('STATUS')) return 'STATUS';
-  if (line.startsWith('BLINK')) return 'BLINK';
-  if (line.startsWith('SEQ')) return 'SEQ';
-  if (line.startsWith('ERR')) return 'ERR';
-  if (line.startsWith('SAMPLE')) return 'SAMPLE';
-  return 'RAW';
-}
+app.get('/api/rigs', (req, res) => {
+  res.json({
+    rigs: Array.from(rigs.values()).map((rig) => ({
+      id: rig.id,
+      name: rig.name,
+      serialState: rig.serialState(),
+      state: rig.controller.state,
+    })),
+  });
+});
 
-function broadcastDebugLine(line) {
-  if (!DEBUG_MODE) return;
-  broadcast({
-    type: 'esp-raw',
-    ts: Date.now(),
-    kind: detectLineKind(line),
-    line,
+app.get('/api/state', (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  res.json(rig.snapshot());
+});
+
+app.post('/api/sequence/start', express.json(), (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const { controller } = rig;
+  if (!rig.serialUp()) {
+    res.status(503).json({ ok: false, error: 'serial port not open', rig: rig.id, serialState: rig.serialState() });
+    return;
+  }
+  const { sequenceActive, startPending } = controller.snapshot();
+  if (sequenceActive || startPending) {
+    res.status(409).json({ ok: false, error: 'sequence already running', ...rig.snapshot() });
+    return;
+  }
+  const reason = apiCaller(req);
+  if (!controller.requestStart(reason, { from: 'http' })) {
+    const block = controller.checkStart(reason);
+    if (block && block.rule === 'maintenance') {
+      res.status(423).json({ ok: false, error: 'maintenance mode', ...block });
+      return;
+    }
+    if (block) {
+      res.set('Retry-After', String(Math.ceil(block.retryInMs / 1000)));
+      res.status(429).json({ ok: false, error: `pump needs rest (${block.rule})`, ...block });
+      return;
+    }
+    res.status(409).json({ ok: false, error: 'start rejected', ...rig.snapshot() });
+    return;
+  }
+  res.status(202).json({ ok: true, reason, ...rig.snapshot() });
+});
+
+app.post('/api/sequence/stop', express.json(), (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const { controller } = rig;
+  if (!rig.serialUp()) {
+    res.status(503).json({ ok: false, error: 'serial port not open', rig: rig.id, serialState: rig.serialState() });
+    return;
+  }
+  const { sequenceActive, startPending } = controller.snapshot();
+  if (!sequenceActive && !startPending) {
+    res.status(409).json({ ok: false, error: 'no sequence running', ...rig.snapshot() });
+    return;
+  }
+  const reason = apiCaller(req);
+  if (!controller.requestStop(reason, { from: 'http' })) {
+    res.status(409).json({ ok: false, error: 'stop already pending', ...rig.snapshot() });
+    return;
+  }
+  res.status(202).json({ ok: true, reason, ...rig.snapshot() });
+});
+
+// Without ?rig= every rig's events are returned; with it, that rig's events
+// plus the server-wide ones (clients, schedule).
+app.get('/api/control-log', (req, res) => {
+  const limit = Math.min(CONTROL_LOG_LIMIT, Math.max(1, Number.parseInt(req.query.limit, 10) || 100));
+  const since = Number(req.query.since) || 0;
+  const event = typeof req.query.event === 'string' ? req.query.event : null;
+  const rig = typeof req.query.rig === 'string' && req.query.rig ? req.query.rig : null;
+  const entries = controlLogHistory.filter((entry) => (
+    entry.ts > since
+    && (!event || entry.event === event)
+    && (!rig || !entry.rig || entry.rig === rig)
+  ));
+  res.json({ events: entries.slice(-limit) });
+});
+
+app.get('/api/sequences', async (req, res) => {
+  try {
+    const sequences = await historyStore.query(req.query);
+    res.json({ sequences });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.get('/api/sequences/:id', async (req, res) => {
+  const record = await historyStore.get(req.params.id);
+  if (!record) {
+    res.status(404).json({ ok: false, error: 'unknown sequence' });
+    return;
+  }
+  res.json(record);
+});
+
+app.get('/api/availability', (req, res) => {
+  res.json(availabilityPayload());
+});
+
+app.put('/api/schedule', express.json(), (req, res) => {
+  const result = updateSchedule(req.body, apiCaller(req));
+  if (!result.ok) {
+    res.status(400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  res.json({ ok: true, ...availabilityPayload() });
+});
+
+app.put('/api/maintenance', express.json(), (req, res) => {
+  const result = setMaintenance(req.body, apiCaller(req));
+  if (!result.ok) {
+    res.status(400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  res.json({ ok: true, ...availabilityPayload() });
+});
+
+app.get('/api/content', (req, res) => {
+  res.json(contentPayload());
+});
+
+app.put('/api/content/pack', express.json(), (req, res) => {
+  const result = selectContentPack(req.body && req.body.pack, apiCaller(req));
+  if (!result.ok) {
+    res.status(400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  res.json({ ok: true, ...contentPayload() });
+});
+
+app.get('/api/audio', (req, res) => {
+  res.json({ ...audioSettings, cues: AUDIO_CUES });
+});
+
+app.put('/api/audio', express.json(), (req, res) => {
+  const result = updateAudio(req.body, apiCaller(req));
+  if (!result.ok) {
+    res.status(400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  res.json({ ok: true, ...audioSettings });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+app.get('/api/config', (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  res.json({ rig: rig.id, config: rig.config, fields: CONTROL_FIELDS });
+});
+
+app.patch('/api/config', express.json(), (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const result = updateControlConfig(rig, req.body, 'http');
+  if (!result.ok) {
+    res.status(400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  res.json({ ok: true, rig: rig.id, config: rig.config, changed: result.changed });
+});
+
+app.get('/api/firmware/params', async (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  if (req.query.refresh) {
+    const result = await rig.readFirmwareParams();
+    if (!result.ok) {
+      res.status(result.failure === 'no-serial' ? 503 : 504).json({ ok: false, rig: rig.id, error: `firmware did not answer (${result.failure})` });
+      return;
+    }
+  }
+  const current = rig.firmwareParams();
+  res.json({
+    rig: rig.id,
+    params: current ? current.params : null,
+    updatedAt: current ? current.updatedAt : null,
+    fields: FIRMWARE_PARAMS,
+    pumpTiming: rig.pumpTiming(),
+  });
+});
+
+// Answers once the firmware has confirmed (or refused) every value.
+app.patch('/api/firmware/params', express.json(), async (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const result = await rig.setFirmwareParams(req.body, apiCaller(req));
+  let status = 200;
+  if (result.invalid) status = 400;
+  else if (result.failure === 'no-serial') status = 503;
+  else if (result.failure) status = 504;
+  else if (!result.ok) status = 422;
+  res.status(status).json({ ...result, rig: rig.id });
+});
+
+// Writes one allow-listed console command; the firmware's answer arrives on
+// the serial stream, not in this response.
+app.post('/api/serial/command', express.json(), (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const result = rig.sendConsoleCommand(req.body ? req.body.command : null, apiCaller(req));
+  let status = 202;
+  if (result.invalid) status = 400;
+  else if (result.failure === 'no-serial') status = 503;
+  else if (result.failure) status = 409;
+  res.status(status).json({ ...result, rig: rig.id });
+});
+
+app.get('/api/captures', async (req, res) => {
+  try {
+    const captures = await captureStore.list();
+    const active = Array.from(rigs.values()).map((rig) => ({ rig: rig.id, capture: rig.captureStatus() }));
+    res.json({ dir: CAPTURE_DIR, rotateMb: CAPTURE_ROTATE_MB, captures, active });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post('/api/captures/start', express.json(), (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const result = rig.startCapture(apiCaller(req));
+  res.status(result.ok ? 201 : 409).json({ ...result, rig: rig.id });
+});
+
+app.post('/api/captures/stop', express.json(), async (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const result = await rig.stopCapture(apiCaller(req));
+  res.status(result.ok ? 200 : 409).json({ ...result, rig: rig.id });
+});
+
+app.get('/api/captures/:name', (req, res) => {
+  const filePath = captureStore.find(req.params.name);
+  if (!filePath) {
+    res.status(404).json({ ok: false, error: `unknown capture ${req.params.name}` });
+    return;
+  }
+  res.download(filePath, req.params.name);
+});
+
+app.patch('/api/captures/:name', express.json(), async (req, res) => {
+  let result;
+  try {
+    result = await captureStore.annotate(req.params.name, req.body);
+  } catch (err) {
+    res.status(500).json({ ok: false, errors: [err.message] });
+    return;
+  }
+  if (!result.ok) {
+    res.status(result.notFound ? 404 : 400).json({ ok: false, errors: result.errors });
+    return;
+  }
+  controlLog('capture-annotate', { file: req.params.name, source: apiCaller(req), tags: result.capture.tags });
+  broadcast({ type: 'captures-changed', name: req.params.name });
+  res.json(result);
+});
+
+app.delete('/api/captures/:name', (req, res) => {
+  const result = captureStore.remove(req.params.name);
+  if (!result.ok) {
+    res.status(result.notFound ? 404 : 409).json({ ok: false, errors: result.errors });
+    return;
+  }
+  controlLog('capture-delete', { file: req.params.name, source: apiCaller(req) });
+  broadcast({ type: 'captures-changed', name: req.params.name });
+  res.json(result);
+});
+
+// What the rig's controller would have done over a day of captures (or the
+// named ones) with other thresholds. Runs in a worker, one run at a time.
+let whatIfRunning = false;
+app.post('/api/whatif', express.json(), async (req, res) => {
+  const rig = requestRig(req, res);
+  if (!rig) return;
+  const body = req.body || {};
+  let range = { from: -Infinity, to: Infinity };
+  let files;
+  if (Array.isArray(body.captures) && body.captures.length) {
+    files = body.captures.map((name) => captureStore.find(name));
+    const unknown = body.captures.filter((name, idx) => !files[idx]);
+    if (unknown.length) {
+      res.status(404).json({ ok: false, errors: unknown.map((name) => `unknown capture ${name}`) });
+      return;
+    }
+  } else {
+    range = dayRange(body.day);
+    if (!range) {
+      res.status(400).json({ ok: false, errors: ['day: expected YYYY-MM-DD, or a list of captures'] });
+      return;
+    }
+    files = capturesInRange(await captureStore.list(), range, rig.id).map((capture) => captureStore.find(capture.name));
+    if (!files.length) {
+      res.status(404).json({ ok: false, errors: [`no captures of rig ${rig.id} on ${body.day}`] });
+      return;
+    }
+  }
+  if (whatIfRunning) {
+    res.status(409).json({ ok: false, errors: ['another what-if run is in progress'] });
+    return;
+  }
+  whatIfRunning = true;
+  try {
+    const report = await runWhatIfInWorker({
+      files,
+      current: { ...rig.config },
+      patch: body.config,
+      schedule: availability.schedule,
+      ...range,
+    });
+    res.status(report.ok ? 200 : 400).json({ ...report, rig: rig.id });
+  } catch (err) {
+    res.status(500).json({ ok: false, errors: [err.message] });
+  } finally {
+    whatIfRunning = false;
+  }
+});
+
+// Every message carries a rig id. Rig messages only reach the clients
+// watching that rig; server-wide ones go to everybody, tagged with the rig
+// each client watches. wants(ws), when given, narrows the audience further.
+function broadcast(obj, rigId = null, wants = null) {
+  const encoded = new Map();
+  wss.clients.forEach((ws) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (rigId && ws.rig !== rigId) return;
+    if (wants && !wants(ws)) return;
+    const rig = rigId || ws.rig;
+    if (!encoded.has(rig)) encoded.set(rig, JSON.stringify({ ...obj, rig }));
+    ws.send(encoded.get(rig));
   });
 }
 
-function controlLog(event, info = {}) {
+const rigs = new Map();
+let defaultRig = null;
+
+const metrics = createControllerMetrics({
+  getWsClients: () => wss.clients.size,
+  getRigs: () => Array.from(rigs.values()).map((rig) => ({
+    id: rig.id,
+    serialUp: rig.serialUp(),
+    sequenceActive: rig.controller.snapshot().sequenceActive,
+  })),
+});
+
+const CONTROL_LOG_LIMIT = 500;
+const controlLogHistory = [];
+
+// rigId is null for server-wide events.
+function controlLog(event, info = {}, rigId = null) {
   const payload = {
     type: 'control-log',
     event,
     ts: Date.now(),
+    ...(rigId ? { rig: rigId } : {}),
     ...info,
   };
-  console.log(`[CTRL] ${event}`, JSON.stringify(info));
-  broadcast(payload);
-}
-
-function parseSampleLine(line) {
-  const m = line.match(/t=(\d+)\s*ms\s*\|\s*prox=(\d+)/i);
-  if (!m) return null;
-  return { t: Number(m[1]), prox: Number(m[2]) };
-}
-
-function parseKeyValueSegments(remainder) {
-  if (!remainder) return {};
-  const segments = remainder.split('|');
-  const data = {};
-  segments.forEach((seg) => {
-    const trimmed = seg.trim();
-    if (!trimmed) return;
-    const idx = trimmed.indexOf('=');
-    if (idx === -1) return;
-    const key = trimmed.slice(0, idx).trim();
-    const value = trimmed.slice(idx + 1).trim();
-    if (key) data[key] = value;
-  });
-  return data;
+  console.log(`[CTRL] ${rigId ? `${rigId} ` : ''}${event}`, JSON.stringify(info));
+  controlLogHistory.push(payload);
+  metrics.observeControlEvent(event, info, rigId);
+  if (controlLogHistory.length > CONTROL_LOG_LIMIT) controlLogHistory.shift();
+  broadcast(payload, rigId);
 }
 
-function parseBlinkLine(line) {
-  if (!line.startsWith('BLINK')) return null;
-  const data = parseKeyValueSegments(line.slice('BLINK'.length).trim());
-  if (!data.time_ms) return null;
-  const toNum = (key) => (key in data ? Number(data[key]) : undefined);
-  return {
-    time_ms: Number(data.time_ms),
-    prox: toNum('prox'),
-    mean: toNum('mean'),
-    sigma: toNum('sigma'),
-    zRise: toNum('zRise'),
-    zDrop: toNum('zDrop'),
-    polarity: data.polarity || null,
-    confidence: toNum('confidence'),
-    blinks: toNum('blinks'),
-    raw: line,
-  };
+// Applies a partial controller config update from a dashboard or the HTTP
+// API, saves the edited fields and tells the rig's clients about the new values.
+function updateControlConfig(rig, patch, source) {
+  const result = validateControlPatch(patch, rig.config);
+  if (!result.ok) {
+    controlLog('config-rejected', { source, errors: result.errors }, rig.id);
+    return result;
+  }
+  const changed = Object.keys(result.values).filter((key) => rig.config[key] !== result.values[key]);
+  Object.assign(rig.config, result.values);
+  if (changed.length) {
+    try {
+      settingsStore.forRig(rig.id).update('control', result.values);
+    } catch (err) {
+      controlLog('config-save-failed', { file: SETTINGS_FILE, error: err.message }, rig.id);
+    }
+  }
+  controlLog('config-update', { source, changed, config: rig.config }, rig.id);
+  broadcast({ type: 'config-changed', ts: Date.now(), source, changed, config: rig.config }, rig.id);
+  return { ...result, changed };
 }
 
-function parseStatusLine(line) {
-  if (!line.startsWith('STATUS')) return null;
-  const data = parseKeyValueSegments(line.slice('STATUS'.length).trim());
-  if (!data.time_ms) return null;
-  const toNum = (key) => (key in data ? Number(data[key]) : undefined);
-  const status = {
-    time_ms: Number(data.time_ms),
-    state: data.state || null,
-    prox: toNum('prox'),
-    confidence: toNum('confidence'),
-    blinks: toNum('blinks'),
-    raw: line,
-  };
-  if ('mean' in data) status.mean = Number(data.mean);
-  if ('sigma' in data) status.sigma = Number(data.sigma);
-  if ('zRise' in data) status.zRise = Number(data.zRise);
-  if ('zDrop' in data) status.zDrop = Number(data.zDrop);
-  if ('ready' in data) {
-    const readyStr = data.ready.trim().toLowerCase();
-    if (readyStr === 'true' || readyStr === '1') {
-      status.ready = true;
-    } else if (readyStr === 'false' || readyStr === '0') {
-      status.ready = false;
-    } else {
-      const asNum = Number(readyStr);
-      if (!Number.isNaN(asNum)) {
-        status.ready = asNum >= 1;
-      }
-    }
+// Opening hours and maintenance mode decide whether starts are allowed at
+// all. Both are saved with the other runtime settings.
+const availability = {
+  schedule: { ...DEFAULT_SCHEDULE },
+  maintenance: { enabled: false, message: null, since: null, by: null },
+  mode: 'open',
+  nextChangeAt: null,
+  timer: null,
+};
+{
+  const savedSchedule = settingsStore.get('schedule');
+  if (Object.keys(savedSchedule).length) {
+    const { ok, schedule, errors } = validateSchedule(savedSchedule);
+    if (ok) availability.schedule = schedule;
+    else console.warn(`[WARN] Ignoring saved schedule in ${SETTINGS_FILE}: ${errors.join('; ')}`);
+  }
+  const savedMaintenance = settingsStore.get('maintenance');
+  if (savedMaintenance.enabled) {
+    availability.maintenance = { ...availability.maintenance, ...savedMaintenance };
   }
-  return status;
-}
-
-function parseSequenceLine(line) {
-  const m = line.match(/^SEQ\s+(START|END|CANCEL)\b/i);
-  if (!m) return null;
-  const action = m[1].toUpperCase();
-  const remainder = line.slice(m[0].length).trim();
-  const data = parseKeyValueSegments(remainder);
-  const result = { action, raw: line };
-  if (data.time_ms) result.time_ms = Number(data.time_ms);
-  if (data.lead_ms) result.lead_ms = Number(data.lead_ms);
-  if (data.slots) {
-    result.slots = data.slots
-      .split(',')
-      .map((s) => Number(s.trim()))
-      .filter((n) => !Number.isNaN(n));
-  }
-  if (data.reason) result.reason = data.reason;
-  return result;
 }
 
-let serialPort = null;
+function availabilityPayload() {
+  return {
+    mode: availability.mode,
+    nextChangeAt: availability.nextChangeAt,
+    maintenance: availability.maintenance,
+    schedule: availability.schedule,
+  };
+}
 
-function clearStartTimer() {
-  if (controlState.startTimer) {
-    clearTimeout(controlState.startTimer);
-    controlState.startTimer = null;
+function refreshAvailability(cause) {
+  if (availability.timer) {
+    clearTimeout(availability.timer);
+    availability.timer = null;
+  }
+  const { open, nextChangeAt } = evaluateSchedule(availability.schedule);
+  let mode = open ? 'open' : 'closed';
+  if (availability.maintenance.enabled) mode = 'maintenance';
+  const changed = mode !== availability.mode;
+  availability.mode = mode;
+  availability.nextChangeAt = nextChangeAt;
+  if (changed) {
+    controlLog('availability-change', { mode, cause, nextChangeAt });
+  }
+  broadcast({ type: 'availability', ts: Date.now(), cause, ...availabilityPayload() });
+  if (nextChangeAt != null) {
+    // Re-check at the next opening/closing; cap the wait so clock changes
+    // (DST, NTP) are picked up within the hour.
+    const wait = Math.min(Math.max(1000, nextChangeAt - Date.now() + 500), 60 * 60 * 1000);
+    availability.timer = setTimeout(() => refreshAvailability('schedule'), wait);
   }
 }
 
-function requestStart(reason, extra = {}) {
-  if (!serialPort) {
-    controlLog('start-skipped', { reason: 'no-serial', requestedBy: reason, ...extra });
-    return false;
+function updateSchedule(input, source) {
+  const result = validateSchedule(input);
+  if (!result.ok) {
+    controlLog('schedule-rejected', { source, errors: result.errors });
+    return result;
   }
-  if (controlState.sequenceActive || controlState.startPending) {
-    return false;
+  availability.schedule = result.schedule;
+  try {
+    settingsStore.update('schedule', result.schedule);
+  } catch (err) {
+    controlLog('config-save-failed', { file: SETTINGS_FILE, error: err.message });
   }
-  controlState.startPending = true;
-  controlState.autoArmed = false;
-  controlState.lastStart = {
-    reason,
-    requestedAt: Date.now(),
-    ...extra,
-  };
-  clearStartTimer();
-  controlLog('start-request', { reason, delayMs: CONTROL_CFG.startDelay, ...extra });
-  const delay = Math.max(0, CONTROL_CFG.startDelay);
-  controlState.startTimer = setTimeout(() => {
-    controlState.startTimer = null;
-    controlLog('start-dispatch', { reason, delayMs: delay, ...extra });
-    serialPort.write('START\n', (err) => {
-      if (err) {
-        controlLog('start-error', { reason, error: err.message });
-      }
-    });
-  }, delay);
-  return true;
+  controlLog('schedule-update', { source, enabled: result.schedule.enabled });
+  refreshAvailability('schedule-update');
+  return result;
 }
 
-function requestStop(reason, extra = {}) {
-  if (!serialPort) {
-    controlLog('stop-skipped', { reason: 'no-serial', requestedBy: reason, ...extra });
-    return false;
+function setMaintenance(input, source) {
+  if (!input || typeof input.enabled !== 'boolean') {
+    return { ok: false, errors: ['enabled: expected true or false'] };
   }
-  if (controlState.stopPending) {
-    return false;
+  if (input.message != null && typeof input.message !== 'string') {
+    return { ok: false, errors: ['message: expected a string'] };
   }
-  clearStartTimer();
-  controlState.stopPending = true;
-  controlLog('stop-request', { reason, ...extra });
-  serialPort.write('STOP\n', (err) => {
-    if (err) {
-      controlLog('stop-error', { reason, error: err.message });
+  availability.maintenance = input.enabled
+    ? {
+      enabled: true,
+      message: input.message ? input.message.slice(0, 200) : null,
+      since: Date.now(),
+      by: source,
     }
-  });
-  return true;
-}
-
-function handleSequenceLog(seq) {
-  if (!seq || !seq.action) return;
-  const now = Date.now();
-  switch (seq.action) {
-    case 'START':
-      controlState.sequenceActive = true;
-      controlState.startPending = false;
-      controlState.stopPending = false;
-      controlState.leaveCandidateSince = null;
-      clearStartTimer();
-      controlLog('sequence-started', {
-        time_ms: seq.time_ms,
-        reason: controlState.lastStart ? controlState.lastStart.reason : null,
-        queued: controlState.lastStart,
-        slots: seq.slots,
-      });
-      break;
-    case 'END':
-      controlState.sequenceActive = false;
-      controlState.stopPending = false;
-      controlState.leaveCandidateSince = null;
-      clearStartTimer();
-      controlState.lastStart = null;
-      controlLog('sequence-ended', { time_ms: seq.time_ms, at: now });
-      break;
-    case 'CANCEL':
-      controlState.sequenceActive = false;
-      controlState.startPending = false;
-      controlState.stopPending = false;
-      controlState.leaveCandidateSince = null;
-      controlState.lastStart = null;
-      clearStartTimer();
-      controlLog('sequence-cancelled', { time_ms: seq.time_ms, reason: seq.reason || null });
-      break;
-    default:
-      break;
-  }
-}
-
-function handleStatus(status) {
-  if (!status) return;
-  const now = Date.now();
-  controlState.lastStatus = status;
-
-  const confidence = typeof status.confidence === 'number' && !Number.isNaN(status.confidence)
-    ? status.confidence
-    : undefined;
-  const prox = typeof status.prox === 'number' && !Number.isNaN(status.prox) ? status.prox : undefined;
-  const readyValue = typeof status.ready === 'boolean'
-    ? status.ready
-    : (typeof status.ready === 'number' && !Number.isNaN(status.ready) ? status.ready >= 1 : undefined);
-  const readyOk = readyValue === undefined ? true : readyValue;
-
-  const runningOrPending = controlState.sequenceActive || controlState.startPending;
-
-  if (runningOrPending) {
-    if (!controlState.stopPending) {
-      const confidenceLow = confidence !== undefined && confidence <= CONTROL_CFG.confExit;
-      const proxLow = prox !== undefined && prox <= CONTROL_CFG.proxExit;
-      if (confidenceLow && proxLow) {
-        if (controlState.leaveCandidateSince == null) {
-          controlState.leaveCandidateSince = now;
-        } else if (now - controlState.leaveCandidateSince >= CONTROL_CFG.leaveMs) {
-          requestStop('person-left', { confidence, prox });
-        }
-      } else {
-        controlState.leaveCandidateSince = null;
-      }
-    } else {
-      controlState.leaveCandidateSince = null;
-    }
-    return;
+    : { enabled: false, message: null, since: null, by: null };
+  try {
+    settingsStore.update('maintenance', availability.maintenance);
+  } catch (err) {
+    controlLog('config-save-failed', { file: SETTINGS_FILE, error: err.message });
+  }
+  controlLog(input.enabled ? 'maintenance-on' : 'maintenance-off', { source, message: availability.maintenance.message });
+  if (input.enabled) {
+    rigs.forEach(({ controller }) => {
+      const { sequenceActive, startPending } = controller.snapshot();
+      if (sequenceActive || startPending) controller.requestStop('maintenance', { source });
+    });
   }
+  refreshAvailability('maintenance');
+  return { ok: true, errors: [] };
+}
 
-  controlState.leaveCandidateSince = null;
+// Maintenance blocks every start; outside opening hours only auto-start is held
+// back so staff can still run the rig by hand.
+function availabilityPolicy(reason) {
+  if (availability.mode === 'maintenance') {
+    return { rule: 'maintenance', retryInMs: null, retryAt: null };
+  }
+  if (availability.mode === 'closed' && reason === 'auto-confidence') {
+    const retryAt = availability.nextChangeAt;
+    return { rule: 'closed', retryInMs: retryAt != null ? Math.max(0, retryAt - Date.now()) : null, retryAt };
+  }
+  return null;
+}
 
-  if (controlState.stopPending) {
-    return;
+// Poem content packs (lib/content.js). One pack is active for every rig; a
+// sequence that is already running keeps the pack it started with.
+const CONTENT_DIR = process.env.CONTENT_DIR
+  ? path.resolve(process.env.CONTENT_DIR)
+  : path.join(__dirname, 'content');
+const contentLibrary = createContentLibrary({
+  dir: CONTENT_DIR,
+  log: (event, info) => controlLog(event, info),
+  onChange: () => broadcast({ type: 'content-packs', ts: Date.now(), cause: 'reload', ...contentPayload() }),
+});
+let activePackId = null;
+// Locales a visitor screen shows unless its URL asks for others (?lang=ja,de).
+const DISPLAY_LOCALES = (process.env.DISPLAY_LOCALES || '')
+  .split(',')
+  .map((locale) => locale.trim())
+  .filter(Boolean);
+try {
+  contentLibrary.load();
+} catch (err) {
+  console.error(`[ERR] Could not read content packs in ${CONTENT_DIR}: ${err.message}`);
+  process.exit(1);
+}
+{
+  const wanted = settingsStore.get('content').pack || process.env.CONTENT_PACK || 'default';
+  const fallback = contentLibrary.list().find((entry) => entry.usable);
+  if (contentLibrary.get(wanted)) {
+    activePackId = wanted;
+  } else if (fallback) {
+    console.warn(`[WARN] Content pack "${wanted}" is not available; using "${fallback.id}".`);
+    activePackId = fallback.id;
+  } else {
+    console.error(`[ERR] No usable content pack in ${CONTENT_DIR}`);
+    process.exit(1);
   }
+}
 
-  if (!controlState.autoArmed) {
-    if (status.state === 'IDLE') {
-      controlState.autoArmed = true;
-      controlLog('auto-rearm', { reason: 'state-idle' });
-    } else if (confidence !== undefined && confidence <= CONTROL_CFG.confRearm) {
-      controlState.autoArmed = true;
-      controlLog('auto-rearm', { reason: 'confidence-drop', confidence });
-    }
+function activePack() {
+  return contentLibrary.get(activePackId);
+}
+
+// Display settings of the active pack's locales (status lines and fonts);
+// the phrase tables stay on the server.
+function contentPayload() {
+  const { name, version, locales } = activePack();
+  const display = {};
+  Object.entries(locales).forEach(([locale, { status, font }]) => {
+    display[locale] = { status, font };
+  });
+  return { active: activePackId, name, version, locales: display, packs: contentLibrary.list() };
+}
+
+function selectContentPack(id, source) {
+  if (typeof id !== 'string' || !contentLibrary.get(id)) {
+    controlLog('content-pack-rejected', { source, pack: id });
+    return { ok: false, errors: [`pack: "${id}" is not a usable content pack`] };
+  }
+  activePackId = id;
+  try {
+    settingsStore.update('content', { pack: id });
+  } catch (err) {
+    controlLog('config-save-failed', { file: SETTINGS_FILE, error: err.message });
   }
+  controlLog('content-pack-select', { source, pack: id, version: activePack().version });
+  broadcast({ type: 'content-packs', ts: Date.now(), cause: 'select', ...contentPayload() });
+  return { ok: true, errors: [] };
+}
 
-  if (
-    controlState.autoArmed &&
-    status.state === 'PRESENCE' &&
-    readyOk &&
-    confidence !== undefined &&
-    confidence >= CONTROL_CFG.confStart
-  ) {
-    requestStart('auto-confidence', { confidence, time_ms: status.time_ms, ready: readyValue });
+// Volumes and the mute switch for the visitor screens' sound (lib/audio.js),
+// shared by every rig.
+let audioSettings = DEFAULT_AUDIO;
+{
+  const saved = settingsStore.get('audio');
+  if (Object.keys(saved).length) {
+    const { ok, audio, errors } = validateAudioPatch(saved);
+    if (ok) audioSettings = audio;
+    else console.warn(`[WARN] Ignoring saved audio settings in ${SETTINGS_FILE}: ${errors.join('; ')}`);
   }
 }
 
-async function pickSerialPort() {
-  // If env provided, use it directly
-  if (SERIAL_HINT) {
-    return SERIAL_HINT;
+function updateAudio(input, source) {
+  const result = validateAudioPatch(input, audioSettings);
+  if (!result.ok) {
+    controlLog('audio-rejected', { source, errors: result.errors });
+    return result;
   }
-  const ports = await SerialPort.list();
-  // Try to choose a likely ESP32 device
-  const preferred = ports.find((p) => {
-    const id = `${p.path} ${p.manufacturer || ''} ${p.friendlyName || ''}`.toLowerCase();
-    return id.includes('esp') || id.includes('seeed') || id.includes('silicon labs') || id.includes('wch');
-  });
-  return (preferred || ports[0] || {}).path;
+  audioSettings = result.audio;
+  try {
+    settingsStore.update('audio', audioSettings);
+  } catch (err) {
+    controlLog('config-save-failed', { file: SETTINGS_FILE, error: err.message });
+  }
+  controlLog('audio-update', { source, ...audioSettings });
+  broadcast({ type: 'audio-settings', ts: Date.now(), source, ...audioSettings });
+  return result;
 }
 
 const isWSL = (() => {
@@ -506,6 +902,8 @@ function launchFullscreenBrowser(url) {
     '--disable-infobars',
     '--no-first-run',
     '--no-default-browser-check',
+    // Nobody clicks a kiosk screen, so let it play sound without a gesture.
+    '--autoplay-policy=no-user-gesture-required',
   ];
   if (profile && profile.windows) {
     const profileArg = profile.windows.includes(' ')
@@ -539,95 +937,93 @@ function launchFullscreenBrowser(url) {
   }
 }
 
-async function start() {
-  const portPath = await pickSerialPort();
-  if (!portPath) {
-    console.error('No serial ports found. Update SERIAL_PORT in .env to your device path.');
-  } else {
-    console.log(`Opening serial: ${portPath} @ ${BAUD}`);
-  }
-
-  let serial;
-  let buffer = '';
-  if (portPath) {
-    serial = new SerialPort({ path: portPath, baudRate: BAUD });
-    serialPort = serial;
-    controlLog('serial-open', { port: portPath, baud: BAUD });
-    if (CAPTURE_MODE) {
-      serial.write('CAPTURE 1\n');
-      controlLog('capture-enabled', { file: captureFilePath });
-    } else {
-      serial.write('CAPTURE 0\n');
-    }
-
-    serial.on('error', (err) => {
-      console.error('Serial error:', err.message);
-      controlLog('serial-error', { error: err.message });
-    });
-
-    serial.on('close', () => {
-      controlLog('serial-close', {});
-      serialPort = null;
-      clearStartTimer();
-    });
+RIG_CONFIGS.forEach((rigConfig, idx) => {
+  const rig = createRig({
+    id: rigConfig.id,
+    name: rigConfig.name,
+    config: rigConfig.control,
+    serialPort: rigConfig.serialPort,
+    baud: rigConfig.baud,
+    // Scanning for "an ESP" only makes sense when there is one board to find.
+    allowScan: RIG_CONFIGS.length === 1,
+    mode: HISTORY_SOURCE,
+    simulate: { scenario: SIMULATE_SCENARIO, seed: Date.now() + idx },
+    replay: { file: REPLAY_FILE, speed: REPLAY_SPEED, loop: REPLAY_LOOP },
+    captures: captureStore,
+    capture: CAPTURE_MODE,
+    captureFile: rigConfig.captureFile,
+    retry: { minMs: SERIAL_RETRY_MIN_MS, maxMs: SERIAL_RETRY_MAX_MS },
+    historyStore,
+    startPolicy: availabilityPolicy,
+    contentPack: activePack,
+    log: (event, info) => controlLog(event, info, rigConfig.id),
+    broadcast: (obj) => broadcast(obj, rigConfig.id),
+    // Raw lines go everywhere with --debug, otherwise only to serial consoles.
+    broadcastRaw: (obj) => broadcast(obj, rigConfig.id, (ws) => DEBUG_MODE || ws.rawLines),
+    observeLine: (parsed) => metrics.observeLine(parsed, rigConfig.id),
+  });
+  rigs.set(rig.id, rig);
+  metrics.addRig(rig.id);
+});
+defaultRig = rigs.get(RIG_CONFIGS[0].id);
 
-    serial.on('data', (chunk) => {
-      buffer += chunk.toString('utf8');
-      let idx;
-      while ((idx = buffer.indexOf('\n')) >= 0) {
-        const line = buffer.slice(0, idx).trim();
-        buffer = buffer.slice(idx + 1);
-        if (!line) continue;
-        if (CAPTURE_MODE) {
-          writeCaptureLine(line);
-        }
-        broadcastDebugLine(line);
-        const blink = parseBlinkLine(line);
-        if (blink) {
-          broadcast({ type: 'blink-event', ...blink });
-          continue;
-        }
-        const status = parseStatusLine(line);
-        if (status) {
-          handleStatus(status);
-          broadcast({ type: 'status', ...status });
-          continue;
-        }
-        const seq = parseSequenceLine(line);
-        if (seq) {
-          handleSequenceLog(seq);
-          broadcast({ type: 'sequence-log', ...seq });
-          broadcast({ type: 'esp-log', text: line });
-          continue;
-        }
-        const sample = parseSampleLine(line);
-        if (sample) {
-          broadcast({ type: 'sample', ...sample });
-          continue;
-        }
-        if (/^ERR/i.test(line)) {
-          broadcast({ type: 'esp-log', text: line });
-        }
-      }
-      // Safety: avoid unbounded buffer
-      if (buffer.length > 4096) buffer = buffer.slice(-2048);
-    });
+// Clients pick a rig with /ws?rig=<id>; unknown or missing ids get the
+// first rig, and hello says which one they are on.
+function rigForRequest(request) {
+  let requested = null;
+  try {
+    requested = new URL(request.url, 'http://localhost').searchParams.get('rig');
+  } catch (err) {
+    requested = null;
   }
+  return { requested, rig: (requested && rigs.get(requested)) || defaultRig };
+}
+
+async function start() {
+  refreshAvailability('startup');
+  contentLibrary.watch();
+  // Captures left without a finished sidecar are counted once, in the
+  // background, so listing them later only reads the sidecars.
+  captureStore.list().catch((err) => console.warn(`[WARN] Could not scan ${CAPTURE_DIR}: ${err.message}`));
+  await Promise.all(Array.from(rigs.values()).map((rig) => rig.open()));
 
   wss.on('connection', (ws, request) => {
+    const { requested, rig } = rigForRequest(request);
+    ws.rig = rig.id;
     controlLog('ws-client-connect', {
+      watching: rig.id,
       remote: request && request.socket ? request.socket.remoteAddress : null,
       userAgent: request && request.headers ? request.headers['user-agent'] : null,
     });
+    if (requested && requested !== rig.id) {
+      console.warn(`[WARN] WebSocket client asked for unknown rig "${requested}"; serving rig ${rig.id}.`);
+    }
+    const { controller } = rig;
     ws.send(JSON.stringify({
       type: 'hello',
-      baud: BAUD,
-      serial: !!serialPort,
-      control: CONTROL_CFG,
+      rig: rig.id,
+      rigName: rig.name,
+      rigs: Array.from(rigs.values()).map(({ id, name }) => ({ id, name })),
+      baud: rig.baud,
+      serial: rig.serialUp(),
+      serialState: rig.serialState(),
+      control: rig.config,
+      controlFields: CONTROL_FIELDS,
       debug: DEBUG_MODE,
-      capture: CAPTURE_MODE,
-      captureFile: captureFilePath,
+      capture: rig.captureStatus(),
       fullscreen: FULLSCREEN_MODE,
+      replay: rig.replayStatus(),
+      simulate: rig.simulateScenario(),
+      availability: availabilityPayload(),
+      firmwareParams: rig.firmwareParams(),
+      firmwareParamFields: FIRMWARE_PARAMS,
+      consoleCommands: CONSOLE_COMMANDS,
+      message: rig.message(),
+      content: contentPayload(),
+      displayLocales: DISPLAY_LOCALES.length ? DISPLAY_LOCALES : null,
+      audio: audioSettings,
+      audioCues: AUDIO_CUES,
+      sequenceTiming: { frames: SEQ_FRAMES, frameSlots: FRAME_SLOTS, slotMs: SLOT_DURATION_MS, leadMs: SEQUENCE_LEAD_MS },
     }));
 
     ws.on('message', (raw) => {
@@ -642,13 +1038,67 @@ async function start() {
       if (!msg || !msg.type) return;
       switch (msg.type) {
         case 'start-sequence':
-          if (!requestStart('manual-ui', { from: 'ws' })) {
-            ws.send(JSON.stringify({ type: 'esp-log', text: 'INFO start request ignored (busy or unavailable)' }));
+          if (!controller.requestStart('manual-ui', { from: 'ws' })) {
+            ws.send(JSON.stringify({ type: 'esp-log', rig: rig.id, text: 'INFO start request ignored (busy or unavailable)' }));
           }
           break;
         case 'stop-sequence':
-          if (!requestStop('manual-ui', { from: 'ws' })) {
-            ws.send(JSON.stringify({ type: 'esp-log', text: 'INFO stop request ignored (not running)' }));
+          if (!controller.requestStop('manual-ui', { from: 'ws' })) {
+            ws.send(JSON.stringify({ type: 'esp-log', rig: rig.id, text: 'INFO stop request ignored (not running)' }));
+          }
+          break;
+        case 'update-config': {
+          const result = updateControlConfig(rig, msg.config, 'ws');
+          if (!result.ok) {
+            ws.send(JSON.stringify({ type: 'config-error', rig: rig.id, errors: result.errors }));
+          }
+          break;
+        }
+        case 'set-maintenance': {
+          const result = setMaintenance(msg, 'ws');
+          if (!result.ok) ws.send(JSON.stringify({ type: 'availability-error', rig: rig.id, errors: result.errors }));
+          break;
+        }
+        case 'select-content-pack': {
+          const result = selectContentPack(msg.pack, 'ws');
+          if (!result.ok) ws.send(JSON.stringify({ type: 'content-error', rig: rig.id, errors: result.errors }));
+          break;
+        }
+        case 'update-schedule': {
+          const result = updateSchedule(msg.schedule, 'ws');
+          if (!result.ok) ws.send(JSON.stringify({ type: 'availability-error', rig: rig.id, errors: result.errors }));
+          break;
+        }
+        case 'update-audio': {
+          const result = updateAudio(msg.audio, 'ws');
+          if (!result.ok) ws.send(JSON.stringify({ type: 'audio-error', rig: rig.id, errors: result.errors }));
+          break;
+        }
+        case 'get-firmware-params':
+          rig.readFirmwareParams().then((result) => {
+            if (!result.ok) ws.send(JSON.stringify({ type: 'firmware-params-error', rig: rig.id, errors: [`firmware did not answer (${result.failure})`] }));
+          }).catch((err) => {
+            ws.send(JSON.stringify({ type: 'firmware-params-error', rig: rig.id, errors: [err.message] }));
+          });
+          break;
+        case 'set-firmware-params':
+          rig.setFirmwareParams(msg.params, 'ws').then((result) => {
+            if (!result.ok) ws.send(JSON.stringify({ type: 'firmware-params-error', rig: rig.id, errors: result.errors, params: result.params }));
+          }).catch((err) => {
+            ws.send(JSON.stringify({ type: 'firmware-params-error', rig: rig.id, errors: [err.message] }));
+          });
+          break;
+        case 'subscribe-raw':
+          ws.rawLines = Boolean(msg.enabled);
+          break;
+        case 'serial-command': {
+          const result = rig.sendConsoleCommand(msg.command, 'ws');
+          ws.send(JSON.stringify({ type: 'serial-command-result', rig: rig.id, input: msg.command, ...result }));
+          break;
+        }
+        case 'replay-control':
+          if (!rig.handleReplayControl(msg)) {
+            ws.send(JSON.stringify({ type: 'esp-log', rig: rig.id, text: 'INFO replay control ignored (not replaying)' }));
           }
           break;
         default:
@@ -658,6 +1108,7 @@ async function start() {
 
     ws.on('close', () => {
       controlLog('ws-client-close', {
+        watching: rig.id,
         remote: request && request.socket ? request.socket.remoteAddress : null,
       });
     });
@@ -665,33 +1116,40 @@ async function start() {
 
   server.listen(HTTP_PORT, () => {
     console.log(`HTTP: http://localhost:${HTTP_PORT}`);
+    rigs.forEach((rig) => rig.play());
     if (FULLSCREEN_MODE) {
       launchFullscreenBrowser(`http://localhost:${HTTP_PORT}`);
     }
   });
 }
 
-controlLog('controller-init', { config: CONTROL_CFG, debug: DEBUG_MODE });
+controlLog('controller-init', {
+  rigs: RIG_CONFIGS.map(({ id, serialPort, baud, control }) => ({ id, serialPort, baud, config: control })),
+  rigsFile: RIGS_FILE,
+  settingsFile: SETTINGS_FILE,
+  historyFile: HISTORY_FILE,
+  contentPack: activePackId,
+  debug: DEBUG_MODE,
+  replay: REPLAY_MODE,
+  simulate: SIMULATE_MODE ? SIMULATE_SCENARIO : null,
+});
 
 start().catch((e) => {
   console.error(e);
   process.exit(1);
 });
 
+// Gzip keeps the tail of a capture in memory until the stream ends, so exit
+// waits (briefly) for every file to be finished.
 function shutdownCapture() {
-  if (captureStream) {
-    captureStream.end();
-    captureStream = null;
-    console.log('[CAPTURE] stream closed');
-  }
+  const closing = Promise.all(Array.from(rigs.values()).map((rig) => rig.closeCapture()));
+  const timeout = new Promise((resolve) => setTimeout(resolve, 2000).unref());
+  return Promise.race([closing, timeout]);
 }
 
-process.on('exit', shutdownCapture);
 process.on('SIGINT', () => {
-  shutdownCapture();
-  process.exit(0);
+  shutdownCapture().then(() => process.exit(0));
 });
 process.on('SIGTERM', () => {
-  shutdownCapture();
-  process.exit(0);
+  shutdownCapture().then(() => process.exit(0));
 });
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSequence, RESPONSE_WINDOW_MS } = require('../lib/accuracy');
+const { SEQ_FRAMES, FRAME_DURATION_MS, SLOT_DURATION_MS } = require('../lib/protocol');
+
+const START_MS = 50000;
+const RUN_MS = SEQ_FRAMES * FRAME_DURATION_MS;
+const PLAN = new Array(SEQ_FRAMES).fill(1);
+
+function puffAt(frame, slot = PLAN[frame]) {
+  return frame * FRAME_DURATION_MS + slot * SLOT_DURATION_MS;
+}
+
+function record(blinks, extra = {}) {
+  return {
+    firmware: { startMs: START_MS, endMs: START_MS + RUN_MS + 100, leadMs: 200 },
+    plannedSlots: PLAN,
+    blinks: blinks.map((relativeMs) => ({ relativeMs })),
+    ...extra,
+  };
+}
+
+test('records without a SEQ START time or a full plan are not scored', () => {
+  assert.equal(analyzeSequence({ plannedSlots: PLAN, blinks: [] }), null);
+  assert.equal(analyzeSequence({ firmware: { startMs: START_MS }, plannedSlots: [1, 2], blinks: [] }), null);
+});
+
+test('a blink after every puff scores a perfect run', () => {
+  const report = analyzeSequence(record(PLAN.map((slot, frame) => puffAt(frame) + 150)));
+  assert.equal(report.framesScored, SEQ_FRAMES);
+  assert.equal(report.hits, SEQ_FRAMES);
+  assert.equal(report.hitRate, 1);
+  assert.deepEqual(report.latency, { meanMs: 150, medianMs: 150, minMs: 150, maxMs: 150 });
+  assert.deepEqual(report.spurious, { beforeStart: 0, inFrames: 0, afterEnd: 0, total: 0 });
+  assert.equal(report.chanceHitRate, 0);
+  assert.equal(report.syncScore, 1);
+});
+
+test('blinks outside a response window are spurious, by where they fall', () => {
+  const report = analyzeSequence(record([
+    -100,
+    puffAt(0) + 100,
+    puffAt(1) + 300,
+    puffAt(2, 3),
+    puffAt(3) + RESPONSE_WINDOW_MS,
+    RUN_MS + 50,
+  ]));
+  assert.equal(report.hits, 2);
+  assert.equal(report.misses, SEQ_FRAMES - 2);
+  assert.equal(report.hitRate, 0.13);
+  assert.deepEqual(report.latency, { meanMs: 200, medianMs: 200, minMs: 100, maxMs: 300 });
+  assert.deepEqual(report.spurious, { beforeStart: 1, inFrames: 2, afterEnd: 1, total: 4 });
+  assert.equal(report.blinkCount, 6);
+  // hit rate 2/16, precision 2/6
+  assert.equal(report.syncScore, 0.18);
+  assert.equal(report.chanceHitRate, 0.06);
+  assert.equal(report.frames[2].blinks, 1);
+  assert.equal(report.frames[2].hit, false);
+});
+
+test('a cancelled run is only scored on the frames it reached', () => {
+  const report = analyzeSequence(record([puffAt(0) + 100], {
+    firmware: { startMs: START_MS, endMs: START_MS + 2 * FRAME_DURATION_MS, leadMs: 200 },
+  }));
+  assert.equal(report.framesScored, 2);
+  assert.equal(report.hits, 1);
+  assert.equal(report.hitRate, 0.5);
+  assert.deepEqual(report.frames.map((frame) => frame.scored).slice(0, 3), [true, true, false]);
+});
+
+test('blinks may carry firmware time instead of an offset', () => {
+  const report = analyzeSequence({
+    firmware: { startMs: START_MS },
+    plannedSlots: PLAN,
+    detectedSlots: [1, 1, 0, ...new Array(SEQ_FRAMES - 3).fill(null)],
+    blinks: [{ time_ms: START_MS + puffAt(0) + 50 }, { time_ms: START_MS + puffAt(1) + 50 }],
+  });
+  // Without SEQ END the run is taken to end at the last blink, so frame 1's
+  // window is still open.
+  assert.equal(report.framesScored, 1);
+  assert.equal(report.hits, 1);
+  assert.equal(report.frames[1].hit, true);
+  assert.equal(report.decodedMatches, 2);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAudioPatch, DEFAULT_AUDIO } = require('../lib/audio');
+
+test('a patch changes only what it names', () => {
+  const result = validateAudioPatch({ volumes: { drone: 0 } });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.audio, { muted: false, volumes: { ...DEFAULT_AUDIO.volumes, drone: 0 } });
+  assert.equal(DEFAULT_AUDIO.volumes.drone, 0.3);
+});
+
+test('a patch applies on top of the current settings', () => {
+  const current = { muted: true, volumes: { ...DEFAULT_AUDIO.volumes, blink: 1 } };
+  const result = validateAudioPatch({ muted: false }, current);
+  assert.deepEqual(result.audio, { muted: false, volumes: current.volumes });
+  assert.notEqual(result.audio.volumes, current.volumes);
+});
+
+test('bad values are listed and nothing is applied', () => {
+  const result = validateAudioPatch({
+    muted: 'yes',
+    volumes: { blink: 1.5, puff: -0.1, drone: '0.2', bell: 0.5, typing: 0.1 },
+    pitch: 2,
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.audio, null);
+  assert.deepEqual(result.errors, [
+    'muted: expected true or false',
+    'volumes.blink: expected a number between 0 and 1',
+    'volumes.puff: expected a number between 0 and 1',
+    'volumes.drone: expected a number between 0 and 1',
+    'volumes.bell: expected one of blink/puff/drone/typing',
+    'pitch: not an audio setting',
+  ]);
+});
+
+test('a patch must be an object', () => {
+  [null, [], 'mute', { volumes: [0.5] }].forEach((patch) => {
+    assert.equal(validateAudioPatch(patch).ok, false);
+  });
+});
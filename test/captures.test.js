@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCaptureStore, validateCaptureNotes, CAPTURE_NAME } = require('../lib/captures');
+const { loadCapture } = require('../lib/replay');
+
+function tempStore(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-captures-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createCaptureStore({ dir, ...options });
+}
+
+test('captures are named after the rig inside the capture folder', async () => {
+  const store = tempStore();
+  const writer = store.start('a');
+  writer.write(1762610531000, 'STATUS time_ms=1000 | state=IDLE | confidence=0.00 | blinks=0');
+  const { name, file } = writer.status();
+  await writer.close();
+  assert.match(name, /^capture-\d{4}-\d{2}-\d{2}T[\d-]+Z-a\.log\.gz$/);
+  assert.ok(CAPTURE_NAME.test(name));
+  assert.equal(path.dirname(file), store.dir);
+  assert.equal(store.find(name), file);
+});
+
+test('a captureFile only names the files; they still land in the folder', async () => {
+  const store = tempStore();
+  const named = store.start('b', { label: 'captures/b.log' });
+  const escaped = store.start('c', { label: '../../etc/front door.log.gz' });
+  const names = [named.status().name, escaped.status().name];
+  await Promise.all([named.close(), escaped.close()]);
+  assert.match(names[0], /-b\.log\.gz$/);
+  assert.match(names[1], /-front-door\.log\.gz$/);
+  names.forEach((name) => assert.equal(path.dirname(store.find(name)), store.dir));
+});
+
+test('starting again never overwrites an earlier capture', async () => {
+  const store = tempStore();
+  const names = [];
+  for (let i = 0; i < 3; i += 1) {
+    const writer = store.start('a', { label: 'same' });
+    writer.write(1762610531000 + i, `STATUS run ${i}`);
+    names.push(writer.status().name);
+    await writer.close();
+  }
+  assert.equal(new Set(names).size, 3);
+  names.forEach((name, i) => {
+    assert.deepEqual(loadCapture(store.find(name)).map((entry) => entry.line), [`STATUS run ${i}`]);
+  });
+});
+
+test('a capture rotates into numbered parts that keep the notes', async () => {
+  const store = tempStore({ rotateBytes: 200 });
+  const writer = store.start('a');
+  writer.annotate({ notes: 'opening night', tags: ['venue'] });
+  const first = writer.status().name;
+  for (let i = 0; i < 12; i += 1) {
+    writer.write(1762610531000 + i * 100, `STATUS time_ms=${i * 100} | state=IDLE | confidence=0.00 | blinks=0`);
+  }
+  writer.write(1762610532500, 'SEQ START time_ms=2500 | slots=0,1,0,2,1,0,2,3,2,2,1,2,1,0,0,2 | lead_ms=200');
+  await writer.close();
+
+  const captures = (await store.list()).filter((capture) => capture.session === first.replace(/\.log\.gz$/, ''));
+  assert.ok(captures.length >= 3);
+  const byPart = captures.sort((a, b) => a.part - b.part);
+  assert.equal(byPart[0].name, first);
+  byPart.slice(1).forEach((capture) => {
+    assert.equal(capture.name, first.replace(/\.log\.gz$/, `.${capture.part}.log.gz`));
+    assert.equal(capture.notes, 'opening night');
+    assert.deepEqual(capture.tags, ['venue']);
+  });
+  assert.equal(byPart.reduce((sum, capture) => sum + capture.lines, 0), 13);
+  assert.equal(byPart.reduce((sum, capture) => sum + capture.sequences, 0), 1);
+  byPart.forEach((capture) => assert.equal(capture.active, false));
+});
+
+test('captures without a sidecar are counted by reading them', async () => {
+  const store = tempStore();
+  const writer = store.start('a');
+  writer.write(1762610531000, 'STATUS time_ms=1000 | state=IDLE | confidence=0.00 | blinks=0');
+  writer.write(1762610532000, 'SEQ START time_ms=2000 | slots=0,1,0,2,1,0,2,3,2,2,1,2,1,0,0,2');
+  const { name, file } = writer.status();
+  await writer.close();
+  fs.rmSync(`${file}.json`);
+  const [capture] = await store.list();
+  assert.equal(capture.name, name);
+  assert.equal(capture.lines, 2);
+  assert.equal(capture.sequences, 1);
+  assert.equal(capture.durationMs, 1000);
+  assert.equal(JSON.parse(fs.readFileSync(`${file}.json`, 'utf8')).lines, 2);
+});
+
+test('a capture cut short is counted up to where it ends', async () => {
+  const store = tempStore();
+  const writer = store.start('a');
+  for (let i = 0; i < 50; i += 1) {
+    writer.write(1762610531000 + i * 100, `STATUS time_ms=${i * 100} | state=IDLE | confidence=0.00 | blinks=0`);
+  }
+  const { file } = writer.status();
+  await writer.close();
+  fs.rmSync(`${file}.json`);
+  fs.truncateSync(file, fs.statSync(file).size - 20);
+  const [capture] = await store.list();
+  assert.equal(capture.error, undefined);
+  assert.ok(capture.lines > 0 && capture.lines <= 50);
+});
+
+test('notes and tags are validated', () => {
+  assert.deepEqual(validateCaptureNotes({ notes: ' busy ', tags: 'a, b,a' }).values, { notes: 'busy', tags: ['a', 'b'] });
+  assert.deepEqual(validateCaptureNotes({ tags: ['no spaces'] }).errors, [
+    'tags: no spaces (letters, digits, _ - : and at most 32 characters)',
+  ]);
+  assert.deepEqual(validateCaptureNotes({ name: 'x' }).errors, ['name: not an editable field']);
+  assert.equal(validateCaptureNotes(null).ok, false);
+});
+
+test('a capture being written cannot be deleted', async () => {
+  const store = tempStore();
+  const writer = store.start('a');
+  const { name } = writer.status();
+  assert.equal(store.remove(name).busy, true);
+  await writer.close();
+  assert.equal(store.remove(name).ok, true);
+  assert.equal(store.find(name), null);
+  assert.equal(store.remove(name).notFound, true);
+  assert.equal(store.find('../etc/passwd'), null);
+});
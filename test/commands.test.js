@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCommandTracker, validateConsoleCommand, REPLIES } = require('../lib/commands');
+const { parseLine } = require('../lib/protocol');
+
+// A tracker on mocked timers, with every write and log entry kept.
+function setup(t, options = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const written = [];
+  const events = [];
+  const tracker = createCommandTracker({
+    write: (text, cb) => {
+      written.push(text);
+      cb(null);
+    },
+    log: (event, info) => events.push({ event, ...info }),
+    getTimeoutMs: () => 1000,
+    getRetries: () => 1,
+    ...options,
+  });
+  return { tracker, written, events, names: () => events.map((entry) => entry.event) };
+}
+
+test('a reply from the expected list acknowledges the command', (t) => {
+  const { tracker, written, events } = setup(t);
+  const acks = [];
+  tracker.send('START', { onAck: (reply) => acks.push(reply) });
+  assert.deepEqual(tracker.list().map((entry) => entry.expect), [REPLIES.START]);
+  assert.equal(tracker.handleReply(parseLine('SEQ BUSY')), 'START');
+  assert.deepEqual(written, ['START\n']);
+  assert.deepEqual(acks, ['SEQ BUSY']);
+  assert.equal(events[0].event, 'command-ack');
+  assert.equal(tracker.isPending('START'), false);
+  t.mock.timers.tick(5000);
+  assert.equal(events.length, 1);
+});
+
+test('silence is retried, then reported as a failure', (t) => {
+  const { tracker, written, names } = setup(t);
+  const failures = [];
+  tracker.send('CAPTURE 1', { onFail: (reason) => failures.push(reason) });
+  t.mock.timers.tick(999);
+  assert.equal(written.length, 1);
+  t.mock.timers.tick(1);
+  assert.deepEqual(written, ['CAPTURE 1\n', 'CAPTURE 1\n']);
+  t.mock.timers.tick(1000);
+  assert.deepEqual(names(), ['command-timeout', 'command-retry', 'command-failed']);
+  assert.deepEqual(failures, ['timeout']);
+  assert.deepEqual(tracker.list(), []);
+});
+
+test('a reply meant for another command leaves this one pending', (t) => {
+  const { tracker, names } = setup(t);
+  tracker.send('CAPTURE 1');
+  assert.equal(tracker.handleReply(parseLine('CAPTURE OFF')), null);
+  assert.equal(tracker.handleReply(parseLine('SEQ END time_ms=1000')), null);
+  assert.equal(tracker.isPending('CAPTURE 1'), true);
+  assert.deepEqual(names(), []);
+  assert.equal(tracker.handleReply(parseLine('CAPTURE ON')), 'CAPTURE 1');
+});
+
+test('untracked commands are written once and never wait', (t) => {
+  const { tracker, written, names } = setup(t, { track: false });
+  tracker.send('START');
+  t.mock.timers.tick(5000);
+  assert.deepEqual(written, ['START\n']);
+  assert.deepEqual(tracker.list(), []);
+  assert.deepEqual(names(), []);
+});
+
+test('a reset fails every outstanding command', (t) => {
+  const { tracker, events } = setup(t);
+  tracker.send('START');
+  tracker.send('GET');
+  tracker.reset('firmware-reset');
+  assert.deepEqual(events.map((entry) => [entry.event, entry.command, entry.reason]), [
+    ['command-failed', 'START', 'firmware-reset'],
+    ['command-failed', 'GET', 'firmware-reset'],
+  ]);
+});
+
+test('console commands are normalised or refused', () => {
+  assert.deepEqual(validateConsoleCommand('  capture   1 '), { ok: true, command: 'CAPTURE 1', errors: [] });
+  assert.deepEqual(validateConsoleCommand('SET Puff_ms=80'), { ok: true, command: 'SET puff_ms=80', errors: [] });
+  assert.deepEqual(validateConsoleCommand('SET puff_ms=900').errors, ['puff_ms: must be between 10 and 400']);
+  assert.equal(validateConsoleCommand('').ok, false);
+  const refused = validateConsoleCommand('REBOOT');
+  assert.equal(refused.ok, false);
+  assert.equal(refused.command, null);
+  assert.match(refused.errors[0], /^REBOOT: not an allowed command/);
+});
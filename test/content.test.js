@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validatePack, createContentLibrary } = require('../lib/content');
+
+function tables(prefix) {
+  const lines = (name) => [0, 1, 2, 3].map((i) => `${prefix}${name}${i}`);
+  return {
+    intros: lines('i'),
+    moods: lines('m'),
+    bridges: lines('b'),
+    codas: lines('c'),
+    glitchNotes: lines('g'),
+  };
+}
+
+function packData(extra = {}) {
+  return { format: 1, name: 'Test', version: '1', locales: { en: tables(''), ko: tables('k') }, ...extra };
+}
+
+test('a valid pack fills status lines from "en", then the defaults', () => {
+  const data = packData();
+  data.locales.en.status = { closed: 'shut' };
+  data.locales.ko.status = { accepted: 'ok' };
+  const { ok, pack } = validatePack('test', data);
+  assert.equal(ok, true);
+  assert.equal(pack.locales.ko.status.closed, 'shut');
+  assert.equal(pack.locales.ko.status.accepted, 'ok');
+  assert.equal(pack.locales.ko.status.assessing, 'assessing host');
+});
+
+test('every table needs one line per slot', () => {
+  const data = packData();
+  data.locales.ko.moods = ['a', 'b', 'c'];
+  data.locales.ko.codas = ['a', 'b', 'c', ''];
+  delete data.locales.ko.bridges;
+  const result = validatePack('test', data);
+  assert.equal(result.ok, false);
+  assert.equal(result.pack, null);
+  assert.deepEqual(result.errors, [
+    'locales.ko.moods: expected 4 lines, got 3',
+    'locales.ko.bridges: missing',
+    'locales.ko.codas: every line must be non-empty text up to 400 characters',
+  ]);
+});
+
+test('a pack without "en" is refused', () => {
+  const result = validatePack('test', packData({ locales: { ko: tables('k') } }));
+  assert.deepEqual(result.errors, ['locales.en: missing']);
+});
+
+test('bad ids, formats and locale names are listed', () => {
+  const data = packData({ format: 2, version: null });
+  data.locales.Korean = tables('k');
+  assert.deepEqual(validatePack('Bad Name', data).errors, [
+    'file name must match /^[a-z0-9][a-z0-9_-]{0,31}$/ (got "Bad Name")',
+    'format: expected 1',
+    'version: expected a string or number',
+    'locales.Korean: locale ids look like "en", "ja" or "pt-BR"',
+  ]);
+  assert.deepEqual(validatePack('test', []).errors, ['expected a JSON object']);
+});
+
+test('a reloaded pack that stops validating keeps its last good version', { timeout: 5000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-content-'));
+  const file = path.join(dir, 'test.json');
+  fs.writeFileSync(file, JSON.stringify(packData()));
+  const events = [];
+  let changed;
+  const library = createContentLibrary({
+    dir,
+    log: (event, info) => events.push({ event, ...info }),
+    onChange: (id, entry) => changed(entry),
+  });
+  test.after(() => {
+    library.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  library.load();
+  library.watch();
+  assert.equal(library.get('test').version, '1');
+
+  const reloaded = new Promise((resolve) => { changed = resolve; });
+  const broken = packData({ version: '2' });
+  delete broken.locales.en;
+  fs.writeFileSync(file, JSON.stringify(broken));
+  const entry = await reloaded;
+  assert.deepEqual(entry.errors, ['locales.en: missing']);
+  assert.equal(library.get('test').version, '1');
+  assert.deepEqual(library.list()[0].errors, ['locales.en: missing']);
+  assert.equal(library.list()[0].usable, true);
+  assert.deepEqual(events, [{ event: 'content-pack-invalid', pack: 'test', errors: ['locales.en: missing'], keeping: '1' }]);
+});
@@ -0,0 +1,324 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createController } = require('../lib/controller');
+
+const CONFIG = {
+  confStart: 0.95,
+  confRearm: 0.8,
+  confExit: 0.4,
+  proxExit: 5,
+  leaveMs: 1000,
+  startDelay: 600,
+  minGapMs: 0,
+  maxPerHour: 100,
+  pumpBudgetMs: 3600000,
+};
+
+const PRESENT = { state: 'PRESENCE', confidence: 0.97, prox: 40, ready: 1 };
+const LEFT = { state: 'PRESENCE', confidence: 0.1, prox: 2 };
+const IDLE = { state: 'IDLE', confidence: 0.97, prox: 0 };
+
+// Timers only fire when the test moves the clock.
+function createFakeClock(start = 1000000) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId;
+      nextId += 1;
+      timers.set(id, { at: now + ms, fn });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    tick(ms) {
+      const to = now + ms;
+      for (;;) {
+        const due = Array.from(timers.entries())
+          .filter(([, timer]) => timer.at <= to)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        due[1].fn();
+      }
+      now = to;
+    },
+  };
+}
+
+function setup(overrides = {}) {
+  const clock = createFakeClock();
+  const sent = [];
+  const events = [];
+  const controller = createController({
+    config: { ...CONFIG, ...overrides },
+    clock,
+    send: (command, handlers = {}) => sent.push({ command, ...handlers }),
+  });
+  controller.on('event', (event, info) => events.push({ event, info }));
+  return { clock, sent, events, controller };
+}
+
+// Steps: ['status', data], ['tick', ms], ['seq', action], ['ack', reply] and
+// ['fail', reason] answer the last command written, ['start', reason],
+// ['stop', reason], ['abort', reason, options].
+function run(harness, steps) {
+  const { clock, sent, controller } = harness;
+  steps.forEach(([step, arg, extra]) => {
+    switch (step) {
+      case 'status':
+        controller.handleStatus(arg);
+        break;
+      case 'tick':
+        clock.tick(arg);
+        break;
+      case 'seq':
+        controller.handleSequence({ action: arg, time_ms: clock.now() });
+        break;
+      case 'ack':
+        sent[sent.length - 1].onAck(arg);
+        break;
+      case 'fail':
+        sent[sent.length - 1].onFail(arg);
+        break;
+      case 'start':
+        controller.requestStart(arg);
+        break;
+      case 'stop':
+        controller.requestStop(arg);
+        break;
+      case 'abort':
+        controller.abort(arg, extra);
+        break;
+      default:
+        throw new Error(`unknown step ${step}`);
+    }
+  });
+}
+
+const STARTED = [['status', PRESENT], ['tick', 600], ['ack', 'SEQ START'], ['seq', 'START']];
+const FINISHED = [...STARTED, ['tick', 25800], ['seq', 'END']];
+
+const CASES = [
+  {
+    name: 'auto-starts on a confident PRESENCE after the start delay',
+    steps: STARTED,
+    state: 'running',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started'],
+  },
+  {
+    name: 'waits for the start delay before writing START',
+    steps: [['status', PRESENT], ['tick', 599]],
+    state: 'starting',
+    sent: [],
+    events: ['start-request'],
+  },
+  {
+    name: 'never starts while ready=0',
+    steps: [['status', { ...PRESENT, ready: 0 }], ['tick', 1000]],
+    state: 'armed',
+    sent: [],
+    events: [],
+  },
+  {
+    name: 'does not start below confStart',
+    steps: [['status', { ...PRESENT, confidence: 0.94 }], ['tick', 1000]],
+    state: 'armed',
+    sent: [],
+    events: [],
+  },
+  {
+    name: 'a stop during the start delay cancels START locally',
+    steps: [['status', PRESENT], ['tick', 300], ['stop', 'api'], ['tick', 1000]],
+    state: 'disarmed',
+    sent: [],
+    events: ['start-request', 'start-cancelled'],
+  },
+  {
+    name: 'a short low reading does not stop the run',
+    steps: [...STARTED, ['status', LEFT], ['tick', 999], ['status', LEFT]],
+    state: 'running',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started'],
+  },
+  {
+    name: 'a reading back above the exit levels restarts the leave hold',
+    steps: [...STARTED, ['status', LEFT], ['tick', 600], ['status', PRESENT], ['tick', 600], ['status', LEFT]],
+    state: 'running',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started'],
+  },
+  {
+    name: 'stops once the wearer has been gone for leaveMs',
+    steps: [...STARTED, ['status', LEFT], ['tick', 1000], ['status', LEFT]],
+    state: 'stopping',
+    sent: ['START', 'STOP'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'stop-request'],
+    check: ({ events }) => {
+      const stop = events.find((entry) => entry.event === 'stop-request').info;
+      assert.equal(stop.reason, 'person-left');
+      assert.equal(stop.heldMs, 1000);
+    },
+  },
+  {
+    name: 'SEQ CANCEL after a person-left stop leaves the controller disarmed',
+    steps: [...STARTED, ['status', LEFT], ['tick', 1000], ['status', LEFT], ['seq', 'CANCEL']],
+    state: 'disarmed',
+    sent: ['START', 'STOP'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'stop-request', 'sequence-cancelled'],
+  },
+  {
+    name: 'a finished auto run needs a re-arm before the next start',
+    steps: [...FINISHED, ['status', PRESENT], ['tick', 1000]],
+    state: 'disarmed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'sequence-ended'],
+  },
+  {
+    name: 're-arms when the firmware reports IDLE',
+    steps: [...FINISHED, ['status', IDLE]],
+    state: 'armed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'sequence-ended', 'auto-rearm'],
+    check: ({ events }) => assert.equal(events[events.length - 1].info.reason, 'state-idle'),
+  },
+  {
+    name: 're-arms on a confidence drop and starts again',
+    steps: [...FINISHED, ['status', { ...PRESENT, confidence: 0.5 }], ['status', PRESENT]],
+    state: 'starting',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'sequence-ended', 'auto-rearm', 'start-request'],
+    check: ({ events }) => {
+      const rearm = events.find((entry) => entry.event === 'auto-rearm').info;
+      assert.deepEqual(rearm, { reason: 'confidence-drop', confidence: 0.5, prox: 40, confRearm: 0.8 });
+    },
+  },
+  {
+    name: 'a run nobody requested leaves the controller armed',
+    steps: [['seq', 'START'], ['tick', 25800], ['seq', 'END']],
+    state: 'armed',
+    sent: [],
+    events: ['sequence-started', 'sequence-ended'],
+  },
+  {
+    name: 'an unanswered auto START rolls back to armed',
+    steps: [['status', PRESENT], ['tick', 600], ['fail', 'timeout']],
+    state: 'armed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'start-rollback'],
+    check: ({ events }) => {
+      assert.deepEqual(events[2].info, { reason: 'auto-confidence', failure: 'timeout', autoArmed: true });
+    },
+  },
+  {
+    name: 'an unanswered manual START from disarmed rolls back to disarmed',
+    steps: [['abort', 'test'], ['start', 'api'], ['tick', 600], ['fail', 'timeout']],
+    state: 'disarmed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'start-rollback'],
+    check: ({ events }) => assert.equal(events[2].info.autoArmed, false),
+  },
+  {
+    name: 'a START ack after the run began is not rolled back',
+    steps: [...STARTED, ['fail', 'timeout']],
+    state: 'running',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started'],
+  },
+  {
+    name: 'an unanswered STOP means the firmware was already idle',
+    steps: [...STARTED, ['stop', 'api'], ['fail', 'timeout']],
+    state: 'disarmed',
+    sent: ['START', 'STOP'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'stop-request', 'stop-rollback'],
+  },
+  {
+    name: 'a STOP that could not be written keeps the run going',
+    steps: [...STARTED, ['stop', 'api'], ['fail', 'write-error']],
+    state: 'running',
+    sent: ['START', 'STOP'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'stop-request', 'stop-rollback'],
+    check: ({ events }) => assert.equal(events[4].info.sequenceActive, true),
+  },
+  {
+    name: 'SEQ BUSY tracks the firmware run we did not see start',
+    steps: [['status', PRESENT], ['tick', 600], ['ack', 'SEQ BUSY'], ['fail', 'timeout']],
+    state: 'running',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'start-busy'],
+  },
+  {
+    name: 'the END of a busy run settles the controller',
+    steps: [['status', PRESENT], ['tick', 600], ['ack', 'SEQ BUSY'], ['seq', 'END']],
+    state: 'disarmed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'start-busy', 'sequence-ended'],
+  },
+  {
+    name: 'abort during a run reports it cancelled and disarms by default',
+    steps: [...STARTED, ['abort', 'firmware-reset']],
+    state: 'disarmed',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'sequence-cancelled'],
+    check: ({ events }) => assert.deepEqual(events[3].info, { reason: 'firmware-reset', aborted: true }),
+  },
+  {
+    name: 'abort with armed=true allows the next auto-start right away',
+    steps: [...STARTED, ['abort', 'replay-seek', { armed: true }], ['status', PRESENT]],
+    state: 'starting',
+    sent: ['START'],
+    events: ['start-request', 'start-dispatch', 'sequence-started', 'sequence-cancelled', 'start-request'],
+  },
+  {
+    name: 'abort while idle emits nothing',
+    steps: [['abort', 'serial-lost', { armed: true }]],
+    state: 'armed',
+    sent: [],
+    events: [],
+  },
+  {
+    name: 'abort during the start delay drops the queued START',
+    steps: [['status', PRESENT], ['abort', 'serial-lost'], ['tick', 1000]],
+    state: 'disarmed',
+    sent: [],
+    events: ['start-request', 'sequence-cancelled'],
+  },
+];
+
+CASES.forEach((spec) => {
+  test(spec.name, () => {
+    const harness = setup(spec.config);
+    run(harness, spec.steps);
+    assert.equal(harness.controller.state, spec.state);
+    assert.deepEqual(harness.sent.map((entry) => entry.command), spec.sent);
+    const events = harness.events.filter((entry) => entry.event !== 'state-change');
+    assert.deepEqual(events.map((entry) => entry.event), spec.events);
+    if (spec.check) spec.check({ ...harness, events });
+  });
+});
+
+test('state-change events name the cause of every transition', () => {
+  const harness = setup();
+  run(harness, [...FINISHED, ['status', IDLE]]);
+  const changes = harness.events.filter((entry) => entry.event === 'state-change').map((entry) => entry.info);
+  assert.deepEqual(changes, [
+    { from: 'armed', to: 'starting', cause: 'auto-confidence' },
+    { from: 'starting', to: 'running', cause: 'seq-start' },
+    { from: 'running', to: 'disarmed', cause: 'seq-end' },
+    { from: 'disarmed', to: 'armed', cause: 'state-idle' },
+  ]);
+});
+
+test('config edits apply to the next decision', () => {
+  const config = { ...CONFIG };
+  const clock = createFakeClock();
+  const controller = createController({ config, clock, send: () => {} });
+  controller.handleStatus({ ...PRESENT, confidence: 0.9 });
+  assert.equal(controller.state, 'armed');
+  config.confStart = 0.85;
+  controller.handleStatus({ ...PRESENT, confidence: 0.9 });
+  assert.equal(controller.state, 'starting');
+});
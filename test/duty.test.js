@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDutyGuard, estimatePumpOnMs, expectedPumpOnMs } = require('../lib/duty');
+const { SEQ_FRAMES, FRAME_DURATION_MS } = require('../lib/protocol');
+
+const HOUR_MS = 60 * 60 * 1000;
+// With the default timing a slot-0 puff keeps the pump on for 130 ms (no room
+// to precharge), any later slot for 530 ms.
+const EARLY = new Array(SEQ_FRAMES).fill(0);
+const LATE = new Array(SEQ_FRAMES).fill(1);
+const LATE_RUN_MS = 530 * SEQ_FRAMES;
+
+function setup(config) {
+  const clock = { t: 0 };
+  const guard = createDutyGuard({ config: { minGapMs: 0, maxPerHour: 0, pumpBudgetMs: 0, ...config }, now: () => clock.t });
+  // One run that starts at the current time and ends runMs later.
+  function run(slots = LATE, runMs = 1000) {
+    guard.recordStart(slots);
+    clock.t += runMs;
+    guard.recordEnd();
+  }
+  return { clock, guard, run };
+}
+
+test('the pump-on estimate follows the slot plan', () => {
+  assert.equal(estimatePumpOnMs(EARLY), 130 * SEQ_FRAMES);
+  assert.equal(estimatePumpOnMs(LATE), LATE_RUN_MS);
+  // Frames without a planned slot count as the latest one.
+  assert.equal(estimatePumpOnMs(null), LATE_RUN_MS);
+  // A run cancelled 100 ms into frame 1 pumped for one frame plus 100 ms.
+  assert.equal(estimatePumpOnMs(LATE, undefined, FRAME_DURATION_MS + 100), 630);
+  assert.equal(expectedPumpOnMs(), (130 + 3 * 530) / 4 * SEQ_FRAMES);
+});
+
+test('disabled rules never block', () => {
+  const { guard, run } = setup({});
+  for (let i = 0; i < 100; i += 1) run(LATE, 0);
+  assert.equal(guard.check(), null);
+});
+
+test('the minimum gap counts from the end of the last run', () => {
+  const { clock, guard, run } = setup({ minGapMs: 5000 });
+  guard.recordStart(LATE);
+  assert.equal(guard.check(), null);
+  clock.t = 30000;
+  guard.recordEnd();
+  clock.t = 32000;
+  assert.deepEqual(guard.check(), { rule: 'min-gap', retryInMs: 3000, retryAt: 35000, minGapMs: 5000 });
+  clock.t = 35000;
+  assert.equal(guard.check(), null);
+  run();
+  assert.equal(guard.check().rule, 'min-gap');
+});
+
+test('the hourly cap allows exactly that many runs and rolls with the window', () => {
+  const { clock, guard, run } = setup({ maxPerHour: 2 });
+  run();
+  assert.equal(guard.check(), null);
+  clock.t = 10000;
+  run();
+  const blocked = guard.check();
+  assert.equal(blocked.rule, 'max-per-hour');
+  assert.equal(blocked.runs, 2);
+  assert.equal(blocked.retryInMs, HOUR_MS - 11000);
+  clock.t = HOUR_MS - 1;
+  assert.equal(guard.check().retryInMs, 1);
+  clock.t = HOUR_MS;
+  assert.equal(guard.check(), null);
+  assert.equal(guard.snapshot().runsLastHour, 1);
+});
+
+test('the pump budget waits until one more average run fits', () => {
+  const { clock, guard, run } = setup({ pumpBudgetMs: LATE_RUN_MS + expectedPumpOnMs() });
+  run();
+  // Exactly at the budget is still allowed.
+  assert.equal(guard.check(), null);
+  clock.t = 60000;
+  run();
+  const blocked = guard.check();
+  assert.equal(blocked.rule, 'pump-budget');
+  assert.equal(blocked.pumpMs, 2 * LATE_RUN_MS);
+  assert.equal(blocked.retryInMs, HOUR_MS - 61000);
+  clock.t = HOUR_MS;
+  assert.equal(guard.check(), null);
+});
+
+test('a cancelled run only counts the frames it reached', () => {
+  const { clock, guard } = setup({ pumpBudgetMs: 2 * LATE_RUN_MS });
+  guard.recordStart(LATE);
+  clock.t = FRAME_DURATION_MS + 100;
+  guard.abortActive();
+  assert.equal(guard.snapshot().pumpMsLastHour, 630);
+  assert.equal(guard.check(), null);
+});
+
+test('when several rules block, the one that clears last is reported', () => {
+  const { clock, guard, run } = setup({ minGapMs: 5000, maxPerHour: 1 });
+  run();
+  assert.equal(guard.check().rule, 'max-per-hour');
+  clock.t = HOUR_MS;
+  assert.equal(guard.check(), null);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../lib/history');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-history-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data', 'sequences.jsonl');
+}
+
+function record(n, extra = {}) {
+  return { id: `seq-${n}`, startedAt: 1000 * n, outcome: 'end', rig: 'a', ...extra };
+}
+
+test('records come back newest first, filtered', async () => {
+  const store = createHistoryStore(tempFile());
+  assert.deepEqual(await store.query(), []);
+  store.append(record(1));
+  store.append(record(2, { outcome: 'person-left' }));
+  store.append(record(3, { rig: 'b' }));
+  store.append(record(4, { outcome: 'cancel' }));
+  const ids = async (options) => (await store.query(options)).map((entry) => entry.id);
+  assert.deepEqual(await ids(), ['seq-4', 'seq-3', 'seq-2', 'seq-1']);
+  assert.deepEqual(await ids({ from: '2000', to: 3000 }), ['seq-3', 'seq-2']);
+  assert.deepEqual(await ids({ outcome: 'end,person-left' }), ['seq-3', 'seq-2', 'seq-1']);
+  assert.deepEqual(await ids({ rig: 'a', limit: '2' }), ['seq-4', 'seq-2']);
+  assert.deepEqual(await store.get('seq-2'), record(2, { outcome: 'person-left' }));
+  assert.equal(await store.get('seq-9'), null);
+});
+
+test('bad filters are refused', async () => {
+  const store = createHistoryStore(tempFile());
+  await assert.rejects(store.query({ outcome: 'lost' }), /unknown outcome lost/);
+  await assert.rejects(store.query({ from: 'last week' }), /from\/to must be/);
+});
+
+test('lines that are not sequence records are skipped', async () => {
+  const file = tempFile();
+  const store = createHistoryStore(file);
+  store.append(record(1));
+  fs.appendFileSync(file, '{"id":"seq-cut","sta\n{"type":"note","id":"x"}\n');
+  store.append(record(2));
+  assert.deepEqual((await store.query()).map((entry) => entry.id), ['seq-2', 'seq-1']);
+});
+
+test('a full file moves aside and queries read across the rotation', async () => {
+  const file = tempFile();
+  const rotations = [];
+  const size = `${JSON.stringify({ type: 'sequence', ...record(1) })}\n`.length;
+  const store = createHistoryStore(file, {
+    rotateBytes: 2 * size,
+    log: (event) => rotations.push(event),
+  });
+  [1, 2, 3].forEach((n) => store.append(record(n)));
+  assert.deepEqual(rotations, ['history-rotate']);
+  assert.ok(fs.existsSync(`${file}.1`));
+  assert.deepEqual((await store.query()).map((entry) => entry.id), ['seq-3', 'seq-2', 'seq-1']);
+  // The next rotation drops the oldest file.
+  [4, 5].forEach((n) => store.append(record(n)));
+  assert.equal(rotations.length, 2);
+  assert.deepEqual((await store.query()).map((entry) => entry.id), ['seq-5', 'seq-4', 'seq-3']);
+  assert.equal(await store.get('seq-1'), null);
+});
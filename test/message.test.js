@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageDecoder, seedForSequence, SEGMENT_COUNT } = require('../lib/message');
+const { FRAME_DURATION_MS, SLOT_DURATION_MS } = require('../lib/protocol');
+
+const START_MS = 10000;
+
+function tables(prefix) {
+  const lines = (name) => [0, 1, 2, 3].map((i) => `${prefix}${name}${i}`);
+  return {
+    intros: lines('i'),
+    moods: lines('m'),
+    bridges: lines('b'),
+    codas: lines('c'),
+    glitchNotes: lines('g'),
+  };
+}
+
+const PACK = { id: 'test', version: '1', locales: { en: tables(''), ko: tables('k') } };
+const PLAN = [0, 0, 0, 0, 0, 0, 0, 0, 2, 2, 2, 2, 0, 1, 1, 1];
+
+function decoder(seq = { time_ms: START_MS, slots: PLAN }) {
+  return createMessageDecoder({ sequenceId: 'seq-1', seq, pack: PACK });
+}
+
+function blinkAt(frame, slot) {
+  return START_MS + frame * FRAME_DURATION_MS + slot * SLOT_DURATION_MS + 100;
+}
+
+test('each group of four frames becomes a line once its last frame is over', () => {
+  const message = decoder();
+  [1, 1, 2].forEach((slot, frame) => assert.deepEqual(message.blink(blinkAt(frame, slot)), []));
+  assert.deepEqual(message.blink(blinkAt(3, 0)), []);
+  const [segment] = message.advance(START_MS + 4 * FRAME_DURATION_MS);
+  assert.equal(segment.index, 0);
+  assert.equal(segment.line, 1);
+  assert.deepEqual(segment.values, [1, 1, 2, 0]);
+  assert.deepEqual(segment.texts, { en: 'i1 ', ko: 'ki1 ' });
+  assert.equal(segment.fallback, false);
+});
+
+test('the slot sum of one group shifts the next line', () => {
+  const message = decoder();
+  const segments = [];
+  [0, 0, 0, 1, 3, 3, 3, 0].forEach((slot, frame) => segments.push(...message.blink(blinkAt(frame, slot))));
+  segments.push(...message.advance(START_MS + 8 * FRAME_DURATION_MS));
+  assert.deepEqual(segments.map((segment) => segment.line), [0, 0]);
+  assert.deepEqual(segments.map((segment) => segment.modSum), [1, 1]);
+});
+
+test('frames the firmware never timed take the planned slot', () => {
+  const message = decoder();
+  [1, 1, 2, 0].forEach((slot, frame) => message.blink(blinkAt(frame, slot)));
+  [3, 3, 3, 0].forEach((slot, frame) => message.blink(blinkAt(frame + 4, slot)));
+  message.advance(START_MS + 8 * FRAME_DURATION_MS);
+  const { segments, final } = message.finish(START_MS + 8 * FRAME_DURATION_MS);
+  assert.equal(segments.length, SEGMENT_COUNT - 2);
+  assert.deepEqual(final.frames, [1, 1, 2, 0, 3, 3, 3, 0, ...PLAN.slice(8)]);
+  assert.equal(final.message, 'i1 m3\nb3 c1');
+  assert.equal(final.messages.ko, 'ki1 km3\nkb3 kc1');
+  assert.equal(final.glitch, null);
+  assert.deepEqual(final.contentPack, { id: 'test', version: '1' });
+});
+
+test('only the first blink in a frame counts', () => {
+  const message = decoder();
+  message.blink(blinkAt(0, 1));
+  message.blink(blinkAt(0, 3));
+  assert.equal(message.finish(START_MS + 16 * FRAME_DURATION_MS).final.frames[0], 1);
+});
+
+test('groups without a blink fall back to the seeded generator', () => {
+  const seq = { time_ms: START_MS, slots: PLAN };
+  const messages = [decoder(seq), decoder(seq)].map((message) => message.finish(START_MS + 16 * FRAME_DURATION_MS).final);
+  assert.equal(messages[0].seed, seedForSequence(seq));
+  assert.equal(messages[0].message, messages[1].message);
+  assert.ok(messages[0].frames.every((value) => value === -1));
+  assert.notEqual(seedForSequence(seq), seedForSequence({ ...seq, time_ms: START_MS + 1 }));
+});
+
+test('frames with neither a time nor a plan earn a glitch note', () => {
+  const message = decoder({ time_ms: START_MS });
+  const { final } = message.finish(START_MS + 2 * FRAME_DURATION_MS);
+  assert.deepEqual(final.glitch, { texts: { en: '\ng1', ko: '\nkg1' } });
+  assert.ok(final.message.endsWith('\ng1'));
+});
+
+test('a finished decoder ignores later lines', () => {
+  const message = decoder();
+  const { final } = message.finish(START_MS);
+  assert.deepEqual(message.blink(blinkAt(15, 0)), []);
+  assert.deepEqual(message.advance(START_MS + 20 * FRAME_DURATION_MS), []);
+  assert.equal(message.finish(START_MS).final, final);
+  assert.equal(message.snapshot().segments.length, SEGMENT_COUNT);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createControllerMetrics } = require('../lib/metrics');
+
+function setup() {
+  const metrics = createControllerMetrics({
+    getWsClients: () => 0,
+    getRigs: () => [{ id: 'a', serialUp: true, sequenceActive: false }],
+    now: () => 0,
+  });
+  metrics.addRig('a');
+  return metrics;
+}
+
+function series(metrics, name) {
+  return metrics.render().split('\n').filter((line) => line.startsWith(`${name}{`));
+}
+
+test('command counters are labelled by verb only', () => {
+  const metrics = setup();
+  metrics.observeControlEvent('command-failed', { command: 'SET puff_ms=70', reason: 'timeout' }, 'a');
+  metrics.observeControlEvent('command-failed', { command: 'SET guard_ms=300', reason: 'timeout' }, 'a');
+  metrics.observeControlEvent('command-retry', { command: 'CAPTURE 1' }, 'a');
+  assert.deepEqual(series(metrics, 'gradi_command_failures_total'), [
+    'gradi_command_failures_total{rig="a",command="SET",reason="timeout"} 2',
+  ]);
+  assert.deepEqual(series(metrics, 'gradi_command_retries_total'), [
+    'gradi_command_retries_total{rig="a",command="CAPTURE"} 1',
+  ]);
+});
+
+test('reconnect attempts leave out the first connect', () => {
+  const metrics = setup();
+  metrics.observeControlEvent('serial-state', { state: 'connecting', port: '/dev/ttyACM0', attempt: 0 }, 'a');
+  metrics.observeControlEvent('serial-state', { state: 'connecting', reason: 'lost', attempt: 1, retryInMs: 500 }, 'a');
+  assert.deepEqual(series(metrics, 'gradi_serial_reconnect_attempts_total'), [
+    'gradi_serial_reconnect_attempts_total{rig="a"} 1',
+  ]);
+});
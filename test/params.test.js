@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateParamPatch, FIRMWARE_PARAMS, DUTY_RUN_MAX } = require('../lib/params');
+const { createSimulator } = require('../lib/simulator');
+
+test('every parameter accepts both ends of its range and refuses one past', () => {
+  Object.entries(FIRMWARE_PARAMS).forEach(([key, field]) => {
+    assert.deepEqual(validateParamPatch({ [key]: field.min }).values, { [key]: field.min });
+    assert.deepEqual(validateParamPatch({ [key]: field.max }).values, { [key]: field.max });
+    assert.deepEqual(validateParamPatch({ [key]: field.min - 1 }).errors, [`${key}: must be between ${field.min} and ${field.max}`]);
+  });
+  assert.deepEqual(validateParamPatch({ puff_ms: 401 }).errors, ['puff_ms: must be between 10 and 400']);
+});
+
+test('duty_run above the cap is lowered to it, as the firmware does', () => {
+  assert.deepEqual(validateParamPatch({ duty_run: DUTY_RUN_MAX + 1 }), { ok: true, values: { duty_run: DUTY_RUN_MAX }, errors: [] });
+  assert.deepEqual(validateParamPatch({ duty_run: '5000' }).values, { duty_run: DUTY_RUN_MAX });
+});
+
+test('bad patches list every bad field', () => {
+  const result = validateParamPatch({ puff_ms: 12.5, valve_ms: 10, guard_ms: 'x', ramp_time_ms: 100 });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors, ['puff_ms: expected an integer', 'valve_ms: not a firmware parameter', 'guard_ms: expected an integer']);
+  assert.deepEqual(result.values, { ramp_time_ms: 100 });
+  assert.equal(validateParamPatch({}).ok, false);
+  assert.equal(validateParamPatch([1]).ok, false);
+});
+
+test('the simulator answers SET like the sketch', async () => {
+  const simulator = createSimulator({ seed: 1 });
+  const lines = [];
+  simulator.on('data', (buffer) => lines.push(...buffer.toString('utf8').split('\n').filter(Boolean)));
+  await new Promise((resolve) => simulator.write('SET duty_run=1200\nSET puff_ms=500\n', resolve));
+  assert.ok(lines.some((line) => line.startsWith('PARAMS ') && line.includes(`duty_run=${DUTY_RUN_MAX}`)), lines.join('\n'));
+  assert.ok(lines.includes('SET ERR key=puff_ms | value=500 | reason=range'), lines.join('\n'));
+});
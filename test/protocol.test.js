@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseLine, detectLineKind, parseKeyValueSegments } = require('../lib/protocol');
+const { parseCaptureEntry } = require('../lib/replay');
+const { createRandom } = require('../lib/random');
+
+// Lines from a --simulate --capture session, thinned out (see README).
+const FRAGMENT = fs.readFileSync(path.join(__dirname, 'fixtures', 'capture-fragment.log'), 'utf8')
+  .split('\n')
+  .map(parseCaptureEntry)
+  .filter(Boolean)
+  .map((entry) => entry.line);
+
+const LINES = {
+  STATUS: 'STATUS time_ms=9000 | state=PRESENCE | prox=40 | confidence=0.97 | blinks=3 | mean=31 | sigma=1 | zRise=2.65 | zDrop=-2.65 | ready=1',
+  BLINK: 'BLINK time_ms=10110 | prox=35 | mean=31 | sigma=1 | zRise=2.65 | zDrop=-2.65 | polarity=rise | confidence=0.97 | blinks=1',
+  SEQ_START: 'SEQ START time_ms=9812 | slots=0,1,0,2,1,0,2,3,2,2,1,2,1,0,0,2 | lead_ms=200',
+  DBG: 'DBG time_ms=5515 | stage=BLOCK_CONF | prox=12 | conf=0.000 | sigma=0.800 | zRise=0.000 | zDrop=0.000 | dev=0.0 | slope=0.0000 | mean=12 | beyond=0 | polarity=0 | cross_ms=0 | refractory=0 | enter=0 | blinkCount=0',
+  PARAMS: 'PARAMS precharge_ms=400 | puff_ms=70 | guard_ms=350 | duty_run=1000 | ramp_time_ms=60',
+};
+
+function assertShape(parsed) {
+  assert.equal(typeof parsed.kind, 'string');
+  assert.equal(typeof parsed.ok, 'boolean');
+  assert.ok(Array.isArray(parsed.issues));
+  assert.equal(parsed.ok, parsed.issues.length === 0);
+}
+
+test('STATUS lines are typed', () => {
+  const parsed = parseLine(LINES.STATUS);
+  assert.equal(parsed.kind, 'STATUS');
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.data, {
+    time_ms: 9000,
+    state: 'PRESENCE',
+    confidence: 0.97,
+    blinks: 3,
+    prox: 40,
+    mean: 31,
+    sigma: 1,
+    zRise: 2.65,
+    zDrop: -2.65,
+    ready: true,
+  });
+});
+
+test('STATUS without the optional fields is still ok', () => {
+  const parsed = parseLine('STATUS time_ms=1000 | state=IDLE | confidence=0.00 | blinks=0');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.data.prox, undefined);
+});
+
+test('BLINK lines are typed', () => {
+  const parsed = parseLine(LINES.BLINK);
+  assert.equal(parsed.kind, 'BLINK');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.data.polarity, 'rise');
+  assert.equal(parsed.data.blinks, 1);
+});
+
+test('SEQ START carries the slot plan', () => {
+  const parsed = parseLine(LINES.SEQ_START);
+  assert.equal(parsed.kind, 'SEQ');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.data.action, 'START');
+  assert.equal(parsed.data.slots.length, 16);
+  assert.equal(parsed.data.lead_ms, 200);
+});
+
+test('SEQ END, CANCEL and BUSY', () => {
+  assert.deepEqual(parseLine('SEQ END time_ms=35035').data, { action: 'END', time_ms: 35035 });
+  assert.deepEqual(parseLine('SEQ CANCEL time_ms=20000').data, { action: 'CANCEL', time_ms: 20000 });
+  const busy = parseLine('SEQ BUSY');
+  assert.equal(busy.ok, true);
+  assert.deepEqual(busy.data, { action: 'BUSY' });
+});
+
+test('SEQ with an unknown action or bad slots is flagged', () => {
+  const unknown = parseLine('SEQ PAUSE time_ms=1');
+  assert.equal(unknown.kind, 'SEQ');
+  assert.equal(unknown.ok, false);
+  assert.deepEqual(unknown.issues, ['unknown SEQ action']);
+  const short = parseLine('SEQ START time_ms=1 | slots=0,1,2');
+  assert.equal(short.ok, false);
+  assert.match(short.issues[0], /expected 16 slots/);
+  const outside = parseLine('SEQ START time_ms=1 | slots=0,1,0,2,1,0,2,4,2,2,1,2,1,0,0,2');
+  assert.match(outside.issues[0], /slot "4" outside 0\.\.3/);
+});
+
+test('CAPTURE ON and OFF', () => {
+  assert.deepEqual(parseLine('CAPTURE ON').data, { enabled: true });
+  assert.deepEqual(parseLine('CAPTURE OFF').data, { enabled: false });
+  assert.equal(parseLine('CAPTURE MAYBE').ok, false);
+});
+
+test('DBG lines are typed', () => {
+  const parsed = parseLine(LINES.DBG);
+  assert.equal(parsed.kind, 'DBG');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.data.stage, 'BLOCK_CONF');
+  assert.equal(parsed.data.beyond, false);
+  assert.equal(parsed.data.blinkCount, 0);
+});
+
+test('DBG with an unknown stage is flagged', () => {
+  const parsed = parseLine(LINES.DBG.replace('BLOCK_CONF', 'NAP'));
+  assert.equal(parsed.ok, false);
+  assert.match(parsed.issues[0], /^stage: expected one of/);
+});
+
+test('PARAMS and SET ERR', () => {
+  assert.equal(parseLine(LINES.PARAMS).data.puff_ms, 70);
+  const error = parseLine('SET ERR key=puff_ms | value=9999 | reason=out of range');
+  assert.equal(error.kind, 'SET');
+  assert.deepEqual(error.data, { key: 'puff_ms', value: '9999', reason: 'out of range' });
+});
+
+test('samples, errors, boot and unknown lines', () => {
+  assert.deepEqual(parseLine('t=2510 ms | prox=12').data, { t: 2510, prox: 12 });
+  assert.equal(parseLine('t=2510 ms | prox=x').ok, false);
+  assert.equal(parseLine('ERR sensor timeout').data.message, 'sensor timeout');
+  assert.equal(parseLine('VCNL4040 OK').data.healthy, true);
+  assert.equal(parseLine('VCNL4040 not found').data.healthy, false);
+  const raw = parseLine('hello there');
+  assert.equal(raw.kind, 'RAW');
+  assert.equal(raw.ok, false);
+  assert.deepEqual(parseLine('').issues, ['empty line']);
+  assert.equal(parseLine(null).kind, 'RAW');
+});
+
+test('truncated lines keep their kind and list what is missing', () => {
+  const parsed = parseLine(LINES.STATUS.slice(0, 'STATUS time_ms=9000 | state=PRES'.length));
+  assert.equal(parsed.kind, 'STATUS');
+  assert.equal(parsed.ok, false);
+  assert.ok(parsed.issues.includes('missing confidence'));
+  assert.ok(parsed.issues.some((issue) => issue.startsWith('state:')));
+});
+
+test('malformed values are reported per field', () => {
+  const parsed = parseLine('STATUS time_ms=12a | state=IDLE | confidence=high | blinks=0 | ready=2');
+  assert.deepEqual(parsed.issues, [
+    'time_ms: expected integer, got "12a"',
+    'confidence: expected number, got "high"',
+    'ready: expected 0/1, got "2"',
+  ]);
+});
+
+test('unknown fields are kept aside without failing the line', () => {
+  const parsed = parseLine(`${LINES.STATUS} | temp=31`);
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.unknownFields, ['temp']);
+});
+
+test('key=value segments ignore blanks and pieces without "="', () => {
+  assert.deepEqual(parseKeyValueSegments(' a=1 || b | =2 | c = 3 '), { a: '1', c: '3' });
+});
+
+test('every line of the capture fragment parses cleanly', () => {
+  assert.ok(FRAGMENT.length > 50);
+  const kinds = new Set();
+  FRAGMENT.forEach((line) => {
+    const parsed = parseLine(line);
+    kinds.add(parsed.kind);
+    assert.equal(parsed.ok, true, `${line}: ${parsed.issues.join('; ')}`);
+    assert.equal(parsed.kind, detectLineKind(line));
+  });
+  ['STATUS', 'BLINK', 'SEQ', 'DBG', 'SAMPLE', 'CAPTURE', 'PARAMS', 'BOOT'].forEach((kind) => {
+    assert.ok(kinds.has(kind), `fragment has no ${kind} line`);
+  });
+});
+
+const NOISE = ['|', '=', ' ', ',', '-', '.', '0', '9', 'x', 'ÿ', '�', '\t'];
+
+function mutate(line, random) {
+  const pick = (n) => Math.floor(random() * n);
+  const at = pick(line.length + 1);
+  switch (pick(5)) {
+    case 0:
+      return line.slice(0, at);
+    case 1:
+      return line.slice(at);
+    case 2:
+      return line.slice(0, at) + NOISE[pick(NOISE.length)] + line.slice(at + 1);
+    case 3:
+      return line.slice(0, at) + line.slice(at + 1 + pick(8));
+    default:
+      return line + FRAGMENT[pick(FRAGMENT.length)].slice(pick(20));
+  }
+}
+
+test('fuzz: mangled capture lines never throw', () => {
+  // Seeded so a failure can be reproduced.
+  const random = createRandom(20251108);
+  for (let i = 0; i < 20000; i += 1) {
+    let line = FRAGMENT[Math.floor(random() * FRAGMENT.length)];
+    const rounds = 1 + Math.floor(random() * 3);
+    for (let r = 0; r < rounds; r += 1) line = mutate(line, random);
+    let parsed;
+    assert.doesNotThrow(() => {
+      parsed = parseLine(line);
+    }, `line: ${JSON.stringify(line)}`);
+    assertShape(parsed);
+  }
+});
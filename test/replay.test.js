@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReplay } = require('../lib/replay');
+const { createRig } = require('../lib/rig');
+const { createHistoryStore } = require('../lib/history');
+const { controlConfigFromEnv } = require('../lib/settings');
+
+const ORIGIN = 1762610531000;
+
+function tempCapture(offsets) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-replay-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'capture.log');
+  fs.writeFileSync(file, offsets.map((offset) => `${ORIGIN + offset} STATUS time_ms=${offset}\n`).join(''));
+  return file;
+}
+
+function played(replay) {
+  return new Promise((resolve) => replay.on('end', resolve));
+}
+
+test('the replay clock reads the recorded time of each line', async () => {
+  const replay = createReplay(tempCapture([0, 500, 1500, 2000]), { speed: 20 });
+  const seen = [];
+  replay.on('data', (buffer, entry) => seen.push(replay.clock.now() - entry.ts));
+  assert.equal(replay.clock.now(), ORIGIN);
+  replay.start();
+  await played(replay);
+  assert.equal(seen.length, 4);
+  seen.forEach((lag) => assert.ok(lag >= 0 && lag < 250, `clock ${lag} ms off the line`));
+  assert.equal(replay.clock.now(), ORIGIN + 2000);
+});
+
+test('replay timers fire in recorded time, between the lines they fall between', async () => {
+  const replay = createReplay(tempCapture([0, 1000, 3000]), { speed: 20 });
+  const order = [];
+  replay.on('data', (buffer, entry) => {
+    order.push(entry.line);
+    if (entry.ts === ORIGIN) replay.clock.setTimeout(() => order.push('timer'), 1500);
+  });
+  const cancelled = replay.clock.setTimeout(() => order.push('cancelled'), 500);
+  replay.clock.clearTimeout(cancelled);
+  const started = Date.now();
+  replay.start();
+  await played(replay);
+  assert.deepEqual(order, ['STATUS time_ms=0', 'STATUS time_ms=1000', 'timer', 'STATUS time_ms=3000']);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('the replay clock stands still while paused and never runs backwards', async () => {
+  const replay = createReplay(tempCapture([0, 1000, 2000]), { speed: 20 });
+  replay.seek(1500);
+  assert.equal(replay.clock.now(), ORIGIN + 1500);
+  replay.seek(200);
+  assert.equal(replay.clock.now(), ORIGIN + 1500);
+  replay.start();
+  await played(replay);
+  assert.equal(replay.clock.now(), ORIGIN + 1500 + 1800);
+});
+
+test('timers still pending when the capture ends are dropped', async () => {
+  const replay = createReplay(tempCapture([0, 500]), { speed: 20 });
+  const fired = [];
+  // Due during the second play, 300 ms past where the first one ended.
+  replay.clock.setTimeout(() => fired.push('late'), 800);
+  replay.start();
+  await played(replay);
+  replay.start();
+  await played(replay);
+  assert.deepEqual(fired, []);
+});
+
+function statusLine(ms) {
+  return `STATUS time_ms=${ms} | state=PRESENCE | prox=40 | confidence=0.97 | blinks=0 | ready=1`;
+}
+
+// A rig replaying rows of [offset, line], with every control-log event kept.
+function replayRig(rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-replay-rig-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'capture.log');
+  fs.writeFileSync(file, rows.map(([offset, line]) => `${ORIGIN + offset} ${line}\n`).join(''));
+  const events = [];
+  const rig = createRig({
+    id: 'test',
+    config: controlConfigFromEnv({}),
+    mode: 'replay',
+    replay: { file, speed: 20 },
+    historyStore: createHistoryStore(path.join(dir, 'sequences.jsonl')),
+    log: (event, info) => events.push({ event, ...info }),
+    broadcast: () => {},
+  });
+  return { rig, events };
+}
+
+async function playToEnd(rig, events) {
+  await rig.open();
+  rig.play();
+  while (!events.some((entry) => entry.event === 'replay-end')) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('a capture that ends during the start delay leaves the controller armed', async () => {
+  const { rig, events } = replayRig([[0, statusLine(1000)], [200, statusLine(1200)]]);
+  await playToEnd(rig, events);
+  const control = rig.snapshot().control;
+  assert.equal(control.state, 'armed');
+  assert.equal(control.startScheduled, false);
+  assert.ok(!events.some((entry) => entry.event === 'replay-command-dropped'));
+});
+
+test('a capture that ends mid-sequence cancels the run', async () => {
+  const { rig, events } = replayRig([
+    [0, statusLine(1000)],
+    [400, statusLine(1400)],
+    [800, 'SEQ START time_ms=1800 | slots=0,1,0,2,1,0,2,3,2,2,1,2,1,0,0,2 | lead_ms=200'],
+    [1200, statusLine(2200)],
+  ]);
+  await playToEnd(rig, events);
+  assert.ok(events.some((entry) => entry.event === 'sequence-started'));
+  assert.equal(rig.snapshot().control.state, 'armed');
+  assert.equal(rig.snapshot().control.sequenceActive, false);
+  const cancelled = events.find((entry) => entry.event === 'sequence-cancelled');
+  assert.equal(cancelled.reason, 'replay-end');
+});
@@ -0,0 +1,78 @@
+// A zone with DST, set before any Date is built; each test file runs in its
+// own process.
+process.env.TZ = 'Europe/Berlin';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchedule, evaluateSchedule } = require('../lib/schedule');
+
+const WEEKLY = { sun: [['10:00', '18:00']], mon: [['22:00', '24:00']], tue: [['00:00', '02:00']] };
+
+function schedule(extra = {}) {
+  const result = validateSchedule({ enabled: true, weekly: WEEKLY, ...extra });
+  assert.deepEqual(result.errors, []);
+  return result.schedule;
+}
+
+test('a schedule is only enabled when it says so', () => {
+  assert.equal(validateSchedule({}).schedule.enabled, false);
+  assert.equal(validateSchedule({ weekly: WEEKLY }).schedule.enabled, false);
+  assert.equal(validateSchedule({ enabled: true }).schedule.enabled, true);
+  assert.deepEqual(evaluateSchedule(validateSchedule({}).schedule, Date.now()), { open: true, nextChangeAt: null });
+});
+
+test('bad ranges, days and dates are listed', () => {
+  const result = validateSchedule({
+    enabled: true,
+    weekly: { mon: [['18:00', '10:00']], fun: [], tue: [['9', '10:00']], wed: 'all day' },
+    exceptions: { '2026-02-30': [], '2026-12-24': [['10:00']] },
+  });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors, [
+    'weekly.mon[0]: closing time must be after opening time',
+    'weekly.fun: expected one of sun/mon/tue/wed/thu/fri/sat',
+    'weekly.tue[0]: times must be HH:MM between 00:00 and 24:00',
+    'weekly.wed: expected a list of ["HH:MM", "HH:MM"] ranges',
+    'exceptions.2026-02-30: expected a YYYY-MM-DD date',
+    'exceptions.2026-12-24[0]: expected ["HH:MM", "HH:MM"]',
+  ]);
+  assert.equal(validateSchedule([]).ok, false);
+});
+
+test('open inside a range, closed outside it, with the next change', () => {
+  const sunday = schedule();
+  assert.deepEqual(evaluateSchedule(sunday, new Date(2026, 5, 7, 12, 0).getTime()), {
+    open: true,
+    nextChangeAt: new Date(2026, 5, 7, 18, 0).getTime(),
+  });
+  assert.deepEqual(evaluateSchedule(sunday, new Date(2026, 5, 7, 9, 0).getTime()), {
+    open: false,
+    nextChangeAt: new Date(2026, 5, 7, 10, 0).getTime(),
+  });
+});
+
+test('ranges across midnight join into one', () => {
+  const result = evaluateSchedule(schedule(), new Date(2026, 5, 8, 23, 0).getTime());
+  assert.deepEqual(result, { open: true, nextChangeAt: new Date(2026, 5, 9, 2, 0).getTime() });
+});
+
+test('an exception date replaces the weekday', () => {
+  const closed = schedule({ exceptions: { '2026-06-07': [] } });
+  const result = evaluateSchedule(closed, new Date(2026, 5, 7, 12, 0).getTime());
+  assert.equal(result.open, false);
+  assert.equal(result.nextChangeAt, new Date(2026, 5, 8, 22, 0).getTime());
+});
+
+test('opening times keep to the wall clock on DST days', () => {
+  // 2026-03-29 and 2026-10-25 are the Sundays the clocks change in Berlin.
+  [[2, 29], [9, 25]].forEach(([month, day]) => {
+    assert.deepEqual(evaluateSchedule(schedule(), new Date(2026, month, day, 9, 30).getTime()), {
+      open: false,
+      nextChangeAt: new Date(2026, month, day, 10, 0).getTime(),
+    });
+    assert.deepEqual(evaluateSchedule(schedule(), new Date(2026, month, day, 17, 30).getTime()), {
+      open: true,
+      nextChangeAt: new Date(2026, month, day, 18, 0).getTime(),
+    });
+  });
+});
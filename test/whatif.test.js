@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runWhatIf, dayRange, capturesInRange } = require('../lib/whatif');
+const { controlConfigFromEnv } = require('../lib/settings');
+
+const FRAGMENT = path.join(__dirname, 'fixtures', 'capture-fragment.log');
+const CURRENT = { ...controlConfigFromEnv({}), minGapMs: 5000 };
+const ORIGIN = 1762610531000;
+
+function status(confidence, prox) {
+  return `STATUS time_ms=0 | state=PRESENCE | prox=${prox} | confidence=${confidence.toFixed(2)} | blinks=0 | ready=1`;
+}
+
+// A visitor sits down, looks away for three seconds two seconds into the run,
+// then stays until well after it would have ended.
+function tempCapture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradi-whatif-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'capture.log');
+  const rows = [];
+  for (let ms = 0; ms <= 40000; ms += 200) {
+    const away = ms >= 3000 && ms < 6000;
+    rows.push(`${ORIGIN + ms} ${away ? status(0.1, 2) : status(0.97, 40)}`);
+  }
+  fs.writeFileSync(file, `${rows.join('\n')}\n`);
+  return file;
+}
+
+test('the current settings reproduce the recorded start of the fragment', () => {
+  const report = runWhatIf({ files: [FRAGMENT], current: CURRENT, patch: { confStart: 0.99 } });
+  assert.equal(report.ok, true);
+  assert.equal(report.actual.starts, 1);
+  assert.deepEqual(report.model, { matched: 1, total: 1 });
+  assert.equal(report.current.starts, 1);
+  assert.equal(report.current.completed, 1);
+  assert.deepEqual(report.config.changed, ['confStart']);
+  assert.equal(report.whatIf.starts, 0);
+  assert.equal(report.differences.starts.removed.length, 1);
+  assert.deepEqual(report.differences.starts.added, []);
+});
+
+test('a longer leave hold rides out a short absence', () => {
+  const report = runWhatIf({ files: [tempCapture()], current: CURRENT, patch: { leaveMs: 5000 } });
+  assert.equal(report.current.personLeft, 1);
+  assert.equal(report.current.cancelled, 1);
+  assert.equal(report.whatIf.personLeft, 0);
+  assert.equal(report.whatIf.cancelled, 0);
+  assert.equal(report.whatIf.completed, 1);
+  assert.equal(report.differences.cancellations.removed.length, 1);
+  // With the current hold the visitor gets a second run once min-gap allows.
+  assert.equal(report.current.blocked['min-gap'], 1);
+  assert.deepEqual(report.differences.starts, { added: [], removed: [ORIGIN + 9820], moved: [] });
+});
+
+test('opening hours block starts in both runs', () => {
+  const closed = { enabled: true, weekly: {}, exceptions: {} };
+  const report = runWhatIf({ files: [tempCapture()], current: CURRENT, patch: { leaveMs: 5000 }, schedule: closed });
+  assert.equal(report.current.starts, 0);
+  assert.equal(report.whatIf.starts, 0);
+  assert.ok(report.current.blocked.closed > 0);
+});
+
+test('bad settings and missing captures are refused', () => {
+  assert.equal(runWhatIf({ files: [FRAGMENT], current: CURRENT, patch: { confStart: 2 } }).ok, false);
+  assert.deepEqual(runWhatIf({ files: [], current: CURRENT, patch: { confStart: 0.9 } }).errors, ['no captures to run over']);
+  const unreadable = runWhatIf({ files: ['/nonexistent/capture.log'], current: CURRENT, patch: { confStart: 0.9 } });
+  assert.ok(unreadable.files[0].error);
+});
+
+test('days are local calendar days', () => {
+  assert.deepEqual(dayRange('2026-03-29'), {
+    from: new Date(2026, 2, 29).getTime(),
+    to: new Date(2026, 2, 30).getTime(),
+  });
+  assert.equal(dayRange('2026-02-30'), null);
+  assert.equal(dayRange('yesterday'), null);
+});
+
+test('captures are picked by rig and overlap, oldest first', () => {
+  const range = { from: 1000, to: 2000 };
+  const captures = [
+    { name: 'late', rig: 'a', startedAt: 1500, endedAt: 2500 },
+    { name: 'early', rig: 'a', startedAt: 500, durationMs: 600 },
+    { name: 'before', rig: 'a', startedAt: 100, endedAt: 900 },
+    { name: 'other', rig: 'b', startedAt: 1200, endedAt: 1300 },
+    { name: 'old', startedAt: 1100, endedAt: 1200 },
+  ];
+  assert.deepEqual(capturesInRange(captures, range, 'a').map((capture) => capture.name), ['early', 'old', 'late']);
+});
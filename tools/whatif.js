@@ -0,0 +1,151 @@
+// What-if thresholds over recorded captures (see lib/whatif.js).
+//
+//   npm run whatif -- --set confStart=0.9 --set leaveMs=1500 --day 2026-10-18
+//   npm run whatif -- --set confExit=0.3 captures/capture-….log.gz
+//
+// The current settings are the ones the server would start with: .env, the
+// rig's control block in RIGS_FILE and the thresholds saved in SETTINGS_FILE.
+
+require('dotenv').config();
+const path = require('path');
+const {
+  createSettingsStore,
+  controlConfigFromEnv,
+  resolveControlConfig,
+  CONTROL_FIELDS,
+} = require('../lib/settings');
+const { loadRigs } = require('../lib/rig');
+const { createCaptureStore } = require('../lib/captures');
+const { validateSchedule } = require('../lib/schedule');
+const { runWhatIf, dayRange, capturesInRange } = require('../lib/whatif');
+
+const ROOT = path.join(__dirname, '..');
+const USAGE = `Usage: node tools/whatif.js --set key=value [--set …] [--rig id] [--json] (--day YYYY-MM-DD | capture files…)
+Settings: ${Object.keys(CONTROL_FIELDS).join(', ')}`;
+
+function fail(message) {
+  console.error(`[ERR] ${message}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { patch: {}, rig: null, day: null, json: false, files: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--set' || arg === '--rig' || arg === '--day') {
+      const value = argv[i + 1];
+      if (value == null) fail(`${arg} needs a value`);
+      i += 1;
+      if (arg === '--rig') args.rig = value;
+      else if (arg === '--day') args.day = value;
+      else {
+        const m = value.match(/^(\w+)=(.+)$/);
+        if (!m) fail(`--set expects key=value, got "${value}"`);
+        args.patch[m[1]] = m[2];
+      }
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (arg.startsWith('--')) {
+      fail(`unknown flag ${arg}`);
+    } else {
+      args.files.push(path.resolve(arg));
+    }
+  }
+  return args;
+}
+
+function currentConfig(rigId) {
+  const base = controlConfigFromEnv(process.env);
+  const rigsFile = process.env.RIGS_FILE ? path.resolve(process.env.RIGS_FILE) : null;
+  const rigs = rigsFile
+    ? loadRigs(rigsFile, { baud: Number(process.env.BAUD || 115200), control: base })
+    : [{ id: 'a', control: base }];
+  const idx = rigId ? rigs.findIndex((rig) => rig.id === rigId) : 0;
+  if (idx < 0) fail(`unknown rig ${rigId} (rigs: ${rigs.map((rig) => rig.id).join(', ')})`);
+  const settingsFile = process.env.SETTINGS_FILE
+    ? path.resolve(process.env.SETTINGS_FILE)
+    : path.join(ROOT, 'data', 'settings.json');
+  const settingsStore = createSettingsStore(settingsFile);
+  settingsStore.load();
+  const { config, errors } = resolveControlConfig(rigs[idx].control, settingsStore, rigs[idx].id, idx === 0);
+  if (errors.length) console.warn(`[WARN] Ignoring saved controller settings in ${settingsFile}: ${errors.join('; ')}`);
+  const saved = settingsStore.get('schedule');
+  const schedule = Object.keys(saved).length ? validateSchedule(saved) : { ok: false };
+  return { rig: rigs[idx].id, config, schedule: schedule.ok ? schedule.schedule : null };
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  return [d.getHours(), d.getMinutes(), d.getSeconds()].map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+function formatCounts(counts) {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.map(([key, n]) => `${key} ${n}`).join(', ') : '0';
+}
+
+function printReport(report) {
+  const { config, actual, current, whatIf, differences, model } = report;
+  console.log(`Captures: ${report.files.map((file) => file.name).join(', ')}`);
+  if (report.from != null) console.log(`From ${new Date(report.from).toLocaleString()} to ${new Date(report.to).toLocaleString()}`);
+  report.files.filter((file) => file.error).forEach((file) => console.warn(`[WARN] ${file.name}: ${file.error}`));
+  console.log(`What-if: ${config.changed.map((key) => `${key} ${config.current[key]} -> ${config.whatIf[key]}`).join(', ') || 'no changes'}`);
+  console.log('');
+  const rows = [
+    ['', 'actual', 'current', 'what-if'],
+    ['starts', actual.starts, current.starts, whatIf.starts],
+    ['completed', actual.completed, current.completed, whatIf.completed],
+    ['cancelled', actual.cancelled, current.cancelled, whatIf.cancelled],
+    ['person left', '-', current.personLeft, whatIf.personLeft],
+    ['re-arms', '-', formatCounts(current.rearms), formatCounts(whatIf.rearms)],
+    ['blocked', '-', formatCounts(current.blocked), formatCounts(whatIf.blocked)],
+  ].map((row) => row.map(String));
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  rows.forEach((row) => console.log(row.map((text, col) => text.padEnd(widths[col])).join('  ').trimEnd()));
+  console.log('');
+  console.log(`The current settings reproduce ${model.matched} of ${model.total} recorded starts.`);
+  Object.entries(differences).forEach(([kind, diff]) => {
+    const lines = [
+      ...diff.added.map((ts) => `  + ${formatTime(ts)}  only with the what-if settings`),
+      ...diff.removed.map((ts) => `  - ${formatTime(ts)}  only with the current settings`),
+      ...diff.moved.map((move) => `  ~ ${formatTime(move.from)}  ${move.shiftMs > 0 ? '+' : ''}${(move.shiftMs / 1000).toFixed(1)} s`),
+    ];
+    console.log(lines.length ? `${kind}:` : `${kind}: no differences`);
+    lines.forEach((line) => console.log(line));
+  });
+  if (report.truncated) console.warn('[WARN] Timelines were cut short; differences past that point are not listed.');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!Object.keys(args.patch).length) fail('nothing to compare: pass at least one --set');
+  if (!args.day && !args.files.length) fail('pass --day or capture files');
+  const { rig, config, schedule } = currentConfig(args.rig);
+
+  let { files } = args;
+  let range = { from: -Infinity, to: Infinity };
+  if (args.day) {
+    range = dayRange(args.day);
+    if (!range) fail(`--day expects YYYY-MM-DD, got "${args.day}"`);
+    if (!files.length) {
+      const dir = process.env.CAPTURE_DIR ? path.resolve(process.env.CAPTURE_DIR) : path.join(ROOT, 'captures');
+      const captures = capturesInRange(await createCaptureStore({ dir }).list(), range, rig);
+      files = captures.map((capture) => path.join(dir, capture.name));
+      if (!files.length) fail(`no captures of rig ${rig} on ${args.day} in ${dir}`);
+    }
+  }
+
+  const report = runWhatIf({ files, current: config, patch: args.patch, schedule, ...range });
+  if (!report.ok) fail(report.errors.join('; '));
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+main().catch((err) => {
+  console.error(`[ERR] ${err.message}`);
+  process.exit(1);
+});